@@ -1,10 +1,15 @@
 import TestSeriesTracker from './TestSeriesTracker'; 
+import TrackerErrorBoundary from './components/TrackerErrorBoundary';
+import { STORAGE_KEY } from './storage';
 // Make sure TestSeriesTracker.jsx is in the same 'src' directory
 
 function App() {
   // We are rendering only our custom component, which contains everything.
+  // Crashes land on a recovery screen that can still export the stored data.
   return (
-    <TestSeriesTracker />
+    <TrackerErrorBoundary storageKey={STORAGE_KEY}>
+      <TestSeriesTracker />
+    </TrackerErrorBoundary>
   );
 }
 
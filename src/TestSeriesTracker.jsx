@@ -11,23 +11,43 @@ Dependencies:
 Features implemented:
   - Add / edit / delete test entries (Subject, Category, Max Marks, Obtained Marks, Rank, Date, Notes)
   - Live percentage calculation
-  - Persistent storage in localStorage (auto-saves)
-  - Export/Import JSON & Export CSV
+  - Persistent storage in IndexedDB with localStorage fallback (auto-saves per entry, versioned schema with migrations for older saves)
+  - Live sync between open tabs (BroadcastChannel, storage events as fallback): entry-level merge of log changes, settings follow along
+  - Optional cloud sync between devices via Firestore (email sign-in): offline queue, entry-level push/pull, latest edit per entry wins
+  - Unreadable saved data is quarantined before anything is written; download it raw or salvage the entries that still parse (also from the crash screen)
+  - Export/Import JSON & CSV (CSV import with column mapping; imports are previewed and merged: duplicates and conflicts resolved per row)
+  - Passphrase-encrypted JSON backups (AES-GCM, PBKDF2-derived key); importing one asks for the passphrase
   - Filter by subject and date range, and search
   - Summary: total tests, average percentage, per-subject averages, AVERAGE RANK PERCENTILE
   - Overall Trend chart (Line chart across ALL tests, showing Subject/Category)
   - Performance vs. Subject Chart (Vertical Bar Chart)
-  - CORRECT, WRONG, NOT ATTEMPTED COUNTS
+  - CORRECT, WRONG, NOT ATTEMPTED COUNTS (typed, or derived from an optional per-question response sheet)
+  - Manage providers, categories and subjects: create, rename, hide, merge (renames/merges update existing tests)
+  - Test-series catalog: register a purchased series and its scheduled tests, link results to them, see completed / overdue / upcoming tests
+  - Exam profiles (GATE ECE/EE/CSE/ME/IN, ESE prelims): subjects, categories, marking scheme and default max marks per dataset
+  - Marking schemes (GATE/ESE negative marking + custom per-provider schemes): marks lost to negatives, typed-marks check
   - RANK PERCENTILE TREND OVER TIME (ALL RANKED TESTS, showing Subject/Category)
+  - Raw vs normalized rank percentiles: provider/category cohorts calibrated with z-scores, takers-weighted averages
   - ISOLATED FULL TEST SCORE TREND (Mock/Full Length)
-  - TOP 5 WEAKEST SUBJECTS SECTION
+  - Predicted GATE marks, score and AIR band from recent full tests (user-entered marks-vs-rank tables per paper year)
+  - Syllabus taxonomy (subject → topic → subtopic): tag entries, filter the log, roll summaries up or drill down
+  - Time taken per test (optional per-section time): pace, time vs score, tests where time ran out
+  - Accuracy / attempt rate / net marks per attempt: trends per test, subject and category, plus accuracy vs attempt rate scatter
+  - TOP 5 WEAKEST SUBJECTS SECTION (below your score goal, 65% without one)
+  - Exam date countdown and preparation phases (syllabus, subject tests, full mocks, revision) with test-volume targets, shaded on the trend charts
+  - Goals: target average score or rank percentile per subject/category/all tests by a deadline, with target lines and off-pace warnings
   - Custom UI for all alerts and confirmations (no window.alert/confirm)
+  - Undo/redo for add, edit, delete, import and clear-all (toolbar, Ctrl+Z / Ctrl+Shift+Z, toast "Undo")
+  - Rolling snapshots (daily, before import / clear-all / restore, configurable retention) with a restore screen: diff vs current, restore all or selected entries
   - ✨ Gemini API Integration: Generate a personalized study plan based on weak subjects.
   - ✨ NEW: Test Note Expander (Converts short notes into detailed conceptual reminders)
+  - Mistake log per test (question, topic, error type, marks lost): marks lost per error type over time and per subject
+  - Study-session log (subject/topic, hours, activity) with weekly totals vs a weekly hours goal; hours vs score change per subject and activity
+  - Spaced-repetition revision queue (SM-2) built from test notes, graded by recall quality and linked back to the test
   - Multi-Provider Filter (Ace Academy, PrepFusion, etc.)
 */
 
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
 import {
   ResponsiveContainer,
   LineChart,
@@ -38,60 +58,106 @@ import {
   CartesianGrid,
   BarChart, 
   Bar,      
+  ReferenceLine,
+  ReferenceArea,
 } from "recharts";
-import { X, CheckCircle, AlertTriangle, Loader, Zap, ClipboardList, TrendingUp, Info, UserCheck, BookOpen } from 'lucide-react'; 
+import { X, CheckCircle, AlertTriangle, Loader, Zap, ClipboardList, TrendingUp, Info, UserCheck, BookOpen, Undo2, Redo2, Tags, History, Cloud, CloudOff, Lock } from 'lucide-react'; 
+import { uid, formatDateInput, downloadText } from "./utils";
+import { usePersistentTests } from "./storage/usePersistentTests";
+import { withDerivedFields } from "./storage/schema";
+import { useTestHistory, applyPatch } from "./history/useTestHistory";
+import { snapshotTests, restorePatch } from "./history/snapshots";
+import { useSnapshots } from "./history/useSnapshots";
+import SnapshotsPanel from "./components/SnapshotsPanel";
+import { STORAGE_BACKENDS, STORAGE_KEY } from "./storage";
+import { salvageEntries } from "./storage/quarantine";
+import QuarantineNotice from "./components/QuarantineNotice";
+import { useCloudSync, SYNC_PHASES } from "./sync/useCloudSync";
+import CloudSyncPanel from "./components/CloudSyncPanel";
+import { normalizeImportedEntry } from "./io/normalize";
+import { planImport, applyImport } from "./io/importMerge";
+import { isEncryptedBackup, encryptBackup, decryptBackup } from "./io/encryptedBackup";
+import PassphrasePrompt from "./components/PassphrasePrompt";
+import { parseCsv, suggestColumnMapping, isExportedCsv, csvRowsToRecords, mappedFields, testsToCsv } from "./io/csv";
+import ImportWizard from "./components/ImportWizard";
+import CsvMappingStep from "./components/CsvMappingStep";
+import ResponseSheetEditor from "./components/ResponseSheetEditor";
+import { summarizeResponses } from "./scoring/responseSheet";
+import { schemeForProvider, entryScheme, builtInScheme, checkEntryMarks, negativeMarksFor } from "./scoring/markingScheme";
+import { useStoredItem } from "./storage/useStoredItem";
+import MarkingSchemesPanel from "./components/MarkingSchemesPanel";
+import AccuracyAnalyticsPanel from "./components/AccuracyAnalyticsPanel";
+import { overallAccuracy } from "./analytics/accuracy";
+import TimeAnalyticsPanel from "./components/TimeAnalyticsPanel";
+import { timeAnalytics, describeTimeManagement, ranOutOfTime } from "./analytics/time";
+import { QUESTION_SECTIONS } from "./scoring/responseSheet";
+import { EXAM_PROFILES, DEFAULT_PROFILE_ID, getExamProfile } from "./profiles/examProfiles";
+import { DEFAULT_PROVIDERS, EMPTY_VOCABULARY, VOCABULARY_KINDS, vocabularyEntries, withVocabulary, addName, setHidden, renameName, mergeName, renameInEntries } from "./profiles/vocabulary";
+import VocabularyManager from "./components/VocabularyManager";
+import { TAXONOMY_LEVELS, topicsFor, subtopicsFor, groupAverages } from "./syllabus/taxonomy";
+import { catalogProgress, findSlot, openSlots, renameInCatalog } from "./catalog/catalog";
+import CatalogPanel from "./components/CatalogPanel";
+import SeriesEditor from "./components/SeriesEditor";
+import GatePredictionPanel from "./components/GatePredictionPanel";
+import RankTablesPanel from "./components/RankTablesPanel";
+import { DEFAULT_RECENT_TESTS } from "./prediction/gateScore";
+import { RANK_VIEWS, normalizePercentiles, averagePercentile } from "./analytics/normalization";
+import { createGoal, goalProgress, scoreTargetFor, chartTargets, renameInGoals } from "./goals/goals";
+import GoalsPanel from "./components/GoalsPanel";
+import { revisionQueue, reviewSchedule, cardText } from "./revision/revision";
+import RevisionPanel from "./components/RevisionPanel";
+import { MISTAKE_KINDS, mistakeAnalytics, subjectMistakeKinds, describeMistakes, marksLostTotal } from "./mistakes/mistakes";
+import MistakeLogEditor from "./components/MistakeLogEditor";
+import MistakeAnalyticsPanel from "./components/MistakeAnalyticsPanel";
+import { EMPTY_STUDY_LOG, createSession, weeklyTotals, studyImpact, describeStudy, renameInStudyLog } from "./study/studyLog";
+import StudyLogPanel from "./components/StudyLogPanel";
+import StudyImpactPanel from "./components/StudyImpactPanel";
+import { EMPTY_TIMELINE, createPhase, suggestPhases, phaseProgress, phaseAreas, daysUntilExam } from "./timeline/timeline";
+import TimelinePanel from "./components/TimelinePanel";
 
-const STORAGE_KEY = "prepfusion_test_series";
 const API_KEY = ""; // Canvas will provide this at runtime
 const LLM_MODEL = "gemini-2.5-flash-preview-05-20";
 // NOTE: Use window.location.origin to simulate the environment providing the key
 const LLM_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${LLM_MODEL}:generateContent?key=${API_KEY}`;
 
-// NEW: Test categories
-const TEST_CATEGORIES = ["Topic Wise", "Subjectwise", "Multisubject Wise", "Full Length", "Mock"];
-const FULL_TEST_CATEGORIES = ["Multisubject Wise", "Full Length", "Mock"]; // Categories for the isolated chart
-
-// NEW: Test Series Providers
-const TEST_PROVIDERS = ["Ace Academy", "PrepFusion", "Gate Academy", "Other"];
-
-// Constants for conditional logic
-const SUBJECT_REQUIRED_CATEGORIES = ["Topic Wise", "Subjectwise"];
+// Subject placeholders shared by every exam profile (see profiles/examProfiles.js)
 const DEFAULT_MULTI_SUBJECT = "Multi-Subject/Full Test";
+const UNKNOWN_SUBJECT = "Other/Unknown";
+// Subject-level analytics skip the multi-subject placeholder (full tests are split per question when a sheet exists)
+const ANALYTICS_HIDDEN_SUBJECTS = [DEFAULT_MULTI_SUBJECT];
 
-// NEW: GATE ECE Subjects List (Updated to include Multi-Subject default)
-const ECE_SUBJECTS = [
-    "Engineering Mathematics",
-    "General Aptitude",
-    "Network Theory",
-    "Electronic Devices (EDC)",
-    "Analog Circuits",
-    "Digital Circuits",
-    "Control Systems",
-    "Electromagnetics (EMT)",
-    "Communication Systems",
-    "Signals and Systems",
-    "Computer Organization & Architecture",
-    DEFAULT_MULTI_SUBJECT, // Added for Multi-subject/Full Test categories
-    "Other/Unknown"
-];
-
-function uid() {
-  return Math.random().toString(36).slice(2, 9);
+// `options` plus `current` when it is missing (e.g. editing an entry logged under another profile)
+function withCurrent(options, current) {
+  return !current || options.includes(current) ? options : [...options, current];
 }
 
-function formatDateInput(d) {
-  if (!d) return "";
-  const date = new Date(d);
-  return date.toISOString().slice(0, 10);
-}
-
-function csvEscape(val) {
-  if (val == null) return "";
-  const s = String(val);
-  if (s.includes(",") || s.includes("\n") || s.includes('"')) {
-    return '"' + s.replace(/"/g, '""') + '"';
-  }
-  return s;
+// A blank entry form for `profile` (with the user's vocabulary applied)
+function emptyForm(profile) {
+  return {
+    id: null,
+    subject: profile.subjects[0],
+    category: profile.categories[0],
+    provider: profile.providers[0] || "Other", // NEW: Provider default
+    maxMarks: String(profile.defaultMaxMarks[profile.categories[0]] ?? ""),
+    obtainedMarks: "",
+    correctCount: "",
+    incorrectCount: "",
+    notAttemptedCount: "",
+    testRank: "",
+    totalTestTakers: "",
+    date: formatDateInput(new Date()),
+    notes: "",
+    responses: [],
+    negativeMarks: "",
+    timeTaken: "",
+    timeLimit: "",
+    sectionTimes: {},
+    timeRanOut: false,
+    topic: "",
+    subtopic: "",
+    catalogSlotId: "",
+    mistakes: [],
+  };
 }
 
 // Simple fetch with retry logic for API calls
@@ -124,7 +190,7 @@ const fetchWithRetry = async (url, options, maxRetries = 3) => {
 };
 
 // Custom Toast Alert Component
-const ToastAlert = ({ message, type, onClose }) => {
+const ToastAlert = ({ message, type, action, onClose }) => {
     if (!message) return null;
 
     const baseClasses = "fixed top-4 right-4 p-4 rounded-lg shadow-2xl flex items-center z-50 transition-transform duration-300 transform";
@@ -137,6 +203,9 @@ const ToastAlert = ({ message, type, onClose }) => {
     } else if (type === 'error') {
         colorClasses = "bg-red-600 text-white";
         Icon = AlertTriangle;
+    } else if (type === 'warning') {
+        colorClasses = "bg-amber-500 text-white";
+        Icon = AlertTriangle;
     }
 
     useEffect(() => {
@@ -150,6 +219,11 @@ const ToastAlert = ({ message, type, onClose }) => {
       <div className={`${baseClasses} ${colorClasses}`}>
         {Icon && <Icon size={20} className="mr-2 flex-shrink-0" />}
         <p className="font-semibold text-sm">{message}</p>
+        {action && (
+          <button onClick={() => { onClose(); action.onClick(); }} className="ml-4 px-2.5 py-1 rounded-md bg-white/20 hover:bg-white/30 text-xs font-bold uppercase tracking-wide transition">
+            {action.label}
+          </button>
+        )}
         <button onClick={onClose} className="ml-4 p-1 rounded-full hover:bg-white/20 transition">
           <X size={16} />
         </button>
@@ -162,7 +236,7 @@ const RankPercentileTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
       const data = payload[0].payload;
       
-      const isSubjectSpecific = SUBJECT_REQUIRED_CATEGORIES.includes(data.category);
+      const isSubjectSpecific = data.subject !== DEFAULT_MULTI_SUBJECT;
       const identifier = isSubjectSpecific 
         ? `Subject: ${data.subject}` 
         : `Category: ${data.category}`;
@@ -172,6 +246,7 @@ const RankPercentileTooltip = ({ active, payload, label }) => {
           <p className="font-semibold text-gray-700">{`Date: ${label}`}</p>
           <p className="text-gray-600 mt-1">{identifier}</p> 
           <p className="text-pink-600 font-bold">{`Percentile: ${data.rankPercentile}%`}</p>
+          {data.rawPercentile !== data.rankPercentile && <p className="text-gray-500">{`Raw: ${data.rawPercentile}% of ${data.totalTestTakers} takers`}</p>}
           <p className="text-gray-500 mt-1">{`Provider: ${data.provider}`}</p>
         </div>
       );
@@ -184,7 +259,7 @@ const OverallPercentageTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
       const data = payload[0].payload;
       
-      const isSubjectSpecific = SUBJECT_REQUIRED_CATEGORIES.includes(data.category);
+      const isSubjectSpecific = data.subject !== DEFAULT_MULTI_SUBJECT;
       const identifier = isSubjectSpecific 
         ? `Subject: ${data.subject}` 
         : `Category: ${data.category}`;
@@ -218,35 +293,96 @@ const FullTestPercentageTooltip = ({ active, payload, label }) => {
   };
 
 
+// Raw / normalized selector shared by the rank percentile summary and chart
+const RankViewSelect = ({ value, onChange }) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="border border-gray-300 rounded-lg px-2 py-1 text-xs shadow-sm bg-white" title="Rank percentiles: raw, or normalized across providers">
+      {RANK_VIEWS.map((v) => (
+        <option key={v.id} value={v.id}>{v.label}</option>
+      ))}
+    </select>
+);
+
+// Roll-up / drill-down selector shared by the subject summaries
+const SummaryLevelSelect = ({ value, onChange }) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm shadow-sm" title="Group summaries by">
+      {TAXONOMY_LEVELS.map((l) => (
+        <option key={l.id} value={l.id}>By {l.label}</option>
+      ))}
+    </select>
+);
+
 export default function TestSeriesTracker() {
-  const [tests, setTests] = useState(() => {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      return raw ? JSON.parse(raw) : [];
-    } catch (e) {
-      console.error("Failed to parse stored tests", e);
-      return [];
-    }
-  });
+  // Tests are loaded asynchronously from the storage backend selected at startup.
+  const [tests, setTests, storage] = usePersistentTests(STORAGE_KEY);
+  // User edits go through commit() so they can be undone; history survives reloads.
+  const { commit, undo, redo, canUndo, canRedo, undoLabel, redoLabel } = useTestHistory(tests, setTests, storage.adapter, applyHistoryItems);
+  // Rolling full-dataset snapshots for point-in-time restore (see history/snapshots.js)
+  const snapshots = useSnapshots(STORAGE_KEY, storage.adapter);
+  // Optional Firestore sync of the log between devices (see sync/firestoreSync.js)
+  const cloudSync = useCloudSync(STORAGE_KEY, storage);
+  // Custom marking schemes and which provider uses which ({ schemes, providerSchemes })
+  const [markingSettings, setMarkingSettings] = useStoredItem(storage.adapter, "markingSchemes", { schemes: [], providerSchemes: {} });
+
+  // Active exam profile (subjects, categories, marking scheme, default max marks), one per dataset
+  const [profileId, setProfileId] = useStoredItem(storage.adapter, "examProfile", DEFAULT_PROFILE_ID);
+  // User-managed providers/categories/subjects layered over the profile's built-in lists
+  const [vocabulary, setVocabulary] = useStoredItem(storage.adapter, "vocabulary", EMPTY_VOCABULARY);
+  // Purchased test series and their scheduled tests (see catalog/catalog.js)
+  const [catalog, setCatalog] = useStoredItem(storage.adapter, "catalog", []);
+  // User-entered marks-vs-rank tables, the chosen table and how many recent full tests feed the GATE prediction
+  const [predictionSettings, setPredictionSettings] = useStoredItem(storage.adapter, "gatePrediction", { tables: [], tableId: null, recent: DEFAULT_RECENT_TESTS });
+  // Target scores / percentiles with deadlines (see goals/goals.js)
+  const [goals, setGoals] = useStoredItem(storage.adapter, "goals", []);
+  // Review schedule of the revision cards made from test notes, keyed by entry id
+  const [revisionSchedules, setRevisionSchedules] = useStoredItem(storage.adapter, "revision", {});
+  // Study sessions and the weekly hours goal (see study/studyLog.js)
+  const [studyLog, setStudyLog] = useStoredItem(storage.adapter, "studyLog", EMPTY_STUDY_LOG);
+  // Exam date and preparation phases (see timeline/timeline.js)
+  const [timeline, setTimeline] = useStoredItem(storage.adapter, "timeline", EMPTY_TIMELINE);
+  const baseProfile = getExamProfile(profileId);
+  const profile = useMemo(() => withVocabulary(baseProfile, vocabulary), [baseProfile, vocabulary]);
+  const profileScheme = builtInScheme(profile.markingSchemeId);
+  // The scheme each entry is scored with: saved with it, else its provider's, else the profile's
+  const schemeOf = useCallback((t) => entryScheme(t, markingSettings, profileScheme), [markingSettings, profileScheme]);
+  // Sheets without a saved scheme (imported or migrated entries) scored with the scheme they resolve to
+  const scoredTests = useMemo(() => tests.map((t) => (t.responses && !t.markingScheme ? withDerivedFields(t, schemeOf(t)) : t)), [tests, schemeOf]);
+  // Subject options: the profile's subjects plus the tracker's placeholders
+  const examSubjects = useMemo(() => [...profile.subjects, DEFAULT_MULTI_SUBJECT, UNKNOWN_SUBJECT], [profile]);
+  const analyticsSubjects = useMemo(() => [...profile.subjects, UNKNOWN_SUBJECT], [profile]);
+
+  const [form, setForm] = useState(() => emptyForm(profile));
+  // Start a fresh form whenever the active profile changes (including once the stored choice loads)
+  const [formProfileId, setFormProfileId] = useState(profile.id);
+  if (formProfileId !== profile.id) {
+    setFormProfileId(profile.id);
+    setForm(emptyForm(profile));
+  }
 
-  const [form, setForm] = useState({
-    id: null,
-    subject: ECE_SUBJECTS[0], 
-    category: TEST_CATEGORIES[0], 
-    provider: TEST_PROVIDERS[0], // NEW: Provider default
-    maxMarks: "",
-    obtainedMarks: "",
-    correctCount: "",     
-    incorrectCount: "",   
-    notAttemptedCount: "", 
-    testRank: "",       
-    totalTestTakers: "", 
-    date: formatDateInput(new Date()),
-    notes: "",
-  });
+  const [showResponseSheet, setShowResponseSheet] = useState(false);
+  const [showMistakeLog, setShowMistakeLog] = useState(false);
+  const [showMarkingSchemes, setShowMarkingSchemes] = useState(false);
+  const [showVocabulary, setShowVocabulary] = useState(false);
+  const [editingSeries, setEditingSeries] = useState(null); // { series } (null series = registering a new one)
+  const [showRankTables, setShowRankTables] = useState(false);
+  const [showSnapshots, setShowSnapshots] = useState(false);
+  const [showCloudSync, setShowCloudSync] = useState(false);
+  const [passphrasePrompt, setPassphrasePrompt] = useState(null); // { mode: "encrypt" } or { mode: "decrypt", backup, sourceName }
+  const formScheme = schemeForProvider(form.provider, markingSettings, profileScheme);
+  const formSheet = form.responses.length ? summarizeResponses(form.responses, formScheme) : null;
+  // Live check of typed marks against the R/W/NA counts under the provider's scheme
+  const formMarksCheck = formSheet ? null : checkEntryMarks({
+      maxMarks: Number(form.maxMarks),
+      obtainedMarks: Number(form.obtainedMarks),
+      correctCount: form.correctCount === "" ? null : Number(form.correctCount),
+      incorrectCount: Number(form.incorrectCount) || 0,
+      notAttemptedCount: Number(form.notAttemptedCount) || 0,
+  }, formScheme);
 
   const [filterProvider, setFilterProvider] = useState("All"); // NEW: Global Provider Filter
   const [filterSubject, setFilterSubject] = useState("All");
+  const [filterTopic, setFilterTopic] = useState("All"); // Only offered once a subject is picked
+  const [summaryLevel, setSummaryLevel] = useState("subject"); // Roll-up / drill-down level for subject summaries
+  const [rankView, setRankView] = useState("normalized"); // Raw or cross-provider normalized rank percentiles
   const [dateFrom, setDateFrom] = useState("");
   const [dateTo, setDateTo] = useState("");
   const [search, setSearch] = useState("");
@@ -254,6 +390,8 @@ export default function TestSeriesTracker() {
   // Custom Alert/Confirmation State
   const [toastAlert, setToastAlert] = useState(null); 
   const [confirmModal, setConfirmModal] = useState(null); 
+  const [importPlan, setImportPlan] = useState(null); // Pending import awaiting review in the ImportWizard
+  const [csvImport, setCsvImport] = useState(null); // Parsed CSV awaiting column mapping
 
   // Gemini LLM State
   const [llmResult, setLlmResult] = useState(null);
@@ -268,7 +406,6 @@ export default function TestSeriesTracker() {
 
 
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(tests));
     // Reset table key whenever tests change to trigger hard reset
     setTableKey(uid());
   }, [tests]);
@@ -276,32 +413,139 @@ export default function TestSeriesTracker() {
   // Subjects for the Filter dropdown 
   const subjects = useMemo(() => {
     const s = new Set(tests.map((t) => t.subject || "Unknown"));
-    const allSubjects = new Set([...s, ...ECE_SUBJECTS]); 
+    const allSubjects = new Set([...s, ...examSubjects]); 
     return ["All", ...Array.from(allSubjects).sort()];
+  }, [tests, examSubjects]);
+
+  // Providers for the global filter: visible ones plus any still used by a logged test
+  const providerFilterOptions = useMemo(() => (
+      [...new Set([...profile.providers, ...tests.map((t) => t.provider || "Other")])]
+  ), [tests, profile.providers]);
+
+  // Built-in names and per-name usage for the providers/categories/subjects manager
+  const vocabularyDefaults = { providers: DEFAULT_PROVIDERS, categories: baseProfile.categories, subjects: baseProfile.subjects };
+  const vocabularyCounts = useMemo(() => {
+      const counts = Object.fromEntries(VOCABULARY_KINDS.map((k) => [k.id, {}]));
+      for (const t of tests) {
+          for (const k of VOCABULARY_KINDS) counts[k.id][t[k.field]] = (counts[k.id][t[k.field]] || 0) + 1;
+      }
+      return counts;
   }, [tests]);
   
   // Tests filtered by the global provider filter first
   const providerFilteredTests = useMemo(() => {
-      if (filterProvider === "All") return tests;
-      return tests.filter(t => (t.provider || "Other") === filterProvider);
-  }, [tests, filterProvider]);
+      if (filterProvider === "All") return scoredTests;
+      return scoredTests.filter(t => (t.provider || "Other") === filterProvider);
+  }, [scoredTests, filterProvider]);
+
 
+  const today = formatDateInput(new Date());
+
+  // The day's first snapshot, once both the log and the snapshot list are loaded
+  const { takeDaily } = snapshots;
+  useEffect(() => {
+    if (!storage.ready || storage.readOnly) return;
+    takeDaily(tests, today);
+  }, [storage.ready, storage.readOnly, tests, today, takeDaily]);
+
+  // Catalog progress for the series of the filtered provider; links count from every logged test
+  const seriesProgress = useMemo(() => (
+      catalogProgress(catalog.filter((s) => filterProvider === "All" || s.provider === filterProvider), tests, today)
+  ), [catalog, tests, filterProvider, today]);
+
+  // Goal progress is measured on every logged test, whatever the filters
+  const goalItems = useMemo(() => goals.map((goal) => ({ goal, progress: goalProgress(goal, tests, today) })), [goals, tests, today]);
+
+  // Preparation phases in date order with their test volume (every test, whatever the filters)
+  const phaseItems = useMemo(() => (
+      [...timeline.phases]
+          .sort((a, b) => a.start.localeCompare(b.start))
+          .map((phase) => ({ phase, progress: phaseProgress(phase, tests, profile, today) }))
+  ), [timeline.phases, tests, profile, today]);
+  const examDaysLeft = daysUntilExam(timeline, today);
+
+  // Revision cards due today (every test's notes, whatever the filters)
+  const revision = useMemo(() => revisionQueue(tests, revisionSchedules, today), [tests, revisionSchedules, today]);
+  // Catalog tests the form can link to (the edited entry's own slot stays available)
+  const formSlotGroups = useMemo(() => openSlots(catalog, tests, form.id), [catalog, tests, form.id]);
 
   function resetForm() {
-    setForm({ 
-      id: null, 
-      subject: ECE_SUBJECTS[0], 
-      category: TEST_CATEGORIES[0], 
-      provider: TEST_PROVIDERS[0],
-      maxMarks: "", 
-      obtainedMarks: "", 
-      correctCount: "",
-      incorrectCount: "",
-      notAttemptedCount: "",
-      testRank: "",       
-      totalTestTakers: "", 
-      date: formatDateInput(new Date()), 
-      notes: "" 
+    setForm(emptyForm(profile));
+    setShowResponseSheet(false);
+    setShowMistakeLog(false);
+  }
+
+  // `prev` linked to a catalog slot, taking over its provider, category and subject
+  function withSlot(prev, series, slot) {
+    const subject = profile.subjectCategories.includes(slot.category) ? slot.subject || prev.subject : DEFAULT_MULTI_SUBJECT;
+    return {
+      ...prev,
+      catalogSlotId: slot.id,
+      provider: series.provider,
+      category: slot.category,
+      subject,
+      maxMarks: prev.maxMarks || String(profile.defaultMaxMarks[slot.category] ?? ""),
+      ...(subject !== prev.subject && { topic: "", subtopic: "" }),
+    };
+  }
+
+  function handleSelectSlot(slotId) {
+    const found = findSlot(catalog, slotId);
+    setForm(found ? withSlot(form, found.series, found.slot) : { ...form, catalogSlotId: "" });
+  }
+
+  function handleLogSlot(series, slot) {
+    setForm(withSlot(emptyForm(profile), series, slot));
+    setShowResponseSheet(false);
+    setShowMistakeLog(false);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  }
+
+  function handleSaveSeries(series) {
+    const exists = catalog.some((s) => s.id === series.id);
+    setCatalog(exists ? catalog.map((s) => (s.id === series.id ? series : s)) : [...catalog, series]);
+    setEditingSeries(null);
+    setToastAlert({ message: `Test series "${series.name}" ${exists ? "updated" : "registered"} (${series.tests.length} tests).`, type: 'success' });
+  }
+
+  function handleReviewCard(entryId, quality) {
+    setRevisionSchedules({ ...revisionSchedules, [entryId]: reviewSchedule(revisionSchedules[entryId], quality, today) });
+  }
+
+  function handleAddPhase(fields) {
+    setTimeline({ ...timeline, phases: [...timeline.phases, createPhase(fields)] });
+  }
+
+  function handleDeletePhase(phase) {
+    setTimeline({ ...timeline, phases: timeline.phases.filter((p) => p.id !== phase.id) });
+  }
+
+  function handleAddSession(fields) {
+    setStudyLog({ ...studyLog, sessions: [...studyLog.sessions, createSession(fields)] });
+  }
+
+  function handleDeleteSession(id) {
+    setStudyLog({ ...studyLog, sessions: studyLog.sessions.filter((s) => s.id !== id) });
+  }
+
+  function handleAddGoal(fields) {
+    setGoals([...goals, createGoal(fields, tests, today)]);
+  }
+
+  function handleDeleteGoal(goal) {
+    setConfirmModal({
+        message: "Delete this goal? Its progress history is not kept.",
+        onConfirm: () => setGoals(goals.filter((g) => g.id !== goal.id)),
+    });
+  }
+
+  function handleDeleteSeries(series) {
+    setConfirmModal({
+        message: `Delete the test series "${series.name}"? Logged results stay in your log but are no longer linked to its schedule.`,
+        onConfirm: () => {
+            setCatalog(catalog.filter((s) => s.id !== series.id));
+            setToastAlert({ message: `Test series "${series.name}" deleted.`, type: 'success' });
+        }
     });
   }
 
@@ -309,29 +553,46 @@ export default function TestSeriesTracker() {
     e.preventDefault();
     setToastAlert(null); 
     
+    // With a response sheet, marks and counts are derived from it instead of typed
+    const scheme = schemeForProvider(form.provider, markingSettings, profileScheme);
+    const sheet = form.responses.length ? summarizeResponses(form.responses, scheme) : null;
+
     // Parse as floats for decimal support
-    const max = Number(form.maxMarks);
-    const obt = Number(form.obtainedMarks);
+    const max = sheet ? sheet.maxMarks : Number(form.maxMarks);
+    const obt = sheet ? sheet.obtainedMarks : Number(form.obtainedMarks);
     
     // Counts remain integers
-    const correct = Number(form.correctCount); 
-    const incorrect = Number(form.incorrectCount); 
-    const notAttempted = Number(form.notAttemptedCount); 
+    const correct = sheet ? sheet.correctCount : Number(form.correctCount); 
+    const incorrect = sheet ? sheet.incorrectCount : Number(form.incorrectCount); 
+    const notAttempted = sheet ? sheet.notAttemptedCount : Number(form.notAttemptedCount); 
     const rank = Number(form.testRank);
     const totalTakers = Number(form.totalTestTakers);
+    const typedNegative = form.negativeMarks === "" ? null : Number(form.negativeMarks);
+    // Minutes; a sheet with per-question time overrides these (see withDerivedFields)
+    const timeTaken = form.timeTaken === "" ? null : Number(form.timeTaken);
+    const timeLimit = form.timeLimit === "" ? null : Number(form.timeLimit);
+    const sectionTimes = Object.fromEntries(
+        Object.entries(form.sectionTimes).filter(([, v]) => v !== "").map(([k, v]) => [k, Number(v)])
+    );
 
     const hasRank = form.testRank && form.totalTestTakers; 
     
     // Core Validation
     if (!form.subject.trim()) return setToastAlert({ message: "Please enter subject.", type: 'error' });
     if (!max || max <= 0) return setToastAlert({ message: "Max marks should be a positive number.", type: 'error' });
-    if (isNaN(obt) || obt < 0) return setToastAlert({ message: "Obtained marks should be a non-negative number.", type: 'error' });
+    // Negative totals are possible with negative marking, but only a response sheet can produce one
+    if (isNaN(obt) || (obt < 0 && !sheet)) return setToastAlert({ message: "Obtained marks should be a non-negative number.", type: 'error' });
     if (obt > max) return setToastAlert({ message: "Obtained marks cannot be greater than Max Marks.", type: 'error' });
     
     // NEW COUNT VALIDATION
     if (isNaN(correct) || correct < 0) return setToastAlert({ message: "Correct count must be a non-negative number.", type: 'error' });
     if (isNaN(incorrect) || incorrect < 0) return setToastAlert({ message: "Incorrect count must be a non-negative number.", type: 'error' });
     if (isNaN(notAttempted) || notAttempted < 0) return setToastAlert({ message: "Not Attempted count must be a non-negative number.", type: 'error' });
+    if (!sheet && typedNegative !== null && (isNaN(typedNegative) || typedNegative < 0)) return setToastAlert({ message: "Negative marks must be a non-negative number.", type: 'error' });
+    if (timeTaken !== null && (isNaN(timeTaken) || timeTaken < 0)) return setToastAlert({ message: "Time taken must be a non-negative number of minutes.", type: 'error' });
+    if (timeLimit !== null && (isNaN(timeLimit) || timeLimit <= 0)) return setToastAlert({ message: "Time limit must be a positive number of minutes.", type: 'error' });
+    if (Object.values(sectionTimes).some((m) => isNaN(m) || m < 0)) return setToastAlert({ message: "Section times must be non-negative numbers of minutes.", type: 'error' });
+    if (form.mistakes.some((m) => m.marksLost !== "" && !(Number(m.marksLost) >= 0))) return setToastAlert({ message: "Marks lost on a mistake must be a non-negative number.", type: 'error' });
     
     // Rank Validation
     if (hasRank) {
@@ -344,11 +605,14 @@ export default function TestSeriesTracker() {
     const rankPercentile = hasRank ? Math.round((1 - (rank / totalTakers)) * 10000) / 100 : null;
     
     // Check if counts were entered and if so, save them
-    const hasCounts = form.correctCount || form.incorrectCount || form.notAttemptedCount;
+    const hasCounts = sheet || form.correctCount || form.incorrectCount || form.notAttemptedCount;
     
-    const entry = {
+    const isSubjectSpecific = profile.subjectCategories.includes(form.category);
+    const entry = withDerivedFields({
       id: form.id || uid(),
       subject: form.subject.trim(),
+      topic: isSubjectSpecific ? form.topic : "",
+      subtopic: isSubjectSpecific ? form.subtopic : "",
       category: form.category, 
       provider: form.provider, // NEW: Save provider
       maxMarks: max,
@@ -365,17 +629,26 @@ export default function TestSeriesTracker() {
       rankPercentile: rankPercentile,              
       date: form.date || formatDateInput(new Date()),
       notes: form.notes || "",
-    };
+      responses: sheet ? form.responses : null,
+      // Only recorded values are stored; estimates are recomputed from the counts when needed
+      negativeMarks: sheet ? sheet.negativeMarks : typedNegative,
+      markingScheme: scheme,
+      timeTaken,
+      timeLimit,
+      sectionTimes: Object.keys(sectionTimes).length ? sectionTimes : null,
+      timeRanOut: form.timeRanOut,
+      catalogSlotId: form.catalogSlotId || null,
+      mistakes: form.mistakes,
+    });
 
-    setTests((prev) => {
-      const exists = prev.find((p) => p.id === entry.id);
-      if (exists) {
-        setToastAlert({ message: "Test updated successfully!", type: 'success' });
-        return prev.map((p) => (p.id === entry.id ? entry : p));
-      }
+    const exists = tests.some((p) => p.id === entry.id);
+    if (exists) {
+      commit("Edit test", (prev) => prev.map((p) => (p.id === entry.id ? entry : p)));
+      setToastAlert({ message: "Test updated successfully!", type: 'success', action: undoToastAction });
+    } else {
+      commit("Add test", (prev) => [entry, ...prev].sort((a, b) => new Date(b.date) - new Date(a.date)));
       setToastAlert({ message: "Test added successfully!", type: 'success' });
-      return [entry, ...prev].sort((a, b) => new Date(b.date) - new Date(a.date));
-    });
+    }
 
     resetForm();
   }
@@ -386,8 +659,8 @@ export default function TestSeriesTracker() {
     setForm({ 
       id: t.id, 
       subject: t.subject, 
-      category: t.category || TEST_CATEGORIES[0], 
-      provider: t.provider || TEST_PROVIDERS[0], // Load existing provider
+      category: t.category || profile.categories[0], 
+      provider: t.provider || "Other", // Load existing provider
       // Ensure marks are set as string, preserving decimal for display
       maxMarks: String(t.maxMarks), 
       obtainedMarks: String(t.obtainedMarks), 
@@ -397,17 +670,59 @@ export default function TestSeriesTracker() {
       testRank: String(t.testRank || ""),       
       totalTestTakers: String(t.totalTestTakers || ""), 
       date: formatDateInput(t.date), 
-      notes: t.notes 
+      notes: t.notes,
+      responses: t.responses || [],
+      negativeMarks: t.responses?.length ? "" : String(t.negativeMarks ?? ""),
+      timeTaken: String(t.timeTaken ?? ""),
+      timeLimit: String(t.timeLimit ?? ""),
+      sectionTimes: Object.fromEntries(Object.entries(t.sectionTimes || {}).map(([k, v]) => [k, String(v)])),
+      timeRanOut: Boolean(t.timeRanOut),
+      topic: t.topic || "",
+      subtopic: t.subtopic || "",
+      catalogSlotId: t.catalogSlotId || "",
+      mistakes: (t.mistakes || []).map((m) => ({ ...m, questionNumber: String(m.questionNumber ?? ""), marksLost: String(m.marksLost || "") })),
     });
+    setShowResponseSheet(Boolean(t.responses?.length));
+    setShowMistakeLog(Boolean(t.mistakes?.length));
     window.scrollTo({ top: 0, behavior: "smooth" });
   }
 
+  function handleUndo() {
+    const record = undo();
+    if (record) setToastAlert({ message: `Undid: ${record.label}.`, type: 'success', action: { label: "Redo", onClick: handleRedo } });
+  }
+
+  function handleRedo() {
+    const record = redo();
+    if (record) setToastAlert({ message: `Redid: ${record.label}.`, type: 'success', action: undoToastAction });
+  }
+
+  const undoToastAction = { label: "Undo", onClick: handleUndo };
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y). Inside text fields the browser's own undo wins.
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        handleRedo();
+      }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
   function handleDelete(id) {
     setConfirmModal({
-        message: "Are you sure you want to delete this test entry? This cannot be undone.",
+        message: "Are you sure you want to delete this test entry? You can undo this from the toolbar or with Ctrl+Z.",
         onConfirm: () => {
-            setTests((prev) => prev.filter((x) => x.id !== id));
-            setToastAlert({ message: "Test deleted.", type: 'success' });
+            commit("Delete test", (prev) => prev.filter((x) => x.id !== id));
+            setToastAlert({ message: "Test deleted.", type: 'success', action: undoToastAction });
         }
     });
   }
@@ -423,41 +738,39 @@ export default function TestSeriesTracker() {
     URL.revokeObjectURL(url);
   }
 
+  // Same content as the JSON export, encrypted with a passphrase (see io/encryptedBackup.js)
+  async function handleExportEncrypted(passphrase) {
+    const file = await encryptBackup(JSON.stringify(tests, null, 2), passphrase);
+    downloadText(file, "test-series-data.encrypted.json");
+    setPassphrasePrompt(null);
+    setToastAlert({ message: `Exported ${tests.length} tests encrypted. Keep the passphrase safe: the file cannot be opened without it.`, type: 'success' });
+  }
+
+  // Accepts both a bare array and a versioned storage envelope.
+  function jsonRows(data) {
+    const rows = Array.isArray(data) ? data : data?.tests;
+    if (!Array.isArray(rows)) throw new Error("Invalid file format. Ensure it's an array of test objects.");
+    return rows;
+  }
+
+  async function handleDecryptBackup(passphrase) {
+    const { backup, sourceName } = passphrasePrompt;
+    const rows = jsonRows(JSON.parse(await decryptBackup(backup, passphrase)));
+    setPassphrasePrompt(null);
+    stageImport(rows, sourceName);
+  }
+
   function handleImportJSON(file) {
     setToastAlert(null); 
     const reader = new FileReader();
     reader.onload = (ev) => {
       try {
         const data = JSON.parse(ev.target.result);
-        if (!Array.isArray(data)) throw new Error("Invalid file format. Ensure it's an array of test objects.");
-        
-        const normalized = data.map((d) => {
-            const max = Number(d.maxMarks) || 0;
-            const obt = Number(d.obtainedMarks) || 0;
-            const rank = Number(d.testRank);
-            const totalTakers = Number(d.totalTestTakers);
-            const hasRank = rank > 0 && totalTakers > 0 && rank <= totalTakers;
-
-            return {
-                id: d.id || uid(),
-                subject: d.subject || "Unknown",
-                category: d.category || TEST_CATEGORIES[0],
-                provider: d.provider || TEST_PROVIDERS[0], // Set default if missing
-                maxMarks: max,
-                obtainedMarks: obt,
-                correctCount: Number(d.correctCount) > 0 ? Number(d.correctCount) : null,
-                incorrectCount: Number(d.incorrectCount) > 0 ? Number(d.incorrectCount) : null,
-                notAttemptedCount: Number(d.notAttemptedCount) > 0 ? Number(d.notAttemptedCount) : null,
-                percentage: max ? Math.round((obt / max) * 10000) / 100 : 0,
-                testRank: hasRank ? rank : null,
-                totalTestTakers: hasRank ? totalTakers : null,
-                rankPercentile: hasRank ? Math.round((1 - (rank / totalTakers)) * 10000) / 100 : null,
-                date: d.date || formatDateInput(new Date()),
-                notes: d.notes || "",
-            };
-        });
-        setTests((prev) => [...normalized, ...prev].sort((a, b) => new Date(b.date) - new Date(a.date)));
-        setToastAlert({ message: "Data imported successfully!", type: 'success' });
+        if (isEncryptedBackup(data)) {
+          setPassphrasePrompt({ mode: "decrypt", backup: data, sourceName: file.name });
+          return;
+        }
+        stageImport(jsonRows(data), file.name);
       } catch (err) {
         setToastAlert({ message: "Failed to import: " + err.message, type: 'error' });
       }
@@ -465,37 +778,71 @@ export default function TestSeriesTracker() {
     reader.readAsText(file);
   }
 
-  function handleExportCSV() {
-    // Updated headers to include the new provider field
-    const headers = ["subject", "category", "provider", "maxMarks", "obtainedMarks", "correctCount", "incorrectCount", "notAttemptedCount", "percentage", "testRank", "totalTestTakers", "rankPercentile", "date", "notes"];
-    const rows = [headers.join(",")];
-    for (const t of tests) {
-      rows.push(
-        [
-          t.subject, 
-          t.category, 
-          t.provider, // Export provider
-          t.maxMarks, 
-          t.obtainedMarks, 
-          t.correctCount || "", 
-          t.incorrectCount || "", 
-          t.notAttemptedCount || "", 
-          t.percentage, 
-          t.testRank || "", 
-          t.totalTestTakers || "", 
-          t.rankPercentile || "", 
-          t.date, 
-          t.notes
-        ].map(csvEscape).join(",")
-      );
+  function handleImportCSV(file) {
+    setToastAlert(null); 
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      try {
+        const [headers, ...rows] = parseCsv(ev.target.result);
+        if (!headers || rows.length === 0) throw new Error("The CSV file has no data rows.");
+
+        const mapping = suggestColumnMapping(headers);
+        // Our own export maps 1:1, so skip straight to the merge preview.
+        if (isExportedCsv(headers)) {
+          stageImport(csvRowsToRecords(rows, mapping), file.name, mappedFields(mapping));
+        } else {
+          setCsvImport({ sourceName: file.name, headers, rows, mapping });
+        }
+      } catch (err) {
+        setToastAlert({ message: "Failed to import: " + err.message, type: 'error' });
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  function handleConfirmCsvMapping(mapping) {
+    try {
+      stageImport(csvRowsToRecords(csvImport.rows, mapping), csvImport.sourceName, mappedFields(mapping));
+    } catch (err) {
+      setToastAlert({ message: "Failed to import: " + err.message, type: 'error' });
     }
-    const blob = new Blob([rows.join("\n")], { type: "text/csv" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "test-series-data.csv";
-    URL.revokeObjectURL(url);
-    a.click();
+    setCsvImport(null);
+  }
+
+  // Every import path runs rows through the same normalization before the merge preview.
+  // `fields` limits the merge to what a partial source (CSV) carries.
+  function stageImport(rows, sourceName, fields) {
+    const normalized = rows.map((d) => normalizeImportedEntry(d, { category: profile.categories[0], provider: "Other" }));
+    setImportPlan({ sourceName, plan: planImport(tests, normalized, fields) });
+  }
+
+  // Readable entries of a quarantined payload go through the normal merge preview
+  function handleReviewQuarantined(copy) {
+    const { entries, failed } = salvageEntries(copy.raw);
+    stageImport(entries, `Recovered data (${entries.length} readable${failed ? `, ${failed} lost` : ""})`);
+  }
+
+  function handleDiscardQuarantined(copy) {
+    setConfirmModal({
+        message: "Discard this quarantined copy? Download it first if you might still need anything from it.",
+        onConfirm: () => storage.discardQuarantined(copy.id),
+    });
+  }
+
+  function handleConfirmImport(actions) {
+    const { tests: merged, counts } = applyImport(tests, importPlan.plan, actions);
+    snapshotBefore("import");
+    commit("Import", merged);
+    // Imported providers we don't know yet become selectable instead of being reassigned
+    const knownProviders = vocabularyEntries(DEFAULT_PROVIDERS, vocabulary, "providers").map((e) => e.name);
+    const newProviders = [...new Set(merged.map((t) => t.provider))].filter((p) => p && !knownProviders.includes(p));
+    if (newProviders.length) setVocabulary(newProviders.reduce((v, p) => addName(v, "providers", p), vocabulary));
+    setImportPlan(null);
+    setToastAlert({ message: `Import complete: ${counts.added} added, ${counts.overwritten} overwritten, ${counts.skipped} skipped.`, type: 'success', action: undoToastAction });
+  }
+
+  function handleExportCSV() {
+    downloadText(testsToCsv(tests), "test-series-data.csv", "text/csv");
   }
 
   // Use providerFilteredTests as the base for all subsequent filtering and analysis
@@ -504,15 +851,26 @@ export default function TestSeriesTracker() {
       // NOTE: Provider filter is already applied in providerFilteredTests
       
       if (filterSubject !== "All" && t.subject !== filterSubject) return false;
+      if (filterTopic !== "All" && t.topic !== filterTopic) return false;
       if (dateFrom && new Date(t.date) < new Date(dateFrom)) return false;
       if (dateTo && new Date(t.date) > new Date(dateTo)) return false;
       if (search) {
         const s = search.toLowerCase();
-        if (!t.subject.toLowerCase().includes(s) && !(t.notes || "").toLowerCase().includes(s) && !(t.category || "").toLowerCase().includes(s) && !(t.provider || "").toLowerCase().includes(s)) return false;
+        if (!t.subject.toLowerCase().includes(s) && !`${t.topic} ${t.subtopic}`.toLowerCase().includes(s) && !(t.notes || "").toLowerCase().includes(s) && !(t.category || "").toLowerCase().includes(s) && !(t.provider || "").toLowerCase().includes(s)) return false;
       }
       return true;
     });
-  }, [providerFilteredTests, filterSubject, dateFrom, dateTo, search]); // Dependency changed
+  }, [providerFilteredTests, filterSubject, filterTopic, dateFrom, dateTo, search]); // Dependency changed
+
+  // Marking-scheme check and marks lost to negatives for each visible entry
+  const entryScoring = useMemo(() => new Map(filtered.map((t) => {
+      const scheme = schemeOf(t);
+      return [t.id, { scheme, check: checkEntryMarks(t, scheme), negative: negativeMarksFor(t, scheme) }];
+  })), [filtered, schemeOf]);
+
+  // Rank percentiles calibrated per provider/category cohort (see analytics/normalization.js)
+  // Calibrated on the whole log so a test's normalized percentile does not move with the filters
+  const percentileNormalization = useMemo(() => normalizePercentiles(tests), [tests]);
 
   // Summary and chart data generation based on the currently filtered data
   const summary = useMemo(() => {
@@ -520,31 +878,27 @@ export default function TestSeriesTracker() {
     const totalPercentageSum = filtered.reduce((a, b) => a + (b.percentage || 0), 0);
     const avg = filtered.length ? Math.round((totalPercentageSum / filtered.length) * 100) / 100 : 0;
     
-    // Subject Averages (based on filtered data)
-    const bySubject = {};
-    for (const t of filtered) {
-      if (t.subject === DEFAULT_MULTI_SUBJECT) continue; 
-      
-      if (!bySubject[t.subject]) bySubject[t.subject] = { sum: 0, count: 0, items: [] };
-      bySubject[t.subject].sum += t.percentage;
-      bySubject[t.subject].count += 1;
-      bySubject[t.subject].items.push(t);
-    }
-    
-    const subjectAverages = Object.entries(bySubject).map(([subject, v]) => ({ 
-        subject, 
-        avg: Math.round((v.sum / v.count) * 100) / 100, 
-        count: v.count, 
-        items: v.items 
-    })).sort((a, b) => b.avg - a.avg); 
+    // Subject Averages (based on filtered data), rolled up or drilled down to summaryLevel.
+    // Below subject level, response sheets are split per question topic, so full tests count too.
+    const subjectAverages = groupAverages(filtered, summaryLevel, ANALYTICS_HIDDEN_SUBJECTS, schemeOf);
 
     // Rank Analysis (based on filtered data)
+    // Raw: plain mean; normalized: cohort-calibrated and weighted by takers
     const rankedTests = filtered.filter(t => t.rankPercentile !== null);
-    const totalRankPercentileSum = rankedTests.reduce((a, b) => a + (b.rankPercentile || 0), 0);
-    const avgRankPercentile = rankedTests.length ? Math.round((totalRankPercentileSum / rankedTests.length) * 100) / 100 : null;
+    const avgRankPercentile = averagePercentile(percentileNormalization, rankView, filtered);
 
-    return { totalTests, avg, subjectAverages, avgRankPercentile, rankedTestsCount: rankedTests.length };
-  }, [filtered]);
+    // Marks lost to negatives (recorded, or estimated from counts), the same values the log rows show
+    const negatives = filtered
+        .map(t => entryScoring.get(t.id).negative)
+        .filter(n => n !== null);
+    const negativeMarksTotal = Math.round(negatives.reduce((a, b) => a + b, 0) * 100) / 100;
+    const avgNegativeMarks = negatives.length ? Math.round((negativeMarksTotal / negatives.length) * 100) / 100 : null;
+
+    // Accuracy over every question with R/W/NA counts
+    const accuracy = overallAccuracy(filtered);
+
+    return { totalTests, avg, subjectAverages, avgRankPercentile, rankedTestsCount: rankedTests.length, negativeMarksTotal, avgNegativeMarks, accuracy };
+  }, [filtered, entryScoring, summaryLevel, percentileNormalization, rankView, schemeOf]);
   
   // All chart data relies on 'filtered'
 
@@ -553,12 +907,17 @@ export default function TestSeriesTracker() {
     return arr.map((t) => ({ name: t.date, percentage: t.percentage, category: t.category, subject: t.subject, provider: t.provider }));
   }, [filtered]);
 
+  const fullTests = useMemo(() => filtered.filter(t => profile.fullTestCategories.includes(t.category)), [filtered, profile]);
+
   const fullTestChartData = useMemo(() => {
-      const arr = filtered
-          .filter(t => FULL_TEST_CATEGORIES.includes(t.category))
-          .sort((a, b) => new Date(a.date) - new Date(b.date));
+      const arr = [...fullTests].sort((a, b) => new Date(a.date) - new Date(b.date));
       return arr.map((t) => ({ name: t.date, percentage: t.percentage, category: t.category, provider: t.provider }));
-  }, [filtered]);
+  }, [fullTests]);
+
+  // Marks-vs-rank tables for the active profile
+  const rankTables = useMemo(() => (
+      predictionSettings.tables.filter((t) => t.profileId === profile.id)
+  ), [predictionSettings.tables, profile.id]);
 
   const rankChartData = useMemo(() => {
     const arr = [...filtered] 
@@ -566,26 +925,81 @@ export default function TestSeriesTracker() {
         .sort((a, b) => new Date(a.date) - new Date(b.date));
     return arr.map((t) => ({ 
         name: t.date, 
-        rankPercentile: t.rankPercentile, 
+        rankPercentile: rankView === "normalized" ? percentileNormalization.byId.get(t.id).normalized : t.rankPercentile, 
+        rawPercentile: t.rankPercentile,
+        totalTestTakers: t.totalTestTakers,
         category: t.category,
         subject: t.subject,
         provider: t.provider
     })); 
-  }, [filtered]);
+  }, [filtered, percentileNormalization, rankView]);
 
+  // Weak means below the subject's score goal (or the overall one, or 65% without goals)
   const topWeakestSubjects = useMemo(() => {
       return summary.subjectAverages
-          .filter(s => s.avg < 65) 
+          .map(s => ({ ...s, target: scoreTargetFor(goals, s.subject) }))
+          .filter(s => s.avg < s.target) 
           .sort((a, b) => a.avg - b.avg) 
           .slice(0, 5); 
-  }, [summary.subjectAverages]);
+  }, [summary.subjectAverages, goals]);
+
+  // Marks lost per mistake kind, to tell weak subjects that need study from ones that need care
+  const mistakeKinds = useMemo(() => subjectMistakeKinds(filtered), [filtered]);
+
+  // Shaded preparation phases behind a date-axis chart
+  function renderPhaseAreas(data) {
+    if (!timeline.shadeCharts) return null;
+    return phaseAreas(timeline.phases, data).map((a) => (
+      <ReferenceArea key={a.id} x1={a.x1} x2={a.x2} fill={a.color} fillOpacity={0.4} label={{ value: a.label, position: "insideTop", fontSize: 10, fill: "#6b7280" }} />
+    ));
+  }
+
+  // Goal target lines for the charts' current selection
+  const filterSubjects = filterSubject !== "All" ? [filterSubject] : [];
+  const overallTargets = chartTargets(goals, "avg", { subjects: filterSubjects });
+  const fullTestTargets = chartTargets(goals, "avg", { categories: profile.fullTestCategories });
+  const rankTargets = chartTargets(goals, "percentile", { subjects: filterSubjects });
+
+  function handleTakeSnapshot() {
+    snapshots.take(tests, "manual")
+      .then((kept) => {
+        if (!kept) setToastAlert({ message: "The log is too large to keep a snapshot of on this device.", type: 'error' });
+      })
+      .catch(() => setToastAlert({ message: "The snapshot could not be saved.", type: 'error' }));
+  }
+
+  // Snapshot of the current log before a destructive change. The change stays undoable,
+  // so a snapshot that could not be kept warns instead of blocking it.
+  function snapshotBefore(reason) {
+    const warn = (why) => setToastAlert({ message: `No snapshot was kept before this change: ${why} Undo is still available.`, type: 'warning', action: undoToastAction });
+    snapshots.take(tests, reason)
+      .then((kept) => {
+        if (!kept) warn("the log is too large for the space set aside for snapshots.");
+      })
+      .catch(() => warn("the snapshot could not be saved."));
+  }
+
+  function handleRestoreSnapshot(snapshot) {
+    snapshotBefore("restore");
+    commit("Restore snapshot", snapshotTests(snapshot));
+    setShowSnapshots(false);
+    setToastAlert({ message: `Restored the snapshot of ${snapshot.at.slice(0, 16).replace("T", " ")} (${snapshot.count} entries).`, type: 'success', action: undoToastAction });
+  }
+
+  function handleRestoreSnapshotEntries(snapshot, diff, ids) {
+    snapshotBefore("restore");
+    commit("Restore entries", (prev) => applyPatch(prev, restorePatch(diff, ids)));
+    setShowSnapshots(false);
+    setToastAlert({ message: `Restored ${ids.size} entries from the snapshot of ${snapshot.at.slice(0, 16).replace("T", " ")}.`, type: 'success', action: undoToastAction });
+  }
 
   function handleClearAll() {
     setConfirmModal({
-        message: "Are you sure you want to clear all tests? This cannot be undone.",
+        message: "Are you sure you want to clear all tests? You can undo this from the toolbar or with Ctrl+Z.",
         onConfirm: () => {
-            setTests([]);
-            setToastAlert({ message: "All test data cleared.", type: 'success' });
+            snapshotBefore("clear-all");
+            commit("Clear all", []);
+            setToastAlert({ message: "All test data cleared.", type: 'success', action: undoToastAction });
         }
     });
   }
@@ -608,9 +1022,11 @@ export default function TestSeriesTracker() {
         return;
     }
 
-    const systemInstruction = "You are a concise engineering tutor. Expand the user's short note about a conceptual mistake or weakness into a 1-2 paragraph detailed explanation of the core concept and why it's important for GATE ECE. Use markdown formatting. Include 1 specific formula or key term related to the topic.";
+    const systemInstruction = `You are a concise engineering tutor. Expand the user's short note about a conceptual mistake or weakness into a 1-2 paragraph detailed explanation of the core concept and why it's important for ${profile.name}. Use markdown formatting. Include 1 specific formula or key term related to the topic.`;
     
-    const userPrompt = `Expand this note, assuming it relates to GATE ECE: "${form.notes}"`;
+    // Only the short note is expanded; re-expanding replaces the earlier expansion
+    const shortNote = cardText(form.notes).prompt || form.notes.trim();
+    const userPrompt = `Expand this note, assuming it relates to ${profile.name}: "${shortNote}"`;
 
     const payload = {
         contents: [{ parts: [{ text: userPrompt }] }],
@@ -628,10 +1044,10 @@ export default function TestSeriesTracker() {
         });
 
         const result = await response.json();
-        const expandedText = result.candidates?.[0]?.content?.parts?.[0]?.text || form.notes + "\n\n[Failed to generate detailed expansion.]";
+        const expandedText = result.candidates?.[0]?.content?.parts?.[0]?.text || "[Failed to generate detailed expansion.]";
         
-        // Update the form notes with the expanded text
-        setForm(prev => ({ ...prev, notes: expandedText }));
+        // Keep the short note as the first paragraph: it becomes the revision card's prompt, the expansion its answer
+        setForm(prev => ({ ...prev, notes: `${shortNote}\n\n${expandedText}` }));
         setToastAlert({ message: "Note expanded and saved to the input field!", type: 'success' });
 
     } catch (error) {
@@ -658,10 +1074,10 @@ export default function TestSeriesTracker() {
     }
 
     const weakSubjectsForLLM = summary.subjectAverages
-        .filter(s => ECE_SUBJECTS.includes(s.subject) && s.subject !== DEFAULT_MULTI_SUBJECT)
+        .filter(s => examSubjects.includes(s.subject) && s.subject !== DEFAULT_MULTI_SUBJECT)
         .sort((a, b) => a.avg - b.avg) 
         .slice(0, 5) 
-        .map(s => `Subject: ${s.subject}, Avg Score: ${s.avg}% (from ${s.count} tests)`)
+        .map(s => `${TAXONOMY_LEVELS.find((l) => l.id === summaryLevel).label}: ${s.label}, Avg Score: ${s.avg}% (from ${s.count} tests)`)
         .join("\n");
 
     if (summary.totalTests < 2) {
@@ -670,21 +1086,35 @@ export default function TestSeriesTracker() {
         return;
     }
 
+    const timeManagement = describeTimeManagement(timeAnalytics(filtered));
+    const mistakeSummary = describeMistakes(mistakeAnalytics(filtered));
+    const studySummary = describeStudy(studyImpact(studyLog.sessions, filtered, schemeOf), studyLog.weeklyGoal, weeklyTotals(studyLog.sessions, today).at(-1).hours);
+
     const providerContext = filterProvider !== "All" ? `(Only analyzing tests from ${filterProvider} Test Series Provider)` : "(Analyzing combined data from all providers)";
 
-    const systemInstruction = "Act as a highly experienced GATE ECE preparation mentor. Your goal is to analyze the student's test performance data (especially low scores) and provide constructive, specific, and actionable advice. The response must be formatted clearly using markdown headers and lists.";
+    const systemInstruction = `Act as a highly experienced ${profile.name} preparation mentor. Your goal is to analyze the student's test performance data (especially low scores) and provide constructive, specific, and actionable advice. The response must be formatted clearly using markdown headers and lists.`;
     
-    const userPrompt = `Analyze the following weakest GATE ECE subject performance data and provide a personalized study plan focused on the next 7 days. ${providerContext}
+    const userPrompt = `Analyze the following weakest ${profile.name} subject performance data and provide a personalized study plan focused on the next 7 days. ${providerContext}
     
-    The user's average rank percentile is ${summary.avgRankPercentile}% (if available, otherwise ignore).
+    The user's average rank percentile is ${summary.avgRankPercentile}%${rankView === "normalized" ? " (normalized across providers, weighted by takers)" : ""} (if available, otherwise ignore).
 
 Weakest Subjects Performance:
 ${weakSubjectsForLLM}
 
+Time Management Data:
+${timeManagement || "No timing data recorded."}
+
+Mistake Log (marks lost by error type):
+${mistakeSummary || "No mistakes logged."}
+
+Study Hours:
+${studySummary || "No study sessions logged."}
+
 Based on this data, please provide:
 1. A summary of the 3 most critical weak subjects that require immediate attention.
-2. A 3-step, highly specific action plan for each of these 3 critical subjects to improve their score.
-3. A general tip for improving time management and rank percentile in the next full mock test.`;
+2. A 3-step, highly specific action plan for each of these 3 critical subjects to improve their score (conceptual revision where losses are mostly concept gaps, practice discipline where they are careless).
+3. A tip for improving time management (based on the time management data above, if any) and rank percentile in the next full mock test.
+4. How to split next week's study hours between activities (lectures, PYQs, revision, practice), based on the study hours data above, if any.`;
 
     const payload = {
         contents: [{ parts: [{ text: userPrompt }] }],
@@ -713,6 +1143,91 @@ Based on this data, please provide:
     }
   }
 
+  // Writes item values restored by undo/redo (see history/useTestHistory.js).
+  function applyHistoryItems(values) {
+    const setters = { vocabulary: setVocabulary, markingSchemes: setMarkingSettings, catalog: setCatalog, goals: setGoals, studyLog: setStudyLog };
+    Object.entries(values).forEach(([name, value]) => setters[name]?.(value));
+  }
+
+  // Points logged tests, the catalog, goals and study log at `to` instead of `from`, together with the
+  // already computed vocabulary and marking settings, as one undoable change; then the filters and the form.
+  function retargetName(kind, from, to, label, nextVocabulary, nextMarkingSettings) {
+    const { field, singular } = VOCABULARY_KINDS.find((k) => k.id === kind);
+    const before = { vocabulary, markingSchemes: markingSettings, catalog, goals, studyLog };
+    const after = {
+        vocabulary: nextVocabulary,
+        markingSchemes: nextMarkingSettings,
+        catalog: renameInCatalog(catalog, field, from, to),
+        goals: renameInGoals(goals, field, from, to),
+        studyLog: renameInStudyLog(studyLog, field, from, to),
+    };
+    applyHistoryItems(after);
+    commit(`${label} ${singular}`, (prev) => renameInEntries(prev, field, from, to), { before, after });
+    if (kind === "providers" && filterProvider === from) setFilterProvider(to);
+    if (kind === "subjects" && filterSubject === from) setFilterSubject(to);
+    if (form[field] === from) setForm((prev) => ({ ...prev, [field]: to }));
+  }
+
+  function handleRenameName(kind, from, to) {
+    let nextMarkingSettings = markingSettings;
+    // A renamed provider keeps its marking scheme
+    if (kind === "providers" && markingSettings.providerSchemes[from]) {
+        const { [from]: schemeId, ...providerSchemes } = markingSettings.providerSchemes;
+        nextMarkingSettings = { ...markingSettings, providerSchemes: { ...providerSchemes, [to]: schemeId } };
+    }
+    retargetName(kind, from, to, "Rename", renameName(vocabulary, kind, from, to, vocabularyDefaults[kind], baseProfile), nextMarkingSettings);
+    setToastAlert({ message: `Renamed "${from}" to "${to}" in ${vocabularyCounts[kind][from] || 0} tests.`, type: 'success', action: undoToastAction });
+  }
+
+  function handleMergeName(kind, from, into) {
+    const count = vocabularyCounts[kind][from] || 0;
+    setConfirmModal({
+        message: `Merge "${from}" into "${into}"? ${count} test(s) will be moved to "${into}" and "${from}" will be removed from the list.`,
+        onConfirm: () => {
+            let nextMarkingSettings = markingSettings;
+            // The merged name's own scheme is dropped; the target keeps its own
+            if (kind === "providers" && markingSettings.providerSchemes[from]) {
+                const { [from]: _dropped, ...providerSchemes } = markingSettings.providerSchemes;
+                nextMarkingSettings = { ...markingSettings, providerSchemes };
+            }
+            retargetName(kind, from, into, "Merge", mergeName(vocabulary, kind, from, into, vocabularyDefaults[kind]), nextMarkingSettings);
+            setToastAlert({ message: `Merged "${from}" into "${into}" (${count} tests).`, type: 'success', action: undoToastAction });
+        }
+    });
+  }
+
+  function handleSwitchBackend(backend) {
+    if (backend === storage.backend) return;
+    const label = STORAGE_BACKENDS.find((b) => b.id === backend)?.label || backend;
+    setConfirmModal({
+        message: `Switch storage to ${label}? Your current tests will be copied over and the page will reload.`,
+        onConfirm: () => {
+            storage.switchBackend(backend).catch((err) => {
+                setToastAlert({ message: "Failed to switch storage: " + err.message, type: 'error' });
+            });
+        }
+    });
+  }
+
+  function handleResolveAccountSwitch(choice) {
+    if (choice !== "replace") {
+        cloudSync.resolveAccountSwitch(choice);
+        return;
+    }
+    setConfirmModal({
+        message: `Replace this log with the tests synced to ${cloudSync.status.email}? A snapshot of the current log is taken first.`,
+        // Replacing cannot be undone, so nothing is replaced without the snapshot
+        onConfirm: () => {
+            snapshots.take(tests, "account-switch")
+                .then((kept) => {
+                    if (kept) cloudSync.resolveAccountSwitch("replace");
+                    else setToastAlert({ message: "The log is too large to snapshot on this device, so it was not replaced. Export a backup first, or merge instead.", type: 'error' });
+                })
+                .catch(() => setToastAlert({ message: "The snapshot could not be saved, so the log was not replaced.", type: 'error' }));
+        }
+    });
+  }
+
   // Confirmation Modal Component
   const ConfirmationModal = () => {
     if (!confirmModal) return null;
@@ -740,6 +1255,13 @@ Based on this data, please provide:
     );
   };
 
+  if (!storage.ready) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center text-gray-600 font-['Inter',sans-serif]">
+        <Loader size={24} className="animate-spin mr-3 text-indigo-600" /> Loading your test log...
+      </div>
+    );
+  }
 
   return (
     <div className="min-h-screen bg-gray-50 p-4 md:p-8 font-['Inter',sans-serif]">
@@ -748,14 +1270,53 @@ Based on this data, please provide:
         <header className="flex flex-wrap items-center justify-between mb-6 border-b pb-4">
           <h1 className="text-3xl md:text-4xl font-extrabold text-indigo-900 flex items-center">
             <TrendingUp size={32} className="mr-3 text-pink-600" />
-            GATE ECE Tracker
+            {profile.name} Tracker
           </h1>
-          <p className="text-sm text-gray-600 mt-2 md:mt-0">Analyze. Adapt. Ace. (Targeting GATE 2026)</p>
+          <div className="flex items-center gap-3 mt-2 md:mt-0">
+            <p className="text-sm text-gray-600">
+              Analyze. Adapt. Ace. (Targeting {profile.exam} {timeline.examDate ? timeline.examDate.slice(0, 4) : 2026}{examDaysLeft > 0 ? ` · ${examDaysLeft} days to go` : ""})
+            </p>
+            <select 
+                value={profile.id} 
+                onChange={(e) => setProfileId(e.target.value)} 
+                className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm shadow-sm" 
+                title="Exam profile for this dataset (subjects, categories, marking scheme)"
+            >
+                {EXAM_PROFILES.map((p) => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+            </select>
+          </div>
         </header>
 
+        <QuarantineNotice
+          unreadable={storage.unreadable}
+          records={storage.quarantine}
+          canImport={!storage.readOnly}
+          onReview={handleReviewQuarantined}
+          onDiscard={handleDiscardQuarantined}
+        />
+        {storage.readOnly && !storage.unreadable && (
+            <div className="mb-6 p-4 bg-yellow-50 border border-yellow-400 rounded-xl text-sm text-yellow-800 flex items-center">
+                <AlertTriangle size={18} className="mr-2 flex-shrink-0" />
+                Your saved data was written by a newer version of this tracker (storage v{storage.version}). It is shown read-only and changes will not be saved until you update.
+            </div>
+        )}
+        {storage.error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-400 rounded-xl text-sm text-red-800 flex items-center">
+                <AlertTriangle size={18} className="mr-2 flex-shrink-0" />
+                Your latest changes could not be saved ({storage.error}). Export a JSON backup before closing this tab.
+            </div>
+        )}
+
         {/* Input Form - Refactored to multi-row responsive grid */}
         <form onSubmit={handleAddOrUpdate} className="bg-white p-6 rounded-2xl shadow-2xl mb-8 border border-indigo-200">
-          <h2 className="text-xl font-semibold text-gray-800 mb-4">{form.id ? "Edit Test Entry" : "Add New Test Entry"}</h2>
+          <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+            <h2 className="text-xl font-semibold text-gray-800">{form.id ? "Edit Test Entry" : "Add New Test Entry"}</h2>
+            <button type="button" onClick={() => setShowVocabulary(true)} className="text-sm text-indigo-600 hover:underline flex items-center">
+              <Tags size={14} className="mr-1" /> Manage providers, categories &amp; subjects
+            </button>
+          </div>
           
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
             
@@ -768,16 +1329,21 @@ Based on this data, please provide:
                 value={form.category} 
                 onChange={(e) => {
                     const newCategory = e.target.value;
-                    const requiresSubject = SUBJECT_REQUIRED_CATEGORIES.includes(newCategory);
+                    const requiresSubject = profile.subjectCategories.includes(newCategory);
+                    // Follow the profile's default max marks unless the user typed their own
+                    const keepMaxMarks = form.maxMarks !== "" && Number(form.maxMarks) !== profile.defaultMaxMarks[form.category];
                     setForm({ 
                         ...form, 
                         category: newCategory,
-                        subject: requiresSubject ? form.subject : DEFAULT_MULTI_SUBJECT 
+                        maxMarks: keepMaxMarks ? form.maxMarks : String(profile.defaultMaxMarks[newCategory] ?? ""),
+                        subject: requiresSubject ? form.subject : DEFAULT_MULTI_SUBJECT,
+                        topic: requiresSubject ? form.topic : "",
+                        subtopic: requiresSubject ? form.subtopic : ""
                     });
                 }} 
                 className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm"
               >
-                {TEST_CATEGORIES.map((cat) => (
+                {withCurrent(profile.categories, form.category).map((cat) => (
                   <option key={cat} value={cat}>{cat}</option>
                 ))}
               </select>
@@ -785,29 +1351,32 @@ Based on this data, please provide:
 
             {/* NEW: Test Series Provider Dropdown (1/4) */}
             <div>
-              <label className="block text-xs font-medium text-gray-700">Test Series Provider</label>
+              <label className="block text-xs font-medium text-gray-700">
+                Test Series Provider
+                <button type="button" onClick={() => setShowMarkingSchemes(true)} className="ml-2 text-indigo-600 hover:underline font-normal">Marking scheme: {formScheme.name}</button>
+              </label>
               <select 
                 value={form.provider} 
                 onChange={(e) => setForm({ ...form, provider: e.target.value })} 
                 className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm"
               >
-                {TEST_PROVIDERS.map((prov) => (
+                {withCurrent(profile.providers, form.provider).map((prov) => (
                   <option key={prov} value={prov}>{prov}</option>
                 ))}
               </select>
             </div>
             
             {/* Subject Field (1/4) */}
-            <div className={!SUBJECT_REQUIRED_CATEGORIES.includes(form.category) ? 'opacity-60' : ''}>
+            <div className={!profile.subjectCategories.includes(form.category) ? 'opacity-60' : ''}>
               <label className="block text-xs font-medium text-gray-700">Subject</label>
-              {SUBJECT_REQUIRED_CATEGORIES.includes(form.category) ? (
+              {profile.subjectCategories.includes(form.category) ? (
                   <select 
                     value={form.subject} 
-                    onChange={(e) => setForm({ ...form, subject: e.target.value })} 
+                    onChange={(e) => setForm({ ...form, subject: e.target.value, topic: "", subtopic: "" })} 
                     className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm" 
                     required
                   >
-                    {ECE_SUBJECTS.filter(s => s !== DEFAULT_MULTI_SUBJECT).map((sub) => (
+                    {withCurrent(analyticsSubjects, form.subject).map((sub) => (
                         <option key={sub} value={sub}>{sub}</option>
                     ))}
                   </select>
@@ -821,15 +1390,47 @@ Based on this data, please provide:
               )}
             </div>
             
+            {/* Topic / Subtopic (1/4) - optional syllabus tags for subject-specific tests */}
+            {profile.subjectCategories.includes(form.category) && topicsFor(profile.syllabus, form.subject).length > 0 && (
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Topic / Subtopic</label>
+                <div className="flex gap-2 mt-1">
+                  <select 
+                    value={form.topic} 
+                    onChange={(e) => setForm({ ...form, topic: e.target.value, subtopic: "" })} 
+                    className="w-full border border-gray-300 rounded-lg px-2 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm"
+                  >
+                    <option value="">Whole subject</option>
+                    {topicsFor(profile.syllabus, form.subject).map((topic) => (
+                        <option key={topic} value={topic}>{topic}</option>
+                    ))}
+                  </select>
+                  <select 
+                    value={form.subtopic} 
+                    onChange={(e) => setForm({ ...form, subtopic: e.target.value })} 
+                    disabled={!form.topic}
+                    className="w-full border border-gray-300 rounded-lg px-2 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm disabled:bg-gray-100"
+                  >
+                    <option value="">Whole topic</option>
+                    {subtopicsFor(profile.syllabus, form.subject, form.topic).map((sub) => (
+                        <option key={sub} value={sub}>{sub}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+
             {/* Obtained Marks (1/4) */}
             <div>
               <label className="block text-xs font-medium text-gray-700">Obtained Marks</label>
               <input 
                 type="text" 
                 step="0.01" 
-                value={form.obtainedMarks} 
+                value={formSheet ? formSheet.obtainedMarks : form.obtainedMarks} 
                 onChange={(e) => setForm({ ...form, obtainedMarks: e.target.value })} 
-                className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm" 
+                disabled={!!formSheet}
+                title={formSheet ? "Derived from the response sheet" : undefined}
+                className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm disabled:bg-gray-100" 
                 inputMode="decimal" 
                 placeholder="e.g. 25.50"
                 required
@@ -844,9 +1445,11 @@ Based on this data, please provide:
               <input 
                 type="text" 
                 step="0.01" 
-                value={form.maxMarks} 
+                value={formSheet ? formSheet.maxMarks : form.maxMarks} 
                 onChange={(e) => setForm({ ...form, maxMarks: e.target.value })} 
-                className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm" 
+                disabled={!!formSheet}
+                title={formSheet ? "Derived from the response sheet" : undefined}
+                className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm disabled:bg-gray-100" 
                 inputMode="decimal" 
                 placeholder="e.g. 30.00"
                 required
@@ -856,19 +1459,19 @@ Based on this data, please provide:
             {/* Correct Count (1/4) */}
             <div>
               <label className="block text-xs font-medium text-gray-700">Correct Count (R)</label>
-              <input type="number" value={form.correctCount} onChange={(e) => setForm({ ...form, correctCount: e.target.value })} className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm" min="0" placeholder="e.g. 50" />
+              <input type="number" value={formSheet ? formSheet.correctCount : form.correctCount} onChange={(e) => setForm({ ...form, correctCount: e.target.value })} disabled={!!formSheet} className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm disabled:bg-gray-100" min="0" placeholder="e.g. 50" />
             </div>
 
             {/* Incorrect Count (1/4) */}
             <div>
               <label className="block text-xs font-medium text-gray-700">Incorrect Count (W)</label>
-              <input type="number" value={form.incorrectCount} onChange={(e) => setForm({ ...form, incorrectCount: e.target.value })} className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm" min="0" placeholder="e.g. 10" />
+              <input type="number" value={formSheet ? formSheet.incorrectCount : form.incorrectCount} onChange={(e) => setForm({ ...form, incorrectCount: e.target.value })} disabled={!!formSheet} className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm disabled:bg-gray-100" min="0" placeholder="e.g. 10" />
             </div>
 
             {/* Not Attempted Count (1/4) */}
             <div>
               <label className="block text-xs font-medium text-gray-700">Not Attempted (NA)</label>
-              <input type="number" value={form.notAttemptedCount} onChange={(e) => setForm({ ...form, notAttemptedCount: e.target.value })} className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm" min="0" placeholder="e.g. 5" />
+              <input type="number" value={formSheet ? formSheet.notAttemptedCount : form.notAttemptedCount} onChange={(e) => setForm({ ...form, notAttemptedCount: e.target.value })} disabled={!!formSheet} className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm disabled:bg-gray-100" min="0" placeholder="e.g. 5" />
             </div>
             
             {/* Row 3: Rank, Date, Notes */}
@@ -890,14 +1493,99 @@ Based on this data, please provide:
               <label className="block text-xs font-medium text-gray-700">Date</label>
               <input type="date" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm" required/>
             </div>
+
+            {/* Negative Marks (1/4) - optional, estimated from counts when left blank */}
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Negative Marks</label>
+              <input 
+                type="text" 
+                inputMode="decimal" 
+                value={formSheet ? formSheet.negativeMarks : form.negativeMarks} 
+                onChange={(e) => setForm({ ...form, negativeMarks: e.target.value })} 
+                disabled={!!formSheet}
+                className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm disabled:bg-gray-100" 
+                placeholder={formMarksCheck?.negativeMarks != null ? `est. ${formMarksCheck.negativeMarks}` : "e.g. 2.67"}
+              />
+            </div>
+
+            {/* Time Taken / Limit (1/4) - minutes, optional */}
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Time Taken / Limit (min)</label>
+              <div className="flex gap-2 mt-1">
+                <input 
+                  type="text" 
+                  inputMode="decimal" 
+                  value={formSheet?.totalTime ? Math.round((formSheet.totalTime / 60) * 100) / 100 : form.timeTaken} 
+                  onChange={(e) => setForm({ ...form, timeTaken: e.target.value })} 
+                  disabled={!!formSheet?.totalTime}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm disabled:bg-gray-100" 
+                  placeholder="e.g. 165"
+                />
+                <input 
+                  type="text" 
+                  inputMode="decimal" 
+                  value={form.timeLimit} 
+                  onChange={(e) => setForm({ ...form, timeLimit: e.target.value })} 
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm" 
+                  placeholder="e.g. 180"
+                />
+              </div>
+              <label className="flex items-center text-xs text-gray-600 mt-1">
+                <input type="checkbox" checked={form.timeRanOut} onChange={(e) => setForm({ ...form, timeRanOut: e.target.checked })} className="mr-1.5" />
+                Ran out of time
+              </label>
+            </div>
+
+            {/* Section Time (1/4) - optional, derived from the response sheet when it records time */}
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Section Time (min, optional)</label>
+              <div className="flex gap-2 mt-1">
+                {QUESTION_SECTIONS.map((section) => (
+                  <input 
+                    key={section}
+                    type="text" 
+                    inputMode="decimal" 
+                    value={form.sectionTimes[section] ?? ""} 
+                    onChange={(e) => setForm({ ...form, sectionTimes: { ...form.sectionTimes, [section]: e.target.value } })} 
+                    disabled={!!formSheet?.totalTime}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm disabled:bg-gray-100" 
+                    placeholder={section}
+                    title={`${section} section time`}
+                  />
+                ))}
+              </div>
+            </div>
+            
+            {/* Catalog Test (1/4) - links the result to a scheduled test of a registered series */}
+            {(formSlotGroups.length > 0 || form.catalogSlotId) && (
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Test Series Slot</label>
+                <select 
+                  value={form.catalogSlotId} 
+                  onChange={(e) => handleSelectSlot(e.target.value)} 
+                  className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm"
+                >
+                  <option value="">Not from a registered series</option>
+                  {form.catalogSlotId && !findSlot(catalog, form.catalogSlotId) && <option value={form.catalogSlotId}>Removed from catalog</option>}
+                  {formSlotGroups.map(({ series, slots }) => (
+                    <optgroup key={series.id} label={`${series.name} (${series.provider})`}>
+                      {slots.map((slot) => (
+                        <option key={slot.id} value={slot.id}>{slot.name}{slot.scheduledDate && ` — ${slot.scheduledDate}`}</option>
+                      ))}
+                    </optgroup>
+                  ))}
+                </select>
+              </div>
+            )}
             
              {/* Notes (Full span, but split into two columns for the button) */}
             <div className="lg:col-span-2">
               <label className="block text-xs font-medium text-gray-700">Notes (Mistakes/Concepts you struggled with)</label>
               <div className="flex gap-2 mt-1">
-                  <input 
+                  <textarea 
                       value={form.notes} 
                       onChange={(e) => setForm({ ...form, notes: e.target.value })} 
+                      rows={2}
                       className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm" 
                       placeholder="e.g. Forgot formula for time constant in RC circuit." 
                   />
@@ -915,7 +1603,7 @@ Based on this data, please provide:
                       )}
                   </button>
               </div>
-              <p className="text-xs text-gray-500 mt-1">Use "Expand ✨" to turn your short note into a detailed conceptual reminder.</p>
+              <p className="text-xs text-gray-500 mt-1">Use "Expand ✨" to turn your short note into a detailed conceptual reminder. Notes become revision cards.</p>
             </div>
 
 
@@ -926,34 +1614,119 @@ Based on this data, please provide:
               >
                 {form.id ? "Update Test" : "Add Test Entry"}
               </button>
+              <button type="button" onClick={() => setShowResponseSheet((v) => !v)} className={`px-3 py-2.5 border rounded-lg text-sm transition duration-150 shadow-sm ${showResponseSheet ? 'border-indigo-400 bg-indigo-50 text-indigo-700' : 'border-gray-300 text-gray-700 hover:bg-gray-100'}`}>Response Sheet</button>
+              <button type="button" onClick={() => setShowMistakeLog((v) => !v)} className={`px-3 py-2.5 border rounded-lg text-sm transition duration-150 shadow-sm ${showMistakeLog ? 'border-red-400 bg-red-50 text-red-700' : 'border-gray-300 text-gray-700 hover:bg-gray-100'}`}>Mistakes</button>
               <button type="button" onClick={resetForm} className="px-3 py-2.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100 transition duration-150 shadow-sm">Reset</button>
             </div>
           </div>
+
+          {formMarksCheck && formMarksCheck.status !== "unknown" && (
+            <p className={`text-xs mt-3 flex items-center ${formMarksCheck.status === "mismatch" ? "text-red-600 font-semibold" : "text-gray-500"}`}>
+              {formMarksCheck.status === "mismatch" ? <AlertTriangle size={14} className="mr-1.5" /> : <Info size={14} className="mr-1.5" />}
+              Expected from R/W/NA under {formScheme.name}: {formMarksCheck.min}–{formMarksCheck.max} marks (≈{formMarksCheck.negativeMarks} lost to negatives).
+              {formMarksCheck.status === "mismatch" && " The typed obtained marks don't match the counts."}
+            </p>
+          )}
+
+          {(showResponseSheet || form.responses.length > 0) && (
+            <ResponseSheetEditor
+              responses={form.responses}
+              subjects={analyticsSubjects}
+              syllabus={profile.syllabus}
+              onChange={(responses) => setForm((prev) => ({ ...prev, responses }))}
+            />
+          )}
+
+          {(showMistakeLog || form.mistakes.length > 0) && (
+            <MistakeLogEditor
+              mistakes={form.mistakes}
+              subjects={analyticsSubjects}
+              defaultSubject={form.subject}
+              syllabus={profile.syllabus}
+              responses={form.responses}
+              scheme={formScheme}
+              onChange={(mistakes) => setForm((prev) => ({ ...prev, mistakes }))}
+            />
+          )}
         </form>
         
         {/* NEW SECTION: TOP 5 WEAKEST SUBJECTS */}
         {topWeakestSubjects.length > 0 && (
             <section className="bg-white p-6 rounded-2xl shadow-2xl mb-8 border border-red-300">
-                <h2 className="text-xl font-semibold text-red-700 mb-4 flex items-center">
-                    <AlertTriangle size={20} className="mr-2" /> Top 5 Weakest Subjects (Score Below 65%) {filterProvider !== "All" && `— ${filterProvider}`}
-                </h2>
+                <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+                    <h2 className="text-xl font-semibold text-red-700 flex items-center">
+                        <AlertTriangle size={20} className="mr-2" /> Top 5 Weakest {summaryLevel === "subject" ? "Subjects" : summaryLevel === "topic" ? "Topics" : "Subtopics"} (Below Target Score) {filterProvider !== "All" && `— ${filterProvider}`}
+                    </h2>
+                    <SummaryLevelSelect value={summaryLevel} onChange={setSummaryLevel} />
+                </div>
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
                     {topWeakestSubjects.map((s, index) => (
-                        <div key={s.subject} className="p-4 bg-red-50 rounded-xl border border-red-400 shadow-md transition hover:shadow-lg">
-                            <p className="text-sm font-bold text-red-900 mb-1">{s.subject}</p>
+                        <div key={s.label} className="p-4 bg-red-50 rounded-xl border border-red-400 shadow-md transition hover:shadow-lg">
+                            <p className="text-sm font-bold text-red-900 mb-1">{s.label}</p>
                             <p className="text-3xl font-extrabold text-red-600 leading-none">{s.avg}%</p>
-                            <p className="text-xs text-red-700 mt-1">{s.count} tests logged</p>
+                            <p className="text-xs text-red-700 mt-1">{s.count} tests logged · target {s.target}%</p>
+                            {summaryLevel === "subject" && mistakeKinds.get(s.subject)?.dominant && (
+                                <p className="text-xs text-red-800 mt-1 font-medium">
+                                    Mostly {MISTAKE_KINDS.find((k) => k.id === mistakeKinds.get(s.subject).dominant).label.toLowerCase()} (−{Math.round(mistakeKinds.get(s.subject).total * 100) / 100} marks logged)
+                                </p>
+                            )}
                         </div>
                     ))}
                 </div>
                 <p className="text-sm text-red-600 mt-4 flex items-center">
                     <Info size={16} className="mr-1.5" />
-                    Focus on concepts in these subjects to maximize your GATE score potential.
+                    Focus on concepts in these subjects to maximize your {profile.exam} score potential.
                 </p>
             </section>
         )}
 
 
+        {/* Exam countdown and preparation phases with test-volume targets */}
+        <TimelinePanel
+          timeline={timeline}
+          items={phaseItems}
+          examName={profile.exam}
+          daysLeft={examDaysLeft}
+          today={today}
+          onChange={setTimeline}
+          onAddPhase={handleAddPhase}
+          onDeletePhase={handleDeletePhase}
+          onSuggest={() => setTimeline({ ...timeline, phases: suggestPhases(timeline.examDate, today) })}
+        />
+
+        {/* Goals: progress towards target scores / percentiles, off-pace warnings */}
+        <GoalsPanel
+          items={goalItems}
+          subjects={analyticsSubjects}
+          categories={profile.categories}
+          onAdd={handleAddGoal}
+          onDelete={handleDeleteGoal}
+        />
+
+        {/* Revision queue: spaced-repetition cards from test notes */}
+        <RevisionPanel revision={revision} onReview={handleReviewCard} onOpenTest={handleEdit} />
+
+        {/* Study Log: sessions, weekly hours vs goal */}
+        <StudyLogPanel
+          log={studyLog}
+          subjects={profile.subjects}
+          syllabus={profile.syllabus}
+          today={today}
+          onAdd={handleAddSession}
+          onDelete={handleDeleteSession}
+          onGoalChange={(weeklyGoal) => setStudyLog({ ...studyLog, weeklyGoal })}
+        />
+
+        {/* Test Series Catalog: completed / overdue / upcoming per registered series */}
+        <CatalogPanel
+          progress={seriesProgress}
+          onAddSeries={() => setEditingSeries({ series: null })}
+          onEditSeries={(series) => setEditingSeries({ series })}
+          onDeleteSeries={handleDeleteSeries}
+          onLogSlot={handleLogSlot}
+          titleSuffix={filterProvider !== "All" ? `— ${filterProvider}` : ""}
+        />
+
         <section className="grid md:grid-cols-3 gap-6 mb-8">
           {/* Main Content Area: Filter & Table */}
           <div className="md:col-span-2 bg-white p-6 rounded-2xl shadow-2xl border border-gray-200">
@@ -971,29 +1744,45 @@ Based on this data, please provide:
                     className="border-2 border-indigo-400 rounded-lg px-3 py-1.5 text-sm shadow-md bg-indigo-50 font-semibold text-indigo-700"
                 >
                     <option value="All">Combined Stats (All Providers)</option>
-                    {TEST_PROVIDERS.map((s) => (
+                    {providerFilterOptions.map((s) => (
                       <option key={s} value={s}>{s}</option>
                     ))}
                 </select>
 
                 {/* Secondary Filters */}
-                <select value={filterSubject} onChange={(e) => setFilterSubject(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm shadow-sm">
+                <select value={filterSubject} onChange={(e) => { setFilterSubject(e.target.value); setFilterTopic("All"); }} className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm shadow-sm">
                   {subjects.map((s) => (
                     <option key={s} value={s}>{s}</option>
                   ))}
                 </select>
+                {topicsFor(profile.syllabus, filterSubject).length > 0 && (
+                  <select value={filterTopic} onChange={(e) => setFilterTopic(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm shadow-sm">
+                    <option value="All">All Topics</option>
+                    {topicsFor(profile.syllabus, filterSubject).map((topic) => (
+                      <option key={topic} value={topic}>{topic}</option>
+                    ))}
+                  </select>
+                )}
                 <input type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm shadow-sm" title="Filter from date" />
                 <input type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm shadow-sm" title="Filter to date" />
                 <input placeholder="Search notes/subject/category" value={search} onChange={(e) => setSearch(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm w-full sm:w-auto shadow-sm" />
               </div>
 
               <div className="flex gap-2 text-sm">
+                <button onClick={handleUndo} disabled={!canUndo} title={canUndo ? `Undo: ${undoLabel} (Ctrl+Z)` : "Nothing to undo"} className="px-2 py-1.5 bg-gray-100 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-200 shadow-sm transition disabled:opacity-40 disabled:cursor-not-allowed"><Undo2 size={16} /></button>
+                <button onClick={handleRedo} disabled={!canRedo} title={canRedo ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo"} className="px-2 py-1.5 bg-gray-100 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-200 shadow-sm transition disabled:opacity-40 disabled:cursor-not-allowed"><Redo2 size={16} /></button>
                 <button onClick={handleExportJSON} className="px-3 py-1.5 bg-gray-100 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-200 shadow-sm transition">JSON</button>
+                <button onClick={() => setPassphrasePrompt({ mode: "encrypt" })} title="Export JSON encrypted with a passphrase" className="px-2 py-1.5 bg-gray-100 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-200 shadow-sm transition"><Lock size={16} /></button>
                 <label className="px-3 py-1.5 bg-gray-100 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-200 cursor-pointer shadow-sm">
-                  Import
-                  <input type="file" accept="application/json" onChange={(e) => e.target.files && handleImportJSON(e.target.files[0])} className="hidden" />
+                  Import JSON
+                  <input type="file" accept="application/json" onChange={(e) => { if (e.target.files?.[0]) handleImportJSON(e.target.files[0]); e.target.value = ""; }} className="hidden" />
+                </label>
+                <label className="px-3 py-1.5 bg-gray-100 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-200 cursor-pointer shadow-sm">
+                  Import CSV
+                  <input type="file" accept=".csv,text/csv" onChange={(e) => { if (e.target.files?.[0]) handleImportCSV(e.target.files[0]); e.target.value = ""; }} className="hidden" />
                 </label>
                 <button onClick={handleExportCSV} className="px-3 py-1.5 bg-gray-100 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-200 shadow-sm transition">CSV</button>
+                <button onClick={() => { snapshots.reload(); setShowSnapshots(true); }} title="Snapshots and restore" className="px-2 py-1.5 bg-gray-100 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-200 shadow-sm transition"><History size={16} /></button>
                 <button onClick={handleClearAll} className="px-3 py-1.5 bg-red-100 border border-red-400 rounded-lg text-red-700 hover:bg-red-200 shadow-sm transition">Clear All</button>
               </div>
             </div>
@@ -1024,10 +1813,30 @@ Based on this data, please provide:
                   ) : (
                     filtered.map((t) => (
                       <tr key={t.id} className="bg-white hover:bg-indigo-50/50 transition duration-100">
-                        <td className="px-3 py-3 text-sm font-medium text-gray-900">{t.subject}</td>
-                        <td className="px-3 py-3 text-sm text-gray-600">{t.category}</td>
+                        <td className="px-3 py-3 text-sm font-medium text-gray-900">
+                          {t.subject}
+                          {t.topic && <div className="text-xs font-normal text-gray-500 mt-0.5">{t.topic}{t.subtopic && ` › ${t.subtopic}`}</div>}
+                          {t.notes && <div className="text-xs font-normal italic text-gray-500 mt-0.5 line-clamp-2 max-w-xs" title={t.notes}>{t.notes}</div>}
+                        </td>
+                        <td className="px-3 py-3 text-sm text-gray-600">
+                          {t.category}
+                          {findSlot(catalog, t.catalogSlotId) && <div className="text-xs text-indigo-500 mt-0.5">{findSlot(catalog, t.catalogSlotId).slot.name}</div>}
+                        </td>
                         <td className="px-3 py-3 text-sm text-gray-700">{t.provider || "Other"}</td> {/* NEW: Provider Data */}
-                        <td className="px-3 py-3 text-sm text-gray-700">{t.obtainedMarks}/{t.maxMarks}</td>
+                        <td className="px-3 py-3 text-sm text-gray-700">
+                          {t.obtainedMarks}/{t.maxMarks}
+                          {entryScoring.get(t.id).check.status === "mismatch" && (
+                            <span title={`Counts suggest ${entryScoring.get(t.id).check.min}–${entryScoring.get(t.id).check.max} marks under ${entryScoring.get(t.id).scheme.name}`}>
+                              <AlertTriangle size={14} className="inline ml-1 text-amber-500" />
+                            </span>
+                          )}
+                          {entryScoring.get(t.id).negative > 0 && (
+                            <div className="text-xs text-red-500 mt-0.5">−{entryScoring.get(t.id).negative} neg{t.negativeMarks == null ? " (est.)" : ""}</div>
+                          )}
+                          {t.mistakes.length > 0 && (
+                            <div className="text-xs text-red-700 mt-0.5" title="Marks lost on logged mistakes">{t.mistakes.length} mistake{t.mistakes.length > 1 ? "s" : ""} · −{marksLostTotal(t.mistakes)}</div>
+                          )}
+                        </td>
                         <td className="px-3 py-3 text-sm font-bold text-indigo-600">{t.percentage}%</td>
                         {/* R/W/NA CELL */}
                         <td className="px-3 py-3 text-sm text-gray-700 text-center">
@@ -1036,6 +1845,7 @@ Based on this data, please provide:
                               <span className="text-green-600 font-semibold">{t.correctCount}</span> / 
                               <span className="text-red-600 font-semibold"> {t.incorrectCount}</span> / 
                               <span className="text-gray-500 font-semibold"> {t.notAttemptedCount}</span>
+                              {t.responses?.length > 0 && <div className="text-xs text-indigo-500 mt-0.5">{t.responses.length}-Q sheet</div>}
                             </>
                           ) : 'N/A'}
                         </td>
@@ -1043,8 +1853,12 @@ Based on this data, please provide:
                             {t.testRank && t.totalTestTakers ? `${t.testRank} / ${t.totalTestTakers}` : 'N/A'}
                             {t.rankPercentile !== null ? <div className="text-xs text-pink-600 font-bold mt-0.5">{t.rankPercentile}%ile</div> : null}
                         </td> 
-                        <td className="px-3 py-3 text-sm text-gray-500">{t.date}</td>
-                        {/* Removed Notes column to fit Provider, Notes is now in Edit/Title */}
+                        <td className="px-3 py-3 text-sm text-gray-500">
+                          {t.date}
+                          {t.timeTaken != null && <div className="text-xs text-gray-500 mt-0.5">{t.timeTaken}{t.timeLimit ? `/${t.timeLimit}` : ""} min</div>}
+                          {ranOutOfTime(t) && <div className="text-xs text-red-500 font-semibold mt-0.5">ran out of time</div>}
+                        </td>
+                        {/* Notes have no column of their own; they are shown under the subject */}
                         <td className="px-3 py-3">
                           <div className="flex gap-1.5">
                             <button onClick={() => handleEdit(t.id)} className="text-xs px-2.5 py-1.5 bg-indigo-100 text-indigo-700 rounded-md hover:bg-indigo-200 transition shadow-sm">Edit</button>
@@ -1078,22 +1892,51 @@ Based on this data, please provide:
                       <strong className="text-2xl font-extrabold text-indigo-700">{summary.avg}%</strong>
                   </div>
                   
+                  {summary.accuracy && (
+                      <div className="p-4 bg-emerald-50 rounded-xl flex justify-between items-center border border-emerald-200 shadow-sm">
+                          <span className="text-sm font-medium text-emerald-800">Accuracy:<span className="block text-xs font-normal">attempt rate {summary.accuracy.attemptRate ?? "—"}% · net {summary.accuracy.netPerAttempt ?? "—"} per attempt</span></span>
+                          <strong className="text-2xl font-extrabold text-emerald-600">{summary.accuracy.accuracy ?? "—"}{summary.accuracy.accuracy !== null && "%"}</strong>
+                      </div>
+                  )}
+
+                  {summary.avgNegativeMarks !== null && (
+                      <div className="p-4 bg-red-50 rounded-xl flex justify-between items-center border border-red-200 shadow-sm">
+                          <span className="text-sm font-medium text-red-800">Marks Lost to Negatives:<span className="block text-xs font-normal">avg {summary.avgNegativeMarks} per test</span></span>
+                          <strong className="text-2xl font-extrabold text-red-600">{summary.negativeMarksTotal}</strong>
+                      </div>
+                  )}
+
                   {/* RANK STATS */}
                   {summary.rankedTestsCount > 0 && (
-                      <div className="p-4 bg-pink-50 rounded-xl flex justify-between items-center border border-pink-200 shadow-sm">
-                          <span className="text-sm font-medium text-pink-800">Avg Rank Percentile:</span>
-                          <strong className="text-2xl font-extrabold text-pink-600">{summary.avgRankPercentile}%</strong>
+                      <div className="p-4 bg-pink-50 rounded-xl border border-pink-200 shadow-sm">
+                          <div className="flex justify-between items-center">
+                              <span className="text-sm font-medium text-pink-800">Avg Rank Percentile:<span className="block text-xs font-normal">{rankView === "normalized" ? "normalized, weighted by takers" : "raw, unweighted"}</span></span>
+                              <strong className="text-2xl font-extrabold text-pink-600">{summary.avgRankPercentile}%</strong>
+                          </div>
+                          <div className="mt-2">
+                              <RankViewSelect value={rankView} onChange={setRankView} />
+                          </div>
+                          {rankView === "normalized" && percentileNormalization.cohorts.length > 1 && (
+                              <ul className="mt-2 text-xs text-pink-900 space-y-0.5" title="Percentile points removed from a typical result of each provider/category">
+                                  {percentileNormalization.cohorts.map((c) => (
+                                      <li key={`${c.provider}|${c.category}`} className="flex justify-between">
+                                          <span>{c.provider} · {c.category} <span className="text-pink-500">({c.count}, ~{c.takers} takers)</span></span>
+                                          <span className="font-semibold">{c.offset > 0 ? "−" : "+"}{Math.abs(c.offset)}</span>
+                                      </li>
+                                  ))}
+                              </ul>
+                          )}
                       </div>
                   )}
               </div>
               
               <div className="mt-4 pt-4 border-t border-gray-200">
-                <h4 className="text-base font-semibold mb-2 text-gray-800">Top Scoring Subjects (Avg)</h4>
+                <h4 className="text-base font-semibold mb-2 text-gray-800">Top Scoring {summaryLevel === "subject" ? "Subjects" : summaryLevel === "topic" ? "Topics" : "Subtopics"} (Avg)</h4>
                 <div className="space-y-1 max-h-32 overflow-auto text-sm">
                   {summary.subjectAverages.length === 0 && <div className="text-gray-500">No subjects yet.</div>}
                   {summary.subjectAverages.slice(0, 5).map((s) => (
-                    <div key={s.subject} className="flex items-center justify-between p-1.5 bg-white hover:bg-green-50 rounded-md transition border-b border-gray-100">
-                      <div className="font-medium text-gray-800">{s.subject} <span className="text-gray-400 text-xs">({s.count})</span></div>
+                    <div key={s.label} className="flex items-center justify-between p-1.5 bg-white hover:bg-green-50 rounded-md transition border-b border-gray-100">
+                      <div className="font-medium text-gray-800">{s.label} <span className="text-gray-400 text-xs">({s.count})</span></div>
                       <div className="font-bold text-green-700 text-sm">{s.avg}%</div>
                     </div>
                   ))}
@@ -1158,6 +2001,10 @@ Based on this data, please provide:
                     <Tooltip 
                         content={<OverallPercentageTooltip />} 
                     />
+                    {renderPhaseAreas(overallTrendChartData)}
+                    {overallTargets.map((g) => (
+                        <ReferenceLine key={g.id} y={g.value} stroke="#DC2626" strokeDasharray="6 4" label={{ value: g.label, position: "insideTopRight", fontSize: 10, fill: "#DC2626" }} />
+                    ))}
                     <Line type="monotone" dataKey="percentage" stroke="#4F46E5" strokeWidth={2} dot={{ r: 4, fill: '#4F46E5' }} activeDot={{ r: 6 }} />
                     </LineChart>
                 </ResponsiveContainer>
@@ -1165,9 +2012,11 @@ Based on this data, please provide:
             )}
             </section>
 
-            {/* 2. Full Test Performance Trend (Mock/Full Length) */}
+            {/* 2. Full Test Performance Trend (Mock/Full Length), with the GATE prediction alongside */}
             <section className="bg-white p-6 rounded-2xl shadow-xl border border-gray-200">
             <h3 className="font-semibold text-gray-800 mb-2">Full Test Performance Trend (Mock/Full Length) {filterProvider !== "All" && `— ${filterProvider}`}</h3>
+            <div className={profile.exam === "GATE" ? "grid md:grid-cols-3 gap-4 items-start" : ""}>
+            <div className="md:col-span-2">
             {fullTestChartData.length === 0 ? (
                 <div className="text-sm text-gray-500 h-64 flex items-center justify-center">Log tests in the "Multisubject Wise," "Full Length," or "Mock" categories to see this trend.</div>
             ) : (
@@ -1180,16 +2029,55 @@ Based on this data, please provide:
                     <Tooltip 
                         content={<FullTestPercentageTooltip />} 
                     />
+                    {renderPhaseAreas(fullTestChartData)}
+                    {fullTestTargets.map((g) => (
+                        <ReferenceLine key={g.id} y={g.value} stroke="#DC2626" strokeDasharray="6 4" label={{ value: g.label, position: "insideTopRight", fontSize: 10, fill: "#DC2626" }} />
+                    ))}
                     <Line type="monotone" dataKey="percentage" stroke="#F97316" strokeWidth={2} dot={{ r: 4, fill: '#F97316' }} activeDot={{ r: 6 }} />
                     </LineChart>
                 </ResponsiveContainer>
                 </div>
             )}
+            </div>
+            {profile.exam === "GATE" && (
+                <GatePredictionPanel
+                  fullTests={fullTests}
+                  tables={rankTables}
+                  tableId={predictionSettings.tableId}
+                  recent={predictionSettings.recent}
+                  onTableChange={(tableId) => setPredictionSettings({ ...predictionSettings, tableId })}
+                  onRecentChange={(recent) => setPredictionSettings({ ...predictionSettings, recent })}
+                  onManageTables={() => setShowRankTables(true)}
+                />
+            )}
+            </div>
             </section>
             
+            {/* Accuracy / Attempt Rate Analytics */}
+            <AccuracyAnalyticsPanel
+              tests={filtered}
+              subjects={analyticsSubjects}
+              categories={profile.categories}
+              hiddenSubjects={ANALYTICS_HIDDEN_SUBJECTS}
+              schemeOf={schemeOf}
+              titleSuffix={filterProvider !== "All" ? `— ${filterProvider}` : ""}
+            />
+
+            {/* Time Management Analytics */}
+            <TimeAnalyticsPanel tests={filtered} titleSuffix={filterProvider !== "All" ? `— ${filterProvider}` : ""} />
+
+            {/* Mistake Log Analytics: marks lost per error type */}
+            <MistakeAnalyticsPanel tests={filtered} titleSuffix={filterProvider !== "All" ? `— ${filterProvider}` : ""} />
+
+            {/* Study hours vs score change per subject and activity */}
+            <StudyImpactPanel sessions={studyLog.sessions} tests={filtered} schemeOf={schemeOf} titleSuffix={filterProvider !== "All" ? `— ${filterProvider}` : ""} />
+
             {/* 3. Subject Performance Comparison Chart (Vertical Bar Chart) */}
             <section className="bg-white p-6 rounded-2xl shadow-xl border border-gray-200">
-            <h3 className="font-semibold text-gray-800 mb-2">Subject Performance Comparison (Average Score) {filterProvider !== "All" && `— ${filterProvider}`}</h3>
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-2">
+                <h3 className="font-semibold text-gray-800">Subject Performance Comparison (Average Score) {filterProvider !== "All" && `— ${filterProvider}`}</h3>
+                <SummaryLevelSelect value={summaryLevel} onChange={setSummaryLevel} />
+            </div>
             {summary.subjectAverages.length === 0 ? (
                 <div className="text-sm text-gray-500 h-96 flex items-center justify-center">Add Topic Wise or Subjectwise tests to see comparison.</div>
             ) : (
@@ -1201,7 +2089,7 @@ Based on this data, please provide:
                     >
                     <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
                     <XAxis 
-                        dataKey="subject" 
+                        dataKey="label" 
                         type="category" 
                         angle={-20}
                         textAnchor="end"
@@ -1216,9 +2104,12 @@ Based on this data, please provide:
                     <Tooltip 
                         contentStyle={{ backgroundColor: '#fff', border: '1px solid #ccc', borderRadius: '8px', padding: '10px' }}
                         formatter={(value) => [`${value}%`, 'Average Percentage']}
-                        labelFormatter={(label) => `Subject: ${label}`}
+                        labelFormatter={(label) => `${TAXONOMY_LEVELS.find((l) => l.id === summaryLevel).label}: ${label}`}
                     />
                     <Bar dataKey="avg" fill="#059669" name="Average Percentage" radius={[4, 4, 0, 0]} />
+                    {chartTargets(goals, "avg").map((g) => (
+                        <ReferenceLine key={g.id} y={g.value} stroke="#DC2626" strokeDasharray="6 4" label={{ value: g.label, position: "insideTopRight", fontSize: 10, fill: "#DC2626" }} />
+                    ))}
                     </BarChart>
                 </ResponsiveContainer>
                 </div>
@@ -1227,7 +2118,10 @@ Based on this data, please provide:
 
             {/* 4. Rank Percentile Trend Chart (All Ranked Tests) */}
             <section className="bg-white p-6 rounded-2xl shadow-xl border border-gray-200">
-            <h3 className="font-semibold text-gray-800 mb-2">Rank Percentile Trend Over Time (All Ranked Tests) {filterProvider !== "All" && `— ${filterProvider}`} (Higher is Better)</h3>
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-2">
+                <h3 className="font-semibold text-gray-800">Rank Percentile Trend Over Time (All Ranked Tests) {filterProvider !== "All" && `— ${filterProvider}`} (Higher is Better)</h3>
+                <RankViewSelect value={rankView} onChange={setRankView} />
+            </div>
             {rankChartData.length === 0 ? (
                 <div className="text-sm text-gray-500 h-64 flex items-center justify-center">Log tests with rank data to see the rank trend.</div>
             ) : (
@@ -1240,6 +2134,10 @@ Based on this data, please provide:
                     <Tooltip 
                         content={<RankPercentileTooltip />} 
                     />
+                    {renderPhaseAreas(rankChartData)}
+                    {rankTargets.map((g) => (
+                        <ReferenceLine key={g.id} y={g.value} stroke="#DC2626" strokeDasharray="6 4" label={{ value: g.label, position: "insideTopRight", fontSize: 10, fill: "#DC2626" }} />
+                    ))}
                     <Line 
                         type="monotone" 
                         dataKey="rankPercentile" 
@@ -1256,12 +2154,116 @@ Based on this data, please provide:
         </div>
 
 
-        <footer className="text-center text-xs text-gray-500 mt-8 pb-4">Made with ❤️ and powered by Gemini.</footer>
+        <footer className="text-center text-xs text-gray-500 mt-8 pb-4">
+          <p>Made with ❤️ and powered by Gemini.</p>
+          <label className="inline-flex items-center gap-2 mt-2">
+            Storage:
+            <select
+                value={storage.backend}
+                onChange={(e) => handleSwitchBackend(e.target.value)}
+                disabled={storage.readOnly}
+                className="border border-gray-300 rounded-md px-2 py-1 text-xs bg-white"
+            >
+                {STORAGE_BACKENDS.map((b) => (
+                  <option key={b.id} value={b.id}>{b.label}</option>
+                ))}
+            </select>
+          </label>
+          {cloudSync.available && (
+            <button onClick={() => setShowCloudSync(true)} className="inline-flex items-center gap-1 ml-4 text-indigo-600 hover:underline">
+              {cloudSync.enabled ? <Cloud size={14} /> : <CloudOff size={14} />}
+              Cloud sync: {SYNC_PHASES[cloudSync.status.phase] || cloudSync.status.phase}
+              {cloudSync.status.pending > 0 && ` (${cloudSync.status.pending} queued)`}
+            </button>
+          )}
+        </footer>
       </div>
       
       {/* Global UI Components */}
+      {showMarkingSchemes && (
+        <MarkingSchemesPanel
+          settings={markingSettings}
+          providers={profile.providers}
+          defaultSchemeId={profileScheme.id}
+          onChange={setMarkingSettings}
+          onClose={() => setShowMarkingSchemes(false)}
+        />
+      )}
+      {csvImport && (
+        <CsvMappingStep
+          sourceName={csvImport.sourceName}
+          headers={csvImport.headers}
+          rows={csvImport.rows}
+          initialMapping={csvImport.mapping}
+          onCancel={() => setCsvImport(null)}
+          onConfirm={handleConfirmCsvMapping}
+        />
+      )}
+      {importPlan && (
+        <ImportWizard
+          plan={importPlan.plan}
+          sourceName={importPlan.sourceName}
+          onCancel={() => setImportPlan(null)}
+          onConfirm={handleConfirmImport}
+        />
+      )}
+      {showVocabulary && (
+        <VocabularyManager
+          vocabulary={vocabulary}
+          defaults={vocabularyDefaults}
+          counts={vocabularyCounts}
+          onAdd={(kind, name, flags) => setVocabulary(addName(vocabulary, kind, name, flags))}
+          onSetHidden={(kind, name, hidden) => setVocabulary(setHidden(vocabulary, kind, name, hidden))}
+          onRename={handleRenameName}
+          onMerge={handleMergeName}
+          onClose={() => setShowVocabulary(false)}
+        />
+      )}
+      {editingSeries && (
+        <SeriesEditor
+          series={editingSeries.series}
+          providers={profile.providers}
+          categories={profile.categories}
+          subjectCategories={profile.subjectCategories}
+          subjects={analyticsSubjects}
+          onSave={handleSaveSeries}
+          onClose={() => setEditingSeries(null)}
+        />
+      )}
+      {showRankTables && (
+        <RankTablesPanel
+          tables={predictionSettings.tables}
+          profileId={profile.id}
+          onChange={(tables) => setPredictionSettings({ ...predictionSettings, tables })}
+          onClose={() => setShowRankTables(false)}
+        />
+      )}
+      {showSnapshots && (
+        <SnapshotsPanel
+          snapshots={snapshots}
+          tests={tests}
+          onLoad={snapshots.load}
+          onRetentionChange={snapshots.setRetention}
+          onTakeSnapshot={handleTakeSnapshot}
+          onDelete={snapshots.remove}
+          onRestoreAll={handleRestoreSnapshot}
+          onRestoreSelected={handleRestoreSnapshotEntries}
+          onClose={() => setShowSnapshots(false)}
+        />
+      )}
+      {passphrasePrompt && (
+        <PassphrasePrompt
+          mode={passphrasePrompt.mode}
+          sourceName={passphrasePrompt.sourceName}
+          onSubmit={passphrasePrompt.mode === "encrypt" ? handleExportEncrypted : handleDecryptBackup}
+          onCancel={() => setPassphrasePrompt(null)}
+        />
+      )}
+      {showCloudSync && (
+        <CloudSyncPanel sync={cloudSync} onResolveAccountSwitch={handleResolveAccountSwitch} onClose={() => setShowCloudSync(false)} />
+      )}
       <ConfirmationModal />
-      <ToastAlert message={toastAlert?.message} type={toastAlert?.type} onClose={() => setToastAlert(null)} />
+      <ToastAlert message={toastAlert?.message} type={toastAlert?.type} action={toastAlert?.action} onClose={() => setToastAlert(null)} />
     </div>
   );
 }
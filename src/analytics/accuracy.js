@@ -0,0 +1,107 @@
+/*
+Accuracy and attempt-rate analytics.
+
+  accuracy        = correct / attempted            (how often an attempt is right)
+  attempt rate    = attempted / total questions    (how much of the paper was tried)
+  net per attempt = marks obtained / attempted     (what each attempt is worth after negatives)
+
+Only entries with R/W/NA counts take part. For per-subject and per-topic
+grouping, tests with a response sheet contribute each question to its own
+subject/topic tag, so a full mock is split across the syllabus it covered.
+*/
+
+import { round2 } from "../utils";
+import { entryScheme, scoreResponse } from "../scoring/markingScheme";
+import { taxonomyLabel } from "../syllabus/taxonomy";
+
+function hasCounts(t) {
+  return t.correctCount != null && (t.correctCount + (t.incorrectCount || 0) + (t.notAttemptedCount || 0)) > 0;
+}
+
+function ratios({ correct, incorrect, total, marks }) {
+  const attempted = correct + incorrect;
+  return {
+    accuracy: attempted ? round2((correct / attempted) * 100) : null,
+    attemptRate: total ? round2((attempted / total) * 100) : null,
+    netPerAttempt: attempted ? round2(marks / attempted) : null,
+  };
+}
+
+export function testAccuracy(t) {
+  if (!hasCounts(t)) return null;
+  const correct = t.correctCount;
+  const incorrect = t.incorrectCount || 0;
+  return ratios({ correct, incorrect, total: correct + incorrect + (t.notAttemptedCount || 0), marks: t.obtainedMarks });
+}
+
+// Splits a test into { key, correct, incorrect, total, marks } contributions.
+// `by` is "subject", "topic" (labelled "Subject › Topic") or any other entry field;
+// sheet questions are scored with `schemeOf(t)`.
+function contributions(t, by, schemeOf) {
+  if ((by === "subject" || by === "topic") && Array.isArray(t.responses) && t.responses.length) {
+    const scheme = schemeOf(t);
+    const parts = {};
+    for (const r of t.responses) {
+      const key = taxonomyLabel({ subject: r.subject || t.subject, topic: r.topic }, by);
+      parts[key] ||= { key, correct: 0, incorrect: 0, total: 0, marks: 0 };
+      parts[key].total += 1;
+      if (r.status === "correct") parts[key].correct += 1;
+      if (r.status === "incorrect") parts[key].incorrect += 1;
+      parts[key].marks += scoreResponse(r, scheme);
+    }
+    return Object.values(parts);
+  }
+  const correct = t.correctCount;
+  const incorrect = t.incorrectCount || 0;
+  return [{ key: by === "topic" ? taxonomyLabel(t, by) : t[by], correct, incorrect, total: correct + incorrect + (t.notAttemptedCount || 0), marks: t.obtainedMarks }];
+}
+
+/*
+Per-test trend points, oldest first. With a `group` ({ by: "subject" | "topic" | "category", value })
+each point only counts that subject's / category's share of the test. `schemeOf(entry)`
+gives the scheme a sheet is scored with (see entryScheme).
+*/
+export function accuracyTrend(tests, group = null, schemeOf = entryScheme) {
+  return tests
+    .filter(hasCounts)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map((t) => {
+      const part = group ? contributions(t, group.by, schemeOf).find((p) => p.key === group.value) : null;
+      if (group && !part) return null;
+      const stats = part ? ratios(part) : testAccuracy(t);
+      return { name: t.date, subject: t.subject, category: t.category, provider: t.provider, ...stats };
+    })
+    .filter(Boolean);
+}
+
+// Aggregated ratios per subject, topic or category, e.g. groupAccuracy(tests, "subject").
+export function groupAccuracy(tests, by, schemeOf = entryScheme) {
+  const groups = {};
+  for (const t of tests.filter(hasCounts)) {
+    for (const part of contributions(t, by, schemeOf)) {
+      const g = (groups[part.key] ||= { key: part.key, correct: 0, incorrect: 0, total: 0, marks: 0, tests: new Set() });
+      g.correct += part.correct;
+      g.incorrect += part.incorrect;
+      g.total += part.total;
+      g.marks += part.marks;
+      g.tests.add(t.id);
+    }
+  }
+  return Object.values(groups)
+    .map((g) => ({ [by]: g.key, count: g.tests.size, ...ratios(g) }))
+    .sort((a, b) => (b.accuracy ?? -1) - (a.accuracy ?? -1));
+}
+
+// Accuracy and attempt rate over every counted question in `tests`.
+export function overallAccuracy(tests) {
+  const totals = { correct: 0, incorrect: 0, total: 0, marks: 0 };
+  for (const t of tests.filter(hasCounts)) {
+    for (const part of contributions(t, "category", entryScheme)) {
+      totals.correct += part.correct;
+      totals.incorrect += part.incorrect;
+      totals.total += part.total;
+      totals.marks += part.marks;
+    }
+  }
+  return totals.total ? ratios(totals) : null;
+}
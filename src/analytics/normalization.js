@@ -0,0 +1,117 @@
+/*
+Cross-provider rank percentile normalization.
+
+A raw rank percentile (1 - rank / takers) from an 800-taker mock is not
+comparable to one from a 20,000-taker mock, and some providers' cohorts are
+simply stronger or weaker. Each ranked entry is mapped to a z-score (probit
+of its mid-rank percentile), then shifted by how far its provider/category
+cohort sits from the pooled mean. The shift is shrunk for cohorts with few
+tests so one lucky mock does not recalibrate a whole provider. Averages are
+weighted by the number of takers, so large cohorts count for more.
+*/
+
+import { round2 } from "../utils";
+
+export const RANK_VIEWS = [
+  { id: "raw", label: "Raw" },
+  { id: "normalized", label: "Normalized" },
+];
+
+// A cohort's offset counts fully only after this many tests: n / (n + SHRINKAGE).
+const SHRINKAGE = 2;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7).
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Inverse of normalCdf for 0 < p < 1 (Acklam's rational approximation).
+function probit(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) return -probit(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function cohortKey(t) {
+  return `${t.provider || "Other"}|${t.category}`;
+}
+
+function weightedMean(items) {
+  const total = items.reduce((a, i) => a + i.weight, 0);
+  return items.reduce((a, i) => a + i.z * i.weight, 0) / total;
+}
+
+/*
+Normalizes every ranked entry in `tests` against the others. Returns
+{ byId, cohorts } where byId maps entry id -> { raw, normalized, weight } and
+cohorts is [{ provider, category, count, takers, offset }] with `offset` the
+percentile points removed from a typical entry of that cohort (positive for
+cohorts that flatter you).
+*/
+export function normalizePercentiles(tests) {
+  const ranked = tests
+    .filter((t) => t.testRank > 0 && t.totalTestTakers >= t.testRank)
+    .map((t) => ({
+      t,
+      // Mid-rank percentile keeps rank 1 of 1 and rank N of N away from 0 and 1
+      z: probit(1 - (t.testRank - 0.5) / t.totalTestTakers),
+      weight: t.totalTestTakers,
+    }));
+  if (!ranked.length) return { byId: new Map(), cohorts: [] };
+
+  const pooled = weightedMean(ranked);
+  const groups = new Map();
+  for (const item of ranked) {
+    const key = cohortKey(item.t);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+
+  const shifts = new Map();
+  const cohorts = [];
+  for (const [key, items] of groups) {
+    const mean = weightedMean(items);
+    const shift = (mean - pooled) * (items.length / (items.length + SHRINKAGE));
+    shifts.set(key, shift);
+    const takers = items.map((i) => i.weight).sort((a, b) => a - b)[Math.floor(items.length / 2)];
+    cohorts.push({
+      provider: items[0].t.provider || "Other",
+      category: items[0].t.category,
+      count: items.length,
+      takers,
+      offset: round2((normalCdf(mean) - normalCdf(mean - shift)) * 100),
+    });
+  }
+
+  const byId = new Map(ranked.map(({ t, z, weight }) => [t.id, {
+    raw: t.rankPercentile,
+    normalized: round2(normalCdf(z - shifts.get(cohortKey(t))) * 100),
+    weight,
+  }]));
+  return { byId, cohorts: cohorts.sort((a, b) => b.offset - a.offset) };
+}
+
+// Plain mean of raw percentiles, or the takers-weighted mean of normalized ones, over `tests`
+// (every normalized entry by default). Null without ranked tests.
+export function averagePercentile(normalization, view, tests = null) {
+  const values = tests
+    ? tests.map((t) => normalization.byId.get(t.id)).filter(Boolean)
+    : [...normalization.byId.values()];
+  if (!values.length) return null;
+  if (view === "raw") return round2(values.reduce((a, v) => a + v.raw, 0) / values.length);
+  const total = values.reduce((a, v) => a + v.weight, 0);
+  return round2(values.reduce((a, v) => a + v.normalized * v.weight, 0) / total);
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { normalizePercentiles, averagePercentile } from "./normalization";
+
+const ranked = (id, provider, testRank, totalTestTakers) => ({
+  id, provider, category: "Full Length", testRank, totalTestTakers, rankPercentile: Math.round((1 - testRank / totalTestTakers) * 10000) / 100,
+});
+
+// An easy series that ranks you near the top and a hard one that does not.
+const tests = [
+  ranked("e1", "Easy", 20, 2000), ranked("e2", "Easy", 30, 2000), ranked("e3", "Easy", 25, 2000),
+  ranked("h1", "Hard", 400, 2000), ranked("h2", "Hard", 500, 2000), ranked("h3", "Hard", 450, 2000),
+];
+
+describe("averagePercentile", () => {
+  it("averages one provider's tests against the whole log's calibration", () => {
+    const normalization = normalizePercentiles(tests);
+    const easy = tests.filter((t) => t.provider === "Easy");
+
+    const raw = averagePercentile(normalization, "raw", easy);
+    const normalized = averagePercentile(normalization, "normalized", easy);
+    expect(normalized).toBeLessThan(raw);
+    // Calibrating on the filtered rows alone would leave nothing to correct against.
+    expect(averagePercentile(normalizePercentiles(easy), "normalized")).toBeCloseTo(raw, 0);
+  });
+
+  it("averages every normalized entry without a subset", () => {
+    const normalization = normalizePercentiles(tests);
+    expect(averagePercentile(normalization, "raw")).toBe(averagePercentile(normalization, "raw", tests));
+  });
+});
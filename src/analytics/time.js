@@ -0,0 +1,100 @@
+/*
+Time-management analytics.
+
+  pace = minutes taken / questions attempted   (lower is faster)
+
+Only entries with a recorded timeTaken take part. A test "ran out of time"
+when it was flagged so, or when the time taken reached the time limit.
+*/
+
+import { round2 } from "../utils";
+import { QUESTION_SECTIONS } from "../scoring/responseSheet";
+
+function hasTime(t) {
+  return t.timeTaken != null && t.timeTaken > 0;
+}
+
+function average(values) {
+  return values.length ? round2(values.reduce((a, b) => a + b, 0) / values.length) : null;
+}
+
+// Pearson correlation, or null with fewer than three points or no spread.
+export function correlation(points) {
+  if (points.length < 3) return null;
+  const mx = points.reduce((a, p) => a + p.x, 0) / points.length;
+  const my = points.reduce((a, p) => a + p.y, 0) / points.length;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (const { x, y } of points) {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  }
+  return sxx && syy ? round2(sxy / Math.sqrt(sxx * syy)) : null;
+}
+
+export function testPace(t) {
+  if (!hasTime(t) || t.correctCount == null) return null;
+  const attempted = t.correctCount + (t.incorrectCount || 0);
+  return attempted ? round2(t.timeTaken / attempted) : null;
+}
+
+export function ranOutOfTime(t) {
+  return Boolean(t.timeRanOut) || (hasTime(t) && t.timeLimit > 0 && t.timeTaken >= t.timeLimit);
+}
+
+// Timed tests, oldest first, as chart points.
+export function timeTrend(tests) {
+  return tests
+    .filter(hasTime)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map((t) => ({
+      name: t.date,
+      subject: t.subject,
+      category: t.category,
+      provider: t.provider,
+      timeTaken: t.timeTaken,
+      timeLimit: t.timeLimit,
+      pace: testPace(t),
+      percentage: t.percentage,
+      ranOut: ranOutOfTime(t),
+    }));
+}
+
+/*
+Aggregate timing stats for `tests`. The correlations (−1..1) tell whether
+spending more time, or a slower pace, has gone with a better score.
+*/
+export function timeAnalytics(tests) {
+  const timed = tests.filter(hasTime);
+  const paced = timed.map((t) => ({ t, pace: testPace(t) })).filter((p) => p.pace !== null);
+  const sectionAverages = {};
+  for (const section of QUESTION_SECTIONS) {
+    const avg = average(timed.map((t) => t.sectionTimes?.[section]).filter((m) => m != null));
+    if (avg !== null) sectionAverages[section] = avg;
+  }
+
+  return {
+    timedCount: timed.length,
+    avgTimeTaken: average(timed.map((t) => t.timeTaken)),
+    avgPace: average(paced.map((p) => p.pace)),
+    timeScoreCorrelation: correlation(timed.map((t) => ({ x: t.timeTaken, y: t.percentage }))),
+    paceScoreCorrelation: correlation(paced.map((p) => ({ x: p.pace, y: p.t.percentage }))),
+    sectionAverages,
+    ranOutTests: tests.filter(ranOutOfTime).sort((a, b) => new Date(b.date) - new Date(a.date)),
+  };
+}
+
+// Plain-text summary of timeAnalytics() for the study-plan prompt; null without timing data.
+export function describeTimeManagement(stats) {
+  if (!stats.timedCount) return null;
+  const lines = [`Timed tests: ${stats.timedCount}, average time taken ${stats.avgTimeTaken} min.`];
+  if (stats.avgPace !== null) lines.push(`Average pace: ${stats.avgPace} min per attempted question.`);
+  const sections = Object.entries(stats.sectionAverages);
+  if (sections.length) lines.push(`Average section time: ${sections.map(([s, m]) => `${s} ${m} min`).join(", ")}.`);
+  if (stats.timeScoreCorrelation !== null) lines.push(`Correlation between time taken and score: ${stats.timeScoreCorrelation}.`);
+  if (stats.paceScoreCorrelation !== null) lines.push(`Correlation between pace (min/question) and score: ${stats.paceScoreCorrelation}.`);
+  lines.push(`Tests where time ran out: ${stats.ranOutTests.length}.`);
+  return lines.join("\n");
+}
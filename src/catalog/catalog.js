@@ -0,0 +1,109 @@
+/*
+Test-series catalog: the tests a purchased series promises and when.
+
+Stored per dataset as a list of series:
+  [{ id, name, provider, tests: [{ id, name, category, subject, scheduledDate }] }]
+
+A slot's `subject` is empty for multi-subject categories and `scheduledDate`
+is optional. Logged entries point at their slot through `catalogSlotId`; a
+slot is completed once an entry links to it, overdue when its date has passed
+without one, and upcoming otherwise. Entries whose slot was removed from the
+catalog simply show as unlinked.
+*/
+
+import { uid } from "../utils";
+import { parseCsv } from "../io/csv";
+
+export const SLOT_STATUSES = [
+  { id: "completed", label: "Completed" },
+  { id: "overdue", label: "Overdue" },
+  { id: "upcoming", label: "Upcoming" },
+];
+
+export function createSeries(name, provider) {
+  return { id: uid(), name, provider, tests: [] };
+}
+
+export function createSlot(fields = {}) {
+  return { id: uid(), name: "", category: "", subject: "", scheduledDate: "", ...fields };
+}
+
+// Slot id -> the entry linked to it (the first one if several claim it).
+function linkedEntries(tests) {
+  const linked = new Map();
+  for (const t of tests) {
+    if (t.catalogSlotId && !linked.has(t.catalogSlotId)) linked.set(t.catalogSlotId, t);
+  }
+  return linked;
+}
+
+// `today` is a YYYY-MM-DD string, compared lexically with scheduled dates.
+export function slotStatus(slot, entry, today) {
+  if (entry) return "completed";
+  if (slot.scheduledDate && slot.scheduledDate < today) return "overdue";
+  return "upcoming";
+}
+
+/*
+Every series with its slots in schedule order (undated last), each slot
+carrying { status, entry }, plus per-status counts:
+[{ series, slots, counts: { completed, overdue, upcoming } }].
+*/
+export function catalogProgress(catalog, tests, today) {
+  const linked = linkedEntries(tests);
+  return catalog.map((series) => {
+    const counts = Object.fromEntries(SLOT_STATUSES.map((s) => [s.id, 0]));
+    const slots = series.tests
+      .map((slot) => {
+        const entry = linked.get(slot.id) || null;
+        const status = slotStatus(slot, entry, today);
+        counts[status] += 1;
+        return { ...slot, status, entry };
+      })
+      .sort((a, b) => (a.scheduledDate || "9999").localeCompare(b.scheduledDate || "9999"));
+    return { series, slots, counts };
+  });
+}
+
+// { series, slot } for a slot id, or null when it is no longer in the catalog.
+export function findSlot(catalog, slotId) {
+  if (!slotId) return null;
+  for (const series of catalog) {
+    const slot = series.tests.find((s) => s.id === slotId);
+    if (slot) return { series, slot };
+  }
+  return null;
+}
+
+// Series with the slots no entry links to yet; `exceptEntryId` keeps the slot of the entry being edited available.
+export function openSlots(catalog, tests, exceptEntryId = null) {
+  const taken = new Set(tests.filter((t) => t.id !== exceptEntryId && t.catalogSlotId).map((t) => t.catalogSlotId));
+  return catalog
+    .map((series) => ({ series, slots: series.tests.filter((s) => !taken.has(s.id)) }))
+    .filter((g) => g.slots.length > 0);
+}
+
+/*
+Parses a pasted schedule, one test per line: "name, category, subject, date".
+Trailing columns are optional; missing ones fall back to `defaults`. Dates
+must be YYYY-MM-DD (anything else is dropped).
+*/
+export function parseSlotLines(text, defaults = {}) {
+  return parseCsv(text)
+    .filter((cells) => cells.some((c) => c.trim()))
+    .map(([name = "", category = "", subject = "", date = ""]) => createSlot({
+      name: name.trim(),
+      category: category.trim() || defaults.category || "",
+      subject: subject.trim() || defaults.subject || "",
+      scheduledDate: /^\d{4}-\d{2}-\d{2}$/.test(date.trim()) ? date.trim() : "",
+    }));
+}
+
+// Applies a provider/category/subject rename or merge to the catalog (see profiles/vocabulary.js).
+export function renameInCatalog(catalog, field, from, to) {
+  return catalog.map((series) => {
+    if (field === "provider") return series.provider === from ? { ...series, provider: to } : series;
+    if (!series.tests.some((s) => s[field] === from)) return series;
+    return { ...series, tests: series.tests.map((s) => (s[field] === from ? { ...s, [field]: to } : s)) };
+  });
+}
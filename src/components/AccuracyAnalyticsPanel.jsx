@@ -0,0 +1,143 @@
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  ZAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+} from "recharts";
+import { accuracyTrend, groupAccuracy } from "../analytics/accuracy";
+
+const GROUP_LABELS = { subject: "Subject", topic: "Topic", category: "Category" };
+
+const EMPTY_MESSAGE = "Log tests with Correct / Incorrect / Not Attempted counts to see accuracy analytics.";
+
+const ScatterTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    const data = payload[0].payload;
+    return (
+      <div className="p-3 bg-white border border-indigo-300 rounded-lg shadow-md text-sm">
+        <p className="font-semibold text-gray-700">{`Date: ${data.name}`}</p>
+        <p className="text-gray-600 mt-1">{`${data.category} — ${data.subject}`}</p>
+        <p className="text-emerald-600 font-bold">{`Accuracy: ${data.accuracy}%`}</p>
+        <p className="text-sky-600 font-bold">{`Attempt Rate: ${data.attemptRate}%`}</p>
+        <p className="text-gray-500 mt-1">{`Net / Attempt: ${data.netPerAttempt}`}</p>
+      </div>
+    );
+  }
+  return null;
+};
+
+// Accuracy (correct/attempted), attempt rate and net marks per attempt:
+// a trend for all tests or one subject/category, per-group bars, and a scatter.
+// `schemeOf(entry)` is the scheme each response sheet is scored with.
+export default function AccuracyAnalyticsPanel({ tests, subjects, categories, hiddenSubjects = [], schemeOf, titleSuffix = "" }) {
+  const [trendGroup, setTrendGroup] = useState("all");
+  const [groupBy, setGroupBy] = useState("subject");
+
+  const trendData = useMemo(() => {
+    if (trendGroup === "all") return accuracyTrend(tests);
+    const [by, value] = trendGroup.split(":");
+    return accuracyTrend(tests, { by, value }, schemeOf);
+  }, [tests, trendGroup, schemeOf]);
+
+  const groupData = useMemo(
+    () => groupAccuracy(tests, groupBy, schemeOf).filter((g) => groupBy === "category" || !hiddenSubjects.includes(g[groupBy])),
+    [tests, groupBy, hiddenSubjects, schemeOf]
+  );
+
+  const scatterData = useMemo(() => accuracyTrend(tests).filter((p) => p.accuracy !== null), [tests]);
+
+  return (
+    <>
+      <section className="bg-white p-6 rounded-2xl shadow-xl border border-gray-200">
+        <div className="flex flex-wrap justify-between items-center gap-3 mb-2">
+          <h3 className="font-semibold text-gray-800">Accuracy, Attempt Rate &amp; Net Marks per Attempt Trend {titleSuffix}</h3>
+          <select value={trendGroup} onChange={(e) => setTrendGroup(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm shadow-sm">
+            <option value="all">All tests</option>
+            <optgroup label="Subject">
+              {subjects.map((s) => <option key={s} value={`subject:${s}`}>{s}</option>)}
+            </optgroup>
+            <optgroup label="Category">
+              {categories.map((c) => <option key={c} value={`category:${c}`}>{c}</option>)}
+            </optgroup>
+          </select>
+        </div>
+        {trendData.length === 0 ? (
+          <div className="text-sm text-gray-500 h-64 flex items-center justify-center">{EMPTY_MESSAGE}</div>
+        ) : (
+          <div style={{ width: "100%", height: 300 }}>
+            <ResponsiveContainer>
+              <LineChart data={trendData} margin={{ top: 10, right: 30, left: 0, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                <XAxis dataKey="name" tick={{ fontSize: 10 }} angle={-20} textAnchor="end" height={40} />
+                <YAxis yAxisId="pct" domain={[0, 100]} label={{ value: '%', angle: -90, position: 'insideLeft', fontSize: 12, fill: '#6b7280' }} />
+                <YAxis yAxisId="net" orientation="right" label={{ value: 'Net / Attempt', angle: 90, position: 'insideRight', fontSize: 12, fill: '#6b7280' }} />
+                <Tooltip />
+                <Legend verticalAlign="top" height={30} />
+                <Line yAxisId="pct" type="monotone" dataKey="accuracy" name="Accuracy %" stroke="#059669" strokeWidth={2} dot={{ r: 3 }} connectNulls />
+                <Line yAxisId="pct" type="monotone" dataKey="attemptRate" name="Attempt Rate %" stroke="#0284C7" strokeWidth={2} dot={{ r: 3 }} connectNulls />
+                <Line yAxisId="net" type="monotone" dataKey="netPerAttempt" name="Net Marks / Attempt" stroke="#9333EA" strokeWidth={2} strokeDasharray="5 3" dot={{ r: 3 }} connectNulls />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </section>
+
+      <section className="bg-white p-6 rounded-2xl shadow-xl border border-gray-200">
+        <div className="flex flex-wrap justify-between items-center gap-3 mb-2">
+          <h3 className="font-semibold text-gray-800">Accuracy &amp; Attempt Rate by {GROUP_LABELS[groupBy]} {titleSuffix}</h3>
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm shadow-sm">
+            {Object.entries(GROUP_LABELS).map(([id, label]) => <option key={id} value={id}>By {label}</option>)}
+          </select>
+        </div>
+        {groupData.length === 0 ? (
+          <div className="text-sm text-gray-500 h-64 flex items-center justify-center">{EMPTY_MESSAGE}</div>
+        ) : (
+          <div style={{ width: "100%", height: 360 }}>
+            <ResponsiveContainer>
+              <BarChart data={groupData} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                <XAxis dataKey={groupBy} type="category" angle={-20} textAnchor="end" height={50} tick={{ fontSize: 10 }} />
+                <YAxis type="number" domain={[0, 100]} label={{ value: '%', angle: -90, position: 'insideLeft', fontSize: 12, fill: '#6b7280' }} />
+                <Tooltip formatter={(value, name) => [`${value}%`, name]} />
+                <Legend verticalAlign="top" height={30} />
+                <Bar dataKey="accuracy" name="Accuracy" fill="#059669" radius={[4, 4, 0, 0]} />
+                <Bar dataKey="attemptRate" name="Attempt Rate" fill="#0284C7" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </section>
+
+      <section className="bg-white p-6 rounded-2xl shadow-xl border border-gray-200">
+        <h3 className="font-semibold text-gray-800 mb-1">Accuracy vs Attempt Rate {titleSuffix}</h3>
+        <p className="text-xs text-gray-500 mb-2">Bottom-right: attempting a lot but guessing wrong. Top-left: accurate but leaving marks on the table.</p>
+        {scatterData.length === 0 ? (
+          <div className="text-sm text-gray-500 h-64 flex items-center justify-center">{EMPTY_MESSAGE}</div>
+        ) : (
+          <div style={{ width: "100%", height: 320 }}>
+            <ResponsiveContainer>
+              <ScatterChart margin={{ top: 10, right: 30, left: 0, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                <XAxis type="number" dataKey="attemptRate" name="Attempt Rate" domain={[0, 100]} unit="%" label={{ value: 'Attempt Rate %', position: 'insideBottom', offset: -10, fontSize: 12, fill: '#6b7280' }} />
+                <YAxis type="number" dataKey="accuracy" name="Accuracy" domain={[0, 100]} unit="%" label={{ value: 'Accuracy %', angle: -90, position: 'insideLeft', fontSize: 12, fill: '#6b7280' }} />
+                <ZAxis range={[60, 60]} />
+                <Tooltip content={<ScatterTooltip />} />
+                <Scatter data={scatterData} fill="#4F46E5" />
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useState } from "react";
+import { CalendarCheck, Plus } from "lucide-react";
+import { SLOT_STATUSES } from "../catalog/catalog";
+
+const STATUS_STYLES = {
+  completed: "bg-green-100 text-green-800 border-green-300",
+  overdue: "bg-red-100 text-red-800 border-red-300",
+  upcoming: "bg-gray-100 text-gray-700 border-gray-300",
+};
+
+/*
+Completed / overdue / upcoming tests per registered series. `progress` comes
+from catalogProgress(); open slots offer "Log result", which pre-fills the
+entry form linked to that slot.
+*/
+export default function CatalogPanel({ progress, onAddSeries, onEditSeries, onDeleteSeries, onLogSlot, titleSuffix }) {
+  const [statusFilter, setStatusFilter] = useState("all");
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-2xl mb-8 border border-gray-200">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+          <CalendarCheck size={22} className="mr-2 text-indigo-600" /> Test Series Schedule {titleSuffix}
+        </h2>
+        <div className="flex gap-2">
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm shadow-sm">
+            <option value="all">All tests</option>
+            {SLOT_STATUSES.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+          </select>
+          <button onClick={onAddSeries} className="px-3 py-1.5 bg-indigo-600 text-white rounded-lg shadow-md hover:bg-indigo-700 transition text-sm font-medium flex items-center">
+            <Plus size={14} className="mr-1" /> Register Series
+          </button>
+        </div>
+      </div>
+
+      {progress.length === 0 ? (
+        <p className="text-sm text-gray-500">Register a purchased test series to track which of its tests you have taken, missed or still have coming up.</p>
+      ) : (
+        <div className="space-y-6">
+          {progress.map(({ series, slots, counts }) => {
+            const shown = statusFilter === "all" ? slots : slots.filter((s) => s.status === statusFilter);
+            return (
+              <div key={series.id} className="border border-gray-200 rounded-xl p-4">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+                  <div>
+                    <p className="font-semibold text-gray-800">{series.name} <span className="text-sm font-normal text-gray-500">· {series.provider}</span></p>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                      {SLOT_STATUSES.map((s) => `${counts[s.id]} ${s.label.toLowerCase()}`).join(" · ")}
+                    </p>
+                  </div>
+                  <div className="flex gap-1.5">
+                    <button onClick={() => onEditSeries(series)} className="text-xs px-2.5 py-1.5 bg-indigo-100 text-indigo-700 rounded-md hover:bg-indigo-200 transition shadow-sm">Edit</button>
+                    <button onClick={() => onDeleteSeries(series)} className="text-xs px-2.5 py-1.5 bg-red-100 text-red-700 rounded-md hover:bg-red-200 transition shadow-sm">Delete</button>
+                  </div>
+                </div>
+
+                {slots.length > 0 && (
+                  <div className="flex h-2 rounded-full overflow-hidden bg-gray-100 mb-3">
+                    <div className="bg-green-500" style={{ width: `${(counts.completed / slots.length) * 100}%` }} />
+                    <div className="bg-red-400" style={{ width: `${(counts.overdue / slots.length) * 100}%` }} />
+                  </div>
+                )}
+
+                {shown.length === 0 ? (
+                  <p className="text-xs text-gray-500 italic">No {statusFilter === "all" ? "" : `${statusFilter} `}tests in this series.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100 text-sm max-h-64 overflow-auto">
+                    {shown.map((slot) => (
+                      <li key={slot.id} className="py-1.5 flex flex-wrap items-center justify-between gap-2">
+                        <span className="text-gray-800">
+                          {slot.name}
+                          <span className="ml-2 text-xs text-gray-500">{slot.category}{slot.subject && ` · ${slot.subject}`}{slot.scheduledDate && ` · ${slot.scheduledDate}`}</span>
+                        </span>
+                        <span className="flex items-center gap-2">
+                          {slot.entry && <span className="text-xs font-bold text-indigo-600">{slot.entry.percentage}% on {slot.entry.date}</span>}
+                          <span className={`text-xs px-2 py-0.5 rounded-full border ${STATUS_STYLES[slot.status]}`}>{SLOT_STATUSES.find((s) => s.id === slot.status).label}</span>
+                          {!slot.entry && (
+                            <button onClick={() => onLogSlot(series, slot)} className="text-xs px-2.5 py-1 bg-indigo-100 text-indigo-700 rounded-md hover:bg-indigo-200 transition">Log result</button>
+                          )}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </section>
+  );
+}
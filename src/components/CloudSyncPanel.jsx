@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { X, Cloud, CloudOff, Loader } from "lucide-react";
+import { SYNC_PHASES } from "../sync/useCloudSync";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1.5 text-sm shadow-sm w-full";
+
+function formatTime(iso) {
+  return iso ? iso.slice(0, 16).replace("T", " ") : "never";
+}
+
+/*
+Cloud sync settings: turn sync on or off for this dataset, sign in with the
+account whose log should be shared between devices, and see what is still
+waiting to be uploaded. When a different account signs in than the one this
+log was synced with, the user picks between merging and replacing through
+`onResolveAccountSwitch("merge" | "replace")`.
+*/
+export default function CloudSyncPanel({ sync, onResolveAccountSwitch, onClose }) {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const { status } = sync;
+
+  async function run(action) {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+      setPassword("");
+    } catch (e) {
+      setMessage(e.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-md max-h-[90vh] overflow-auto p-6">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-gray-900 flex items-center">
+              {sync.enabled ? <Cloud size={20} className="mr-2 text-indigo-600" /> : <CloudOff size={20} className="mr-2 text-gray-500" />}
+              Cloud sync
+            </h3>
+            <p className="text-xs text-gray-500">Keeps this log the same on every device signed in to your account. Changes made offline are uploaded when you reconnect; when an entry was edited on two devices, the later edit wins.</p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100 transition"><X size={18} /></button>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+          <input type="checkbox" checked={sync.enabled} onChange={(e) => sync.setEnabled(e.target.checked)} />
+          Sync this log
+        </label>
+        {!sync.enabled && (
+          <p className="text-xs text-gray-500">While sync is off, changes stay on this device. Turning it back on takes the cloud's copy of every entry the cloud already has, and uploads the rest.</p>
+        )}
+
+        {sync.enabled && (
+          <>
+            <div className="text-sm text-gray-700 space-y-1 mb-4">
+              <p className="flex items-center">
+                {["starting", "connecting", "syncing"].includes(status.phase) && <Loader size={14} className="animate-spin mr-2 text-indigo-600" />}
+                Status: <span className="font-semibold ml-1">{SYNC_PHASES[status.phase] || status.phase}</span>
+              </p>
+              {status.email && <p>Signed in as {status.email}</p>}
+              {status.phase !== "standby" && (
+                <p className="text-xs text-gray-500">{status.pending} change(s) waiting to upload · last synced {formatTime(status.lastSyncedAt)}</p>
+              )}
+              {status.pinned > 0 && (
+                <p className="text-xs text-yellow-700">{status.pinned} synced entries were written by a newer version of this tracker. This device keeps its own copy of them and will not upload it; update to get the newer versions.</p>
+              )}
+              {status.error && <p className="text-xs text-red-700">{status.error}</p>}
+            </div>
+
+            {status.phase === "signed-out" && (
+              <form onSubmit={(e) => { e.preventDefault(); run(() => sync.signIn(email, password)); }} className="space-y-2">
+                <input type="email" required placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} autoComplete="username" />
+                <input type="password" required minLength={6} placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} autoComplete="current-password" />
+                <div className="flex gap-2">
+                  <button type="submit" disabled={busy} className="px-3 py-1.5 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 shadow-md transition disabled:bg-gray-400">Sign in</button>
+                  <button type="button" disabled={busy || !email || password.length < 6} onClick={() => run(() => sync.signUp(email, password))} className="px-3 py-1.5 bg-white border border-indigo-300 rounded-lg text-sm text-indigo-700 hover:bg-indigo-50 shadow-sm transition disabled:opacity-40">
+                    Create account
+                  </button>
+                </div>
+              </form>
+            )}
+            {status.phase === "account-switch" && (
+              <div className="p-3 mb-3 bg-yellow-50 border border-yellow-400 rounded-lg text-xs text-yellow-800 space-y-2">
+                <p>This log was synced with {status.previousEmail || "another account"}. Choose what to do with it for {status.email}:</p>
+                <div className="flex flex-wrap gap-2">
+                  <button onClick={() => onResolveAccountSwitch("merge")} className="px-3 py-1.5 bg-white border border-indigo-300 rounded-lg text-indigo-700 hover:bg-indigo-50 shadow-sm transition">
+                    Merge this log into {status.email}
+                  </button>
+                  <button onClick={() => onResolveAccountSwitch("replace")} className="px-3 py-1.5 bg-white border border-red-300 rounded-lg text-red-700 hover:bg-red-50 shadow-sm transition">
+                    Replace it with {status.email}'s log
+                  </button>
+                </div>
+                <p>Replacing takes a snapshot of this log first, so it can be restored later. Or sign out to keep things as they are.</p>
+              </div>
+            )}
+            {status.email && (
+              <button disabled={busy} onClick={() => run(sync.signOut)} className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100 shadow-sm transition">
+                Sign out
+              </button>
+            )}
+            {message && <p className="text-xs text-red-700 mt-2">{message}</p>}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
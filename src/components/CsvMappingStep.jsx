@@ -0,0 +1,65 @@
+import React, { useState } from "react";
+import { X } from "lucide-react";
+import { CSV_IMPORT_FIELDS } from "../io/csv";
+
+const REQUIRED_FIELDS = ["maxMarks", "obtainedMarks"];
+
+// Lets the user map spreadsheet columns onto entry fields before the import preview.
+export default function CsvMappingStep({ sourceName, headers, rows, initialMapping, onCancel, onConfirm }) {
+  const [mapping, setMapping] = useState(initialMapping);
+  const missing = REQUIRED_FIELDS.filter((f) => mapping[f] < 0);
+  const preview = rows.slice(0, 3);
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col p-6">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">Map CSV Columns</h3>
+            <p className="text-sm text-gray-500 mt-1">{sourceName} — {rows.length} rows, {headers.length} columns</p>
+          </div>
+          <button onClick={onCancel} className="p-1 rounded-full hover:bg-gray-100 transition"><X size={18} /></button>
+        </div>
+
+        <div className="overflow-auto flex-1 space-y-2">
+          {CSV_IMPORT_FIELDS.map(({ field, label }) => (
+            <div key={field} className="grid grid-cols-3 gap-3 items-center text-sm">
+              <label className="font-medium text-gray-700">
+                {label}{REQUIRED_FIELDS.includes(field) && <span className="text-red-600"> *</span>}
+              </label>
+              <select
+                value={mapping[field]}
+                onChange={(e) => setMapping((prev) => ({ ...prev, [field]: Number(e.target.value) }))}
+                className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm shadow-sm"
+              >
+                <option value={-1}>— Ignore —</option>
+                {headers.map((h, i) => (
+                  <option key={i} value={i}>{h || `Column ${i + 1}`}</option>
+                ))}
+              </select>
+              <span className="text-xs text-gray-500 truncate">
+                {mapping[field] >= 0 ? preview.map((r) => r[mapping[field]]).filter(Boolean).join(", ") : ""}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        {missing.length > 0 && (
+          <p className="text-xs text-red-600 mt-3">Map the required columns (*) to continue.</p>
+        )}
+        <div className="flex justify-end space-x-3 mt-4">
+          <button onClick={onCancel} className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-100 transition">
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(mapping)}
+            disabled={missing.length > 0}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg shadow-md hover:bg-indigo-700 transition text-sm font-medium disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            Preview Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
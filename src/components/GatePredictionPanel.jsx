@@ -0,0 +1,68 @@
+import React from "react";
+import { Target } from "lucide-react";
+import { predictGate } from "../prediction/gateScore";
+
+const RECENT_COUNTS = [3, 5, 10];
+
+function formatRank({ rank, beyond }) {
+  return `${beyond ? ">" : ""}${rank.toLocaleString()}`;
+}
+
+/*
+Estimated GATE marks, normalized score and AIR band from the latest full tests
+under the chosen marks-vs-rank table. Sits next to the Full Test trend chart.
+*/
+export default function GatePredictionPanel({ fullTests, tables, tableId, recent, onTableChange, onRecentChange, onManageTables }) {
+  const table = tables.find((t) => t.id === tableId) || tables[0];
+  const prediction = predictGate(fullTests, table, recent);
+
+  return (
+    <div className="p-4 bg-orange-50 rounded-xl border border-orange-200 text-sm flex flex-col gap-3">
+      <h4 className="font-semibold text-orange-900 flex items-center"><Target size={16} className="mr-1.5" /> Predicted GATE Result</h4>
+
+      <div className="flex gap-2">
+        <select value={table?.id || ""} onChange={(e) => onTableChange(e.target.value)} disabled={!tables.length} className="flex-1 min-w-0 border border-gray-300 rounded-lg px-2 py-1 text-xs bg-white">
+          {!tables.length && <option value="">No rank table</option>}
+          {tables.map((t) => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </select>
+        <select value={recent} onChange={(e) => onRecentChange(Number(e.target.value))} className="border border-gray-300 rounded-lg px-2 py-1 text-xs bg-white" title="Number of recent full tests used">
+          {RECENT_COUNTS.map((w) => <option key={w} value={w}>Last {w}</option>)}
+        </select>
+      </div>
+
+      {!table ? (
+        <p className="text-xs text-gray-600">Add a marks-vs-rank table for this exam profile to see a predicted score and rank.</p>
+      ) : !prediction ? (
+        <p className="text-xs text-gray-600">Log full-length or mock tests to see a predicted score and rank.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-2 text-center">
+            <div>
+              <p className="text-xs text-orange-800">Marks</p>
+              <p className="text-xl font-extrabold text-orange-600">{prediction.marks.mid}</p>
+            </div>
+            <div>
+              <p className="text-xs text-orange-800">GATE Score</p>
+              <p className="text-xl font-extrabold text-orange-600">{prediction.score.mid ?? "—"}</p>
+            </div>
+            <div>
+              <p className="text-xs text-orange-800">AIR</p>
+              <p className="text-xl font-extrabold text-orange-600">{formatRank(prediction.rank.mid)}</p>
+            </div>
+          </div>
+          {prediction.spread > 0 ? (
+            <p className="text-xs text-orange-900">
+              Likely range: {prediction.marks.low}–{prediction.marks.high} marks, score {prediction.score.low}–{prediction.score.high}, AIR {formatRank(prediction.rank.high)}–{formatRank(prediction.rank.low)} (±{prediction.spread} marks spread).
+            </p>
+          ) : (
+            <p className="text-xs text-orange-900">Log more full tests to see an uncertainty band.</p>
+          )}
+          {!prediction.qualified && <p className="text-xs text-red-600 font-semibold">Below the qualifying marks ({table.qualifyingMarks}) of {table.name}.</p>}
+          <p className="text-xs text-gray-500">Based on {prediction.count} latest full test{prediction.count > 1 ? "s" : ""}. Provider mocks are often tougher or easier than the real paper; treat this as a rough guide.</p>
+        </>
+      )}
+
+      <button onClick={onManageTables} className="text-xs text-indigo-600 hover:underline self-start">Manage rank tables</button>
+    </div>
+  );
+}
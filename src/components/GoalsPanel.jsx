@@ -0,0 +1,119 @@
+import React, { useState } from "react";
+import { Flag, Trash2, AlertTriangle } from "lucide-react";
+import { GOAL_METRICS, GOAL_SCOPES, GOAL_STATUSES, goalLabel } from "../goals/goals";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1.5 text-sm shadow-sm";
+
+const STATUS_STYLES = {
+  achieved: "bg-green-100 text-green-800 border-green-300",
+  "on-pace": "bg-indigo-100 text-indigo-800 border-indigo-300",
+  "off-pace": "bg-red-100 text-red-800 border-red-300",
+  missed: "bg-gray-200 text-gray-700 border-gray-400",
+  "no-data": "bg-gray-100 text-gray-600 border-gray-300",
+};
+
+const BAR_STYLES = { achieved: "bg-green-500", "off-pace": "bg-red-400", missed: "bg-gray-400" };
+
+/*
+Goals with their progress (from goalProgress, over every logged test
+regardless of the log filters) and a form to add one. Off-pace goals are
+listed first with a warning so they cannot be missed.
+*/
+export default function GoalsPanel({ items, subjects, categories, onAdd, onDelete }) {
+  const [draft, setDraft] = useState({ scope: "overall", target: "", metric: "avg", targetValue: "", deadline: "" });
+  const targets = draft.scope === "subject" ? subjects : draft.scope === "category" ? categories : [];
+  const value = Number(draft.targetValue);
+  const valid = draft.targetValue !== "" && value > 0 && value <= 100 && draft.deadline && (draft.scope === "overall" || targets.includes(draft.target));
+  const offPace = items.filter((i) => i.progress.status === "off-pace");
+  const sorted = [...offPace, ...items.filter((i) => i.progress.status !== "off-pace")];
+
+  function add() {
+    if (!valid) return;
+    onAdd({ ...draft, targetValue: value });
+    setDraft({ ...draft, targetValue: "", deadline: "" });
+  }
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-2xl mb-8 border border-gray-200">
+      <h2 className="text-xl font-semibold text-gray-800 flex items-center mb-4">
+        <Flag size={20} className="mr-2 text-indigo-600" /> Goals
+      </h2>
+
+      {offPace.length > 0 && (
+        <p className="mb-4 p-3 bg-red-50 border border-red-300 rounded-lg text-sm text-red-800 flex items-center">
+          <AlertTriangle size={16} className="mr-2 flex-shrink-0" />
+          {offPace.length} goal{offPace.length > 1 ? "s are" : " is"} off pace: {offPace.map((i) => goalLabel(i.goal)).join("; ")}.
+        </p>
+      )}
+
+      {sorted.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">Set a target average score or rank percentile with a deadline to track your progress against it.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 mb-4 text-sm">
+          {sorted.map(({ goal, progress }) => (
+            <li key={goal.id} className="py-2">
+              <div className="flex flex-wrap justify-between items-center gap-2">
+                <span className="font-medium text-gray-800">
+                  {goalLabel(goal)}
+                  <span className="ml-2 text-xs font-normal text-gray-500">
+                    by {goal.deadline}{progress.daysLeft >= 0 ? ` (${progress.daysLeft} days left)` : ""}
+                  </span>
+                </span>
+                <span className="flex items-center gap-2">
+                  <span className={`text-xs px-2 py-0.5 rounded-full border ${STATUS_STYLES[progress.status]}`}>{GOAL_STATUSES[progress.status]}</span>
+                  <button onClick={() => onDelete(goal)} className="p-1 text-red-500 hover:text-red-700" title="Delete goal"><Trash2 size={14} /></button>
+                </span>
+              </div>
+              {progress.current !== null && (
+                <>
+                  <div className="h-2 rounded-full bg-gray-100 overflow-hidden mt-1.5">
+                    <div className={`h-full ${BAR_STYLES[progress.status] || "bg-indigo-500"}`} style={{ width: `${progress.fraction * 100}%` }} />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Now {progress.current} (latest {progress.recent} of {progress.count} tests) · started at {progress.start}
+                    {progress.status !== "achieved" && progress.status !== "missed" && ` · pace needs ${progress.expected} today`}
+                  </p>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap gap-2 items-end">
+        <div>
+          <label className="block text-xs font-medium text-gray-700">For</label>
+          <select value={draft.scope} onChange={(e) => setDraft({ ...draft, scope: e.target.value, target: "" })} className={`${inputClass} mt-1`}>
+            {GOAL_SCOPES.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+          </select>
+        </div>
+        {draft.scope !== "overall" && (
+          <div>
+            <label className="block text-xs font-medium text-gray-700">{draft.scope === "subject" ? "Subject" : "Category"}</label>
+            <select value={draft.target} onChange={(e) => setDraft({ ...draft, target: e.target.value })} className={`${inputClass} mt-1 max-w-[14rem]`}>
+              <option value="">Choose…</option>
+              {targets.map((t) => <option key={t} value={t}>{t}</option>)}
+            </select>
+          </div>
+        )}
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Metric</label>
+          <select value={draft.metric} onChange={(e) => setDraft({ ...draft, metric: e.target.value })} className={`${inputClass} mt-1`}>
+            {GOAL_METRICS.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Target</label>
+          <input value={draft.targetValue} onChange={(e) => setDraft({ ...draft, targetValue: e.target.value })} inputMode="decimal" className={`${inputClass} mt-1 w-20`} placeholder="e.g. 70" />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Deadline</label>
+          <input type="date" value={draft.deadline} onChange={(e) => setDraft({ ...draft, deadline: e.target.value })} className={`${inputClass} mt-1`} />
+        </div>
+        <button onClick={add} disabled={!valid} className="px-4 py-2 bg-indigo-600 text-white rounded-lg shadow-md hover:bg-indigo-700 transition text-sm font-medium disabled:bg-gray-400">
+          Add Goal
+        </button>
+      </div>
+    </section>
+  );
+}
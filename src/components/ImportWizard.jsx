@@ -0,0 +1,132 @@
+import React, { useState } from "react";
+import { X } from "lucide-react";
+import { CONFLICT_ACTIONS } from "../io/importMerge";
+
+const STATUS_STYLES = {
+  new: "bg-green-100 text-green-700",
+  changed: "bg-yellow-100 text-yellow-800",
+  duplicate: "bg-gray-200 text-gray-600",
+};
+
+function formatValue(v) {
+  if (v == null || v === "") return "—";
+  if (Array.isArray(v)) return `${v.length} items`;
+  if (typeof v === "object") return Object.entries(v).map(([k, x]) => `${k}: ${x}`).join(", ");
+  return String(v);
+}
+
+// Preview of an import plan: shows new / changed / duplicate rows and lets the
+// user pick skip, overwrite or keep-both for every conflict before committing.
+export default function ImportWizard({ plan, sourceName, onCancel, onConfirm }) {
+  const [actions, setActions] = useState(() => Object.fromEntries(plan.map((row) => [row.key, row.action])));
+
+  const counts = plan.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+  const conflicts = plan.filter((row) => row.status !== "new");
+  const undated = plan.some((row) => row.fields && !row.fields.includes("date"));
+
+  function setAllConflicts(action) {
+    setActions((prev) => {
+      const next = { ...prev };
+      for (const row of conflicts) {
+        // In-file repeats have nothing to overwrite.
+        if (action === "overwrite" && !row.existing) continue;
+        next[row.key] = action;
+      }
+      return next;
+    });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col p-6">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">Review Import</h3>
+            <p className="text-sm text-gray-500 mt-1">{sourceName} — {plan.length} rows</p>
+            {undated && (
+              <p className="text-xs text-amber-700 mt-1">No date column was mapped: new rows are dated today, and rows are matched to logged tests without their date.</p>
+            )}
+          </div>
+          <button onClick={onCancel} className="p-1 rounded-full hover:bg-gray-100 transition"><X size={18} /></button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 text-xs font-semibold mb-4">
+          <span className={`px-2.5 py-1 rounded-full ${STATUS_STYLES.new}`}>{counts.new || 0} new</span>
+          <span className={`px-2.5 py-1 rounded-full ${STATUS_STYLES.changed}`}>{counts.changed || 0} changed</span>
+          <span className={`px-2.5 py-1 rounded-full ${STATUS_STYLES.duplicate}`}>{counts.duplicate || 0} duplicate</span>
+          {conflicts.length > 0 && (
+            <span className="ml-auto flex items-center gap-1.5 text-gray-600 font-medium">
+              All conflicts:
+              {CONFLICT_ACTIONS.map((a) => (
+                <button key={a.id} onClick={() => setAllConflicts(a.id)} className="px-2 py-1 border border-gray-300 rounded-md hover:bg-gray-100 transition">{a.label}</button>
+              ))}
+            </span>
+          )}
+        </div>
+
+        <div className="overflow-auto flex-1 border border-gray-200 rounded-lg">
+          <table className="min-w-full table-auto text-sm">
+            <thead className="text-xs text-gray-700 uppercase bg-gray-100 sticky top-0">
+              <tr>
+                <th className="px-3 py-2 text-left">Status</th>
+                <th className="px-3 py-2 text-left">Date</th>
+                <th className="px-3 py-2 text-left">Subject / Category</th>
+                <th className="px-3 py-2 text-left">Provider</th>
+                <th className="px-3 py-2 text-left">Marks</th>
+                <th className="px-3 py-2 text-left">Differences</th>
+                <th className="px-3 py-2 text-left">Action</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {plan.map((row) => (
+                <tr key={row.key} className="align-top">
+                  <td className="px-3 py-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[row.status]}`}>{row.status}</span>
+                    {row.matchedBy && <div className="text-xs text-gray-400 mt-1">by {row.matchedBy}</div>}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{row.incoming.date}</td>
+                  <td className="px-3 py-2 text-gray-800">{row.incoming.subject}<div className="text-xs text-gray-500">{row.incoming.category}</div></td>
+                  <td className="px-3 py-2 text-gray-600">{row.incoming.provider}</td>
+                  <td className="px-3 py-2 text-gray-700">{row.incoming.obtainedMarks}/{row.incoming.maxMarks}</td>
+                  <td className="px-3 py-2 text-xs text-gray-600">
+                    {row.diff.map((field) => (
+                      <div key={field}>
+                        <span className="font-semibold">{field}:</span>{" "}
+                        <span className="line-through text-red-600">{formatValue(row.existing[field])}</span>{" → "}
+                        <span className="text-green-700">{formatValue(row.incoming[field])}</span>
+                      </div>
+                    ))}
+                  </td>
+                  <td className="px-3 py-2">
+                    {row.status === "new" ? (
+                      <span className="text-xs text-green-700 font-medium">Add</span>
+                    ) : (
+                      <select
+                        value={actions[row.key]}
+                        onChange={(e) => setActions((prev) => ({ ...prev, [row.key]: e.target.value }))}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-xs"
+                      >
+                        {CONFLICT_ACTIONS.filter((a) => a.id !== "overwrite" || row.existing).map((a) => (
+                          <option key={a.id} value={a.id}>{a.label}</option>
+                        ))}
+                      </select>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-end space-x-3 mt-4">
+          <button onClick={onCancel} className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-100 transition">
+            Cancel
+          </button>
+          <button onClick={() => onConfirm(actions)} className="px-4 py-2 bg-indigo-600 text-white rounded-lg shadow-md hover:bg-indigo-700 transition text-sm font-medium">
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { X, Trash2 } from "lucide-react";
+import { BUILT_IN_SCHEMES, createScheme } from "../scoring/markingScheme";
+import { QUESTION_TYPES } from "../scoring/responseSheet";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1.5 text-sm shadow-sm";
+
+function formatFraction(f) {
+  return f ? `−${Math.round(f * 1000) / 1000}×` : "none";
+}
+
+// Manage custom marking schemes and choose which scheme each provider uses.
+// `settings` is { schemes: [custom schemes], providerSchemes: { provider: schemeId } };
+// providers without an entry use `defaultSchemeId` (the exam profile's scheme).
+export default function MarkingSchemesPanel({ settings, providers, defaultSchemeId, onChange, onClose }) {
+  const [draft, setDraft] = useState({ name: "", MCQ: "0.3333", MSQ: "0", NAT: "0" });
+  const schemes = [...BUILT_IN_SCHEMES, ...settings.schemes];
+
+  function addScheme() {
+    if (!draft.name.trim()) return;
+    const scheme = createScheme(draft.name.trim(), {
+      MCQ: Number(draft.MCQ) || 0,
+      MSQ: Number(draft.MSQ) || 0,
+      NAT: Number(draft.NAT) || 0,
+    });
+    onChange({ ...settings, schemes: [...settings.schemes, scheme] });
+    setDraft({ name: "", MCQ: "0.3333", MSQ: "0", NAT: "0" });
+  }
+
+  function removeScheme(id) {
+    const providerSchemes = Object.fromEntries(Object.entries(settings.providerSchemes).filter(([, sid]) => sid !== id));
+    onChange({ schemes: settings.schemes.filter((s) => s.id !== id), providerSchemes });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-auto p-6">
+        <div className="flex justify-between items-start mb-4">
+          <h3 className="text-xl font-bold text-gray-900">Marking Schemes</h3>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100 transition"><X size={18} /></button>
+        </div>
+
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Negative marking per wrong answer (fraction of the question's marks)</h4>
+        <table className="min-w-full text-sm mb-4">
+          <thead className="text-xs text-gray-600 uppercase bg-gray-100">
+            <tr>
+              <th className="px-2 py-2 text-left">Scheme</th>
+              {QUESTION_TYPES.map((t) => <th key={t} className="px-2 py-2 text-left">{t}</th>)}
+              <th className="px-2 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {schemes.map((s) => (
+              <tr key={s.id}>
+                <td className="px-2 py-2 font-medium text-gray-800">{s.name}</td>
+                {QUESTION_TYPES.map((t) => <td key={t} className="px-2 py-2 text-gray-600">{formatFraction(s.rules[t]?.negativeFraction)}</td>)}
+                <td className="px-2 py-2 text-right">
+                  {!BUILT_IN_SCHEMES.includes(s) && (
+                    <button onClick={() => removeScheme(s.id)} className="p-1 text-red-500 hover:text-red-700" title="Delete scheme"><Trash2 size={14} /></button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="grid grid-cols-5 gap-2 items-end mb-6">
+          <div className="col-span-2">
+            <label className="block text-xs font-medium text-gray-700">New scheme name</label>
+            <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className={`${inputClass} w-full mt-1`} placeholder="e.g. Made Easy (−0.25)" />
+          </div>
+          {QUESTION_TYPES.map((t) => (
+            <div key={t}>
+              <label className="block text-xs font-medium text-gray-700">{t}</label>
+              <input type="number" step="0.0001" min="0" value={draft[t]} onChange={(e) => setDraft({ ...draft, [t]: e.target.value })} className={`${inputClass} w-full mt-1`} />
+            </div>
+          ))}
+          <button onClick={addScheme} disabled={!draft.name.trim()} className="col-span-5 px-4 py-2 bg-indigo-600 text-white rounded-lg shadow-md hover:bg-indigo-700 transition text-sm font-medium disabled:bg-gray-400">
+            Add Scheme
+          </button>
+        </div>
+
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Scheme used by each provider</h4>
+        <div className="space-y-2">
+          {providers.map((p) => (
+            <div key={p} className="grid grid-cols-2 gap-3 items-center text-sm">
+              <span className="text-gray-800">{p}</span>
+              <select
+                value={settings.providerSchemes[p] || defaultSchemeId}
+                onChange={(e) => onChange({ ...settings, providerSchemes: { ...settings.providerSchemes, [p]: e.target.value } })}
+                className={inputClass}
+              >
+                {schemes.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
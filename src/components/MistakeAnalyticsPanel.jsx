@@ -0,0 +1,78 @@
+import React, { useMemo } from "react";
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+} from "recharts";
+import { ListX } from "lucide-react";
+import { ERROR_TYPES, mistakeAnalytics } from "../mistakes/mistakes";
+
+const EMPTY_MESSAGE = "Log mistakes on your tests (Mistake Log in the entry form) to see which error types cost you the most marks.";
+
+// Marks lost per error type: totals, month by month, and per subject (stacked by type).
+export default function MistakeAnalyticsPanel({ tests, titleSuffix = "" }) {
+  const stats = useMemo(() => mistakeAnalytics(tests), [tests]);
+  const usedTypes = ERROR_TYPES.filter((t) => stats.byType.some((s) => s.id === t.id && s.count > 0));
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-xl border border-gray-200">
+      <h3 className="font-semibold text-gray-800 mb-4 flex items-center">
+        <ListX size={18} className="mr-2 text-red-600" />
+        Mistake Analysis {titleSuffix}
+      </h3>
+
+      {stats.count === 0 ? (
+        <div className="text-sm text-gray-500 h-40 flex items-center justify-center">{EMPTY_MESSAGE}</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3 mb-6">
+            {stats.byType.filter((t) => t.count > 0).map((t) => (
+              <div key={t.id} className="p-3 rounded-xl border border-gray-200 bg-gray-50">
+                <p className="text-xs font-medium text-gray-600" style={{ color: t.color }}>{t.label}</p>
+                <p className="text-2xl font-extrabold text-gray-800">−{t.marksLost}</p>
+                <p className="text-xs text-gray-500">{t.count} mistakes · {Math.round((t.marksLost / stats.marksLost) * 100) || 0}%</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid lg:grid-cols-2 gap-6">
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Marks lost over time</h4>
+              <div style={{ width: "100%", height: 280 }}>
+                <ResponsiveContainer>
+                  <BarChart data={stats.byMonth} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                    <XAxis dataKey="month" tick={{ fontSize: 10 }} />
+                    <YAxis tick={{ fontSize: 10 }} label={{ value: 'Marks lost', angle: -90, position: 'insideLeft', fontSize: 12, fill: '#6b7280' }} />
+                    <Tooltip />
+                    <Legend wrapperStyle={{ fontSize: 11 }} />
+                    {usedTypes.map((t) => <Bar key={t.id} dataKey={t.id} name={t.label} stackId="lost" fill={t.color} />)}
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Marks lost per subject</h4>
+              <div style={{ width: "100%", height: 280 }}>
+                <ResponsiveContainer>
+                  <BarChart data={stats.bySubject} layout="vertical" margin={{ top: 10, right: 20, left: 20, bottom: 10 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                    <XAxis type="number" tick={{ fontSize: 10 }} />
+                    <YAxis type="category" dataKey="subject" width={130} tick={{ fontSize: 10 }} />
+                    <Tooltip />
+                    {usedTypes.map((t) => <Bar key={t.id} dataKey={t.id} name={t.label} stackId="lost" fill={t.color} />)}
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
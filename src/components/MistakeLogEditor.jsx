@@ -0,0 +1,97 @@
+import React from "react";
+import { Trash2 } from "lucide-react";
+import { ERROR_TYPES, emptyMistake } from "../mistakes/mistakes";
+import { scoreResponse } from "../scoring/markingScheme";
+
+const cellClass = "border border-gray-300 rounded-md px-1.5 py-1 text-xs w-full";
+
+// Mistake records for a test entry, edited as raw form values (the tracker sanitizes them on save).
+// With a response sheet, wrong answers not logged yet can be pulled in with the marks they cost.
+export default function MistakeLogEditor({ mistakes, subjects, defaultSubject, syllabus = {}, responses = [], scheme, onChange }) {
+  const logged = new Set(mistakes.map((m) => Number(m.questionNumber)));
+  const wrongAnswers = responses.filter((r) => r.status === "incorrect" && !logged.has(r.q));
+  const total = mistakes.reduce((a, m) => a + (Number(m.marksLost) || 0), 0);
+
+  function updateRow(index, patch) {
+    onChange(mistakes.map((m, i) => (i === index ? { ...m, ...patch } : m)));
+  }
+
+  function addFromSheet() {
+    onChange([
+      ...mistakes,
+      ...wrongAnswers.map((r) => ({
+        ...emptyMistake(r.subject || defaultSubject),
+        questionNumber: String(r.q),
+        topic: r.topic || "",
+        // A wrong answer costs its own marks plus the negative marking
+        marksLost: String(Math.round((r.marks - scoreResponse(r, scheme)) * 100) / 100),
+      })),
+    ]);
+  }
+
+  return (
+    <div className="mt-4 border border-red-200 rounded-xl p-4 bg-red-50/40">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-sm font-semibold text-gray-800">Mistake Log ({mistakes.length} mistakes, {Math.round(total * 100) / 100} marks lost)</h3>
+        <div className="flex gap-2">
+          {wrongAnswers.length > 0 && (
+            <button type="button" onClick={addFromSheet} className="px-3 py-1.5 bg-white border border-red-300 rounded-lg text-xs font-semibold text-red-700 hover:bg-red-100 transition shadow-sm">
+              Add {wrongAnswers.length} wrong answer{wrongAnswers.length > 1 ? "s" : ""} from sheet
+            </button>
+          )}
+          <button type="button" onClick={() => onChange([...mistakes, emptyMistake(defaultSubject)])} className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-xs text-gray-700 hover:bg-gray-100 transition shadow-sm">
+            + Mistake
+          </button>
+        </div>
+      </div>
+
+      {mistakes.length > 0 && (
+        <div className="overflow-auto max-h-96">
+          <table className="min-w-full table-auto text-xs">
+            <thead className="text-gray-600 uppercase bg-white sticky top-0">
+              <tr>
+                <th className="px-1.5 py-2 text-left w-14">Q#</th>
+                <th className="px-1.5 py-2 text-left">Subject</th>
+                <th className="px-1.5 py-2 text-left">Topic</th>
+                <th className="px-1.5 py-2 text-left">Error type</th>
+                <th className="px-1.5 py-2 text-left w-20">Marks lost</th>
+                <th className="px-1.5 py-2 text-left">Note</th>
+                <th className="px-1.5 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {mistakes.map((m, i) => (
+                <tr key={i}>
+                  <td className="px-1.5 py-1"><input type="number" min="1" value={m.questionNumber} onChange={(e) => updateRow(i, { questionNumber: e.target.value })} className={cellClass} /></td>
+                  <td className="px-1.5 py-1">
+                    <select value={m.subject} onChange={(e) => updateRow(i, { subject: e.target.value, topic: "" })} className={cellClass}>
+                      {(subjects.includes(m.subject) ? subjects : [m.subject, ...subjects]).map((s) => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                  </td>
+                  <td className="px-1.5 py-1"><input value={m.topic} onChange={(e) => updateRow(i, { topic: e.target.value })} list={syllabus[m.subject] ? `mistake-topics-${subjects.indexOf(m.subject)}` : undefined} className={cellClass} placeholder="e.g. Transient Analysis" /></td>
+                  <td className="px-1.5 py-1">
+                    <select value={m.errorType} onChange={(e) => updateRow(i, { errorType: e.target.value })} className={cellClass}>
+                      {ERROR_TYPES.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="px-1.5 py-1"><input type="text" inputMode="decimal" value={m.marksLost} onChange={(e) => updateRow(i, { marksLost: e.target.value })} className={cellClass} placeholder="e.g. 2.67" /></td>
+                  <td className="px-1.5 py-1"><input value={m.note} onChange={(e) => updateRow(i, { note: e.target.value })} className={cellClass} placeholder="What went wrong" /></td>
+                  <td className="px-1.5 py-1">
+                    <button type="button" onClick={() => onChange(mistakes.filter((_, j) => j !== i))} className="p-1 text-red-500 hover:text-red-700" title="Remove mistake">
+                      <Trash2 size={14} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {subjects.filter((s) => syllabus[s]).map((s) => (
+            <datalist key={s} id={`mistake-topics-${subjects.indexOf(s)}`}>
+              {Object.keys(syllabus[s]).map((topic) => <option key={topic} value={topic} />)}
+            </datalist>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import { X, Lock, Loader } from "lucide-react";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1.5 text-sm shadow-sm w-full";
+const MIN_LENGTH = 8;
+
+/*
+Asks for the passphrase of an encrypted backup. For an export ("encrypt") it
+is typed twice, since a mistyped passphrase would make the file unreadable.
+`onSubmit(passphrase)` may reject; its message is shown and the prompt stays
+open so the user can try again.
+*/
+export default function PassphrasePrompt({ mode, sourceName, onSubmit, onCancel }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const encrypting = mode === "encrypt";
+  const problem = encrypting && passphrase.length < MIN_LENGTH
+    ? `Use at least ${MIN_LENGTH} characters.`
+    : encrypting && confirm !== passphrase ? "The passphrases do not match." : null;
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (problem || !passphrase) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await onSubmit(passphrase);
+    } catch (err) {
+      setError(err.message || String(err));
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-2xl w-full max-w-sm p-6">
+        <div className="flex justify-between items-start mb-4">
+          <h3 className="text-xl font-bold text-gray-900 flex items-center">
+            <Lock size={18} className="mr-2 text-indigo-600" />
+            {encrypting ? "Encrypted backup" : "Open encrypted backup"}
+          </h3>
+          <button type="button" onClick={onCancel} className="p-1 rounded-full hover:bg-gray-100 transition"><X size={18} /></button>
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+          {encrypting
+            ? "Scores, ranks and notes are encrypted with this passphrase. There is no way to recover it, so keep it somewhere safe."
+            : `Enter the passphrase ${sourceName} was exported with.`}
+        </p>
+        <div className="space-y-2">
+          <input type="password" autoFocus placeholder="Passphrase" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} className={inputClass} autoComplete={encrypting ? "new-password" : "current-password"} />
+          {encrypting && (
+            <input type="password" placeholder="Repeat passphrase" value={confirm} onChange={(e) => setConfirm(e.target.value)} className={inputClass} autoComplete="new-password" />
+          )}
+        </div>
+        {encrypting && passphrase && problem && <p className="text-xs text-gray-500 mt-2">{problem}</p>}
+        {error && <p className="text-xs text-red-700 mt-2">{error}</p>}
+        <div className="flex justify-end gap-2 mt-4">
+          <button type="button" onClick={onCancel} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg text-sm hover:bg-gray-300 transition">Cancel</button>
+          <button type="submit" disabled={busy || !passphrase || Boolean(problem)} className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 shadow-md transition disabled:bg-gray-400 flex items-center">
+            {busy && <Loader size={14} className="animate-spin mr-2" />}
+            {encrypting ? "Export" : "Decrypt"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
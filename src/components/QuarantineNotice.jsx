@@ -0,0 +1,73 @@
+import React, { useMemo } from "react";
+import { ShieldAlert } from "lucide-react";
+import { downloadText } from "../utils";
+import { salvageEntries } from "../storage/quarantine";
+
+const buttonClass = "px-3 py-1.5 bg-white border border-red-300 rounded-lg text-xs font-semibold text-red-700 hover:bg-red-100 transition shadow-sm";
+
+function fileStamp(iso) {
+  return (iso || new Date().toISOString()).slice(0, 19).replace(/[:T]/g, "-");
+}
+
+/*
+Stored data that could not be read: the copies kept in quarantine (and, when
+even the copy failed, the payload still in place). Each can be downloaded
+raw, downloaded as the entries that still parse, reviewed for import
+through the usual merge preview, or discarded once it is no longer needed.
+*/
+export default function QuarantineNotice({ unreadable, records, canImport, onReview, onDiscard }) {
+  // Salvaging parses and migrates whole payloads, so it runs once per change of the copies, not on every render.
+  const copies = useMemo(() => {
+    const all = unreadable && !unreadable.quarantined
+      ? [{ id: null, savedAt: null, backend: null, error: unreadable.error, raw: unreadable.raw }, ...records]
+      : records;
+    return all.map((copy) => ({ copy, salvage: salvageEntries(copy.raw || "") }));
+  }, [unreadable, records]);
+  if (!copies.length) return null;
+
+  function downloadReadable(copy, entries) {
+    downloadText(JSON.stringify(entries, null, 2), `recovered-tests-${fileStamp(copy.savedAt)}.json`);
+  }
+
+  return (
+    <div className="mb-6 p-4 bg-red-50 border border-red-400 rounded-xl text-sm text-red-800">
+      <p className="font-semibold flex items-center mb-1">
+        <ShieldAlert size={18} className="mr-2 flex-shrink-0" />
+        {unreadable ? "Your saved tests could not be read." : "Unreadable saved data is kept in quarantine."}
+      </p>
+      {unreadable && (
+        <p className="mb-2">
+          {unreadable.quarantined
+            ? "A copy was moved to quarantine before anything was written, and the tracker started with an empty log. Recover what you can below."
+            : "It could not be copied aside either, so nothing will be saved in this session. Download the raw data before closing this tab."}
+        </p>
+      )}
+      <ul className="divide-y divide-red-200">
+        {copies.map(({ copy, salvage: { entries, failed } }) => {
+          return (
+            <li key={copy.id || "in-place"} className="py-2 flex flex-wrap justify-between items-center gap-2">
+              <span className="text-xs">
+                {copy.savedAt ? `Quarantined ${copy.savedAt.slice(0, 16).replace("T", " ")} from ${copy.backend}` : "Still in storage"}
+                {` · ${copy.error} · ${entries.length} entries readable${failed ? `, ${failed} lost` : ""}`}
+              </span>
+              <span className="flex flex-wrap gap-2">
+                {canImport && entries.length > 0 && (
+                  <button onClick={() => onReview(copy)} className={buttonClass}>Review &amp; import readable entries</button>
+                )}
+                {entries.length > 0 && (
+                  <button onClick={() => downloadReadable(copy, entries)} className={buttonClass}>Download readable entries</button>
+                )}
+                <button onClick={() => downloadText(copy.raw || "", `unreadable-tests-${fileStamp(copy.savedAt)}.txt`, "text/plain")} className={buttonClass}>
+                  Download raw copy
+                </button>
+                {copy.id && (
+                  <button onClick={() => onDiscard(copy)} className="px-3 py-1.5 text-xs text-red-600 hover:underline">Discard</button>
+                )}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useState } from "react";
+import { X, Trash2 } from "lucide-react";
+import { createRankTable, parseRankPoints } from "../prediction/gateScore";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1.5 text-sm shadow-sm";
+const EMPTY_DRAFT = { name: "", source: "", qualifyingMarks: "", topMarks: "", points: "" };
+
+// Lists the marks-vs-rank tables for the active profile and lets the user add them
+// (e.g. from their branch's official cut-offs). `tables` are the tables of every profile.
+export default function RankTablesPanel({ tables, profileId, onChange, onClose }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const points = parseRankPoints(draft.points);
+  const qualifying = Number(draft.qualifyingMarks);
+  const top = Number(draft.topMarks);
+  const valid = draft.name.trim() && draft.qualifyingMarks.trim() && points && qualifying >= 0 && top > qualifying && top <= 100;
+  const shown = tables.filter((t) => t.profileId === profileId);
+
+  function addTable() {
+    if (!valid) return;
+    onChange([...tables, createRankTable(draft.name.trim(), profileId, draft.source.trim(), qualifying, top, points)]);
+    setDraft(EMPTY_DRAFT);
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-auto p-6">
+        <div className="flex justify-between items-start mb-4">
+          <h3 className="text-xl font-bold text-gray-900">Marks vs Rank Tables</h3>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100 transition"><X size={18} /></button>
+        </div>
+
+        <table className="min-w-full text-sm mb-6">
+          <thead className="text-xs text-gray-600 uppercase bg-gray-100">
+            <tr>
+              <th className="px-2 py-2 text-left">Paper year</th>
+              <th className="px-2 py-2 text-left">Qualifying</th>
+              <th className="px-2 py-2 text-left">Top 0.1% avg</th>
+              <th className="px-2 py-2 text-left">Points</th>
+              <th className="px-2 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {shown.length === 0 && (
+              <tr><td colSpan={5} className="px-2 py-4 text-center text-gray-500 italic">No tables for this exam profile yet. Add one below from the official cut-offs and rank data of a past paper.</td></tr>
+            )}
+            {shown.map((t) => (
+              <tr key={t.id}>
+                <td className="px-2 py-2">
+                  <span className="block font-medium text-gray-800">{t.name}</span>
+                  {t.source && <span className="block text-xs text-gray-500 break-all">{t.source}</span>}
+                </td>
+                <td className="px-2 py-2 text-gray-600">{t.qualifyingMarks}</td>
+                <td className="px-2 py-2 text-gray-600">{t.topMarks}</td>
+                <td className="px-2 py-2 text-gray-600" title={t.points.map(([m, r]) => `${m} → ${r}`).join("\n")}>{t.points.length}</td>
+                <td className="px-2 py-2 text-right">
+                  <button onClick={() => onChange(tables.filter((x) => x.id !== t.id))} className="p-1 text-red-500 hover:text-red-700" title="Delete table"><Trash2 size={14} /></button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Add a table</h4>
+        <p className="text-xs text-gray-500 mb-2">The tracker ships no tables: cut-offs and rank curves change every year and differ by branch. Take the figures from the official results and note where they came from.</p>
+        <div className="grid grid-cols-3 gap-2 mb-2">
+          <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className={inputClass} placeholder="e.g. GATE EE 2024" />
+          <input value={draft.qualifyingMarks} onChange={(e) => setDraft({ ...draft, qualifyingMarks: e.target.value })} inputMode="decimal" className={inputClass} placeholder="Qualifying marks" title="General-category qualifying marks" />
+          <input value={draft.topMarks} onChange={(e) => setDraft({ ...draft, topMarks: e.target.value })} inputMode="decimal" className={inputClass} placeholder="Top 0.1% avg marks" title="Mean marks of the top 0.1% of candidates" />
+        </div>
+        <input value={draft.source} onChange={(e) => setDraft({ ...draft, source: e.target.value })} className={`${inputClass} w-full mb-2`} placeholder="Source (e.g. link to the official results notice)" />
+        <textarea value={draft.points} onChange={(e) => setDraft({ ...draft, points: e.target.value })} rows={5} className={`${inputClass} w-full font-mono text-xs`} placeholder={"Marks, rank (one per line)\n70, 45\n60, 300\n50, 1200"} />
+        {draft.points.trim() && !points && <p className="text-xs text-red-600 mt-1">Enter at least two "marks, rank" lines.</p>}
+        <button onClick={addTable} disabled={!valid} className="mt-2 px-4 py-2 bg-indigo-600 text-white rounded-lg shadow-md hover:bg-indigo-700 transition text-sm font-medium disabled:bg-gray-400">
+          Add Table
+        </button>
+      </div>
+    </div>
+  );
+}
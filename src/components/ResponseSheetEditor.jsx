@@ -0,0 +1,131 @@
+import React from "react";
+import { Trash2 } from "lucide-react";
+import {
+  QUESTION_SECTIONS,
+  QUESTION_TYPES,
+  QUESTION_MARKS,
+  RESPONSE_STATUSES,
+  createResponse,
+  createGatePatternSheet,
+  summarizeResponses,
+} from "../scoring/responseSheet";
+
+const cellClass = "border border-gray-300 rounded-md px-1.5 py-1 text-xs w-full";
+
+const STATUS_COLORS = {
+  correct: "bg-green-50",
+  incorrect: "bg-red-50",
+  unattempted: "",
+};
+
+// Optional per-question grid for a test entry. Aggregate counts and marks are
+// derived from it by the tracker, so the grid itself only edits raw responses.
+// `syllabus` (subject -> topic -> subtopics) suggests topics for each question's subject.
+export default function ResponseSheetEditor({ responses, subjects, syllabus = {}, onChange }) {
+  const summary = summarizeResponses(responses);
+
+  function updateRow(index, patch) {
+    onChange(responses.map((r, i) => (i === index ? { ...r, ...patch } : r)));
+  }
+
+  function addRow() {
+    const last = responses[responses.length - 1];
+    onChange([...responses, createResponse((last?.q || 0) + 1, last ? { section: last.section, type: last.type, marks: last.marks, subject: last.subject } : {})]);
+  }
+
+  return (
+    <div className="mt-4 border border-indigo-200 rounded-xl p-4 bg-indigo-50/40">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-sm font-semibold text-gray-800">Response Sheet ({responses.length} questions)</h3>
+        <div className="flex gap-2">
+          {responses.length === 0 && (
+            <button type="button" onClick={() => onChange(createGatePatternSheet())} className="px-3 py-1.5 bg-white border border-indigo-300 rounded-lg text-xs font-semibold text-indigo-700 hover:bg-indigo-100 transition shadow-sm">
+              Fill GATE Pattern (65 Q)
+            </button>
+          )}
+          <button type="button" onClick={addRow} className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-xs text-gray-700 hover:bg-gray-100 transition shadow-sm">
+            + Question
+          </button>
+          {responses.length > 0 && (
+            <button type="button" onClick={() => onChange([])} className="px-3 py-1.5 bg-red-50 border border-red-300 rounded-lg text-xs text-red-700 hover:bg-red-100 transition shadow-sm">
+              Remove Sheet
+            </button>
+          )}
+        </div>
+      </div>
+
+      {responses.length > 0 && (
+        <>
+          <div className="overflow-auto max-h-96">
+            <table className="min-w-full table-auto text-xs">
+              <thead className="text-gray-600 uppercase bg-white sticky top-0">
+                <tr>
+                  <th className="px-1.5 py-2 text-left w-14">Q#</th>
+                  <th className="px-1.5 py-2 text-left">Section</th>
+                  <th className="px-1.5 py-2 text-left">Type</th>
+                  <th className="px-1.5 py-2 text-left w-16">Marks</th>
+                  <th className="px-1.5 py-2 text-left">Status</th>
+                  <th className="px-1.5 py-2 text-left">Subject</th>
+                  <th className="px-1.5 py-2 text-left">Topic</th>
+                  <th className="px-1.5 py-2 text-left w-20">Time (s)</th>
+                  <th className="px-1.5 py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {responses.map((r, i) => (
+                  <tr key={i} className={STATUS_COLORS[r.status]}>
+                    <td className="px-1.5 py-1"><input type="number" min="1" value={r.q} onChange={(e) => updateRow(i, { q: Number(e.target.value) })} className={cellClass} /></td>
+                    <td className="px-1.5 py-1">
+                      <select value={r.section} onChange={(e) => updateRow(i, { section: e.target.value })} className={cellClass}>
+                        {QUESTION_SECTIONS.map((s) => <option key={s} value={s}>{s}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-1.5 py-1">
+                      <select value={r.type} onChange={(e) => updateRow(i, { type: e.target.value })} className={cellClass}>
+                        {QUESTION_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-1.5 py-1">
+                      <select value={r.marks} onChange={(e) => updateRow(i, { marks: Number(e.target.value) })} className={cellClass}>
+                        {QUESTION_MARKS.map((m) => <option key={m} value={m}>{m}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-1.5 py-1">
+                      <select value={r.status} onChange={(e) => updateRow(i, { status: e.target.value })} className={cellClass}>
+                        {RESPONSE_STATUSES.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-1.5 py-1">
+                      <select value={r.subject} onChange={(e) => updateRow(i, { subject: e.target.value })} className={cellClass}>
+                        <option value="">—</option>
+                        {subjects.map((s) => <option key={s} value={s}>{s}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-1.5 py-1"><input value={r.topic} onChange={(e) => updateRow(i, { topic: e.target.value })} list={syllabus[r.subject] ? `sheet-topics-${subjects.indexOf(r.subject)}` : undefined} className={cellClass} placeholder="e.g. Op-amp Circuits" /></td>
+                    <td className="px-1.5 py-1"><input type="number" min="0" value={r.timeSpent ?? ""} onChange={(e) => updateRow(i, { timeSpent: e.target.value === "" ? null : Number(e.target.value) })} className={cellClass} /></td>
+                    <td className="px-1.5 py-1">
+                      <button type="button" onClick={() => onChange(responses.filter((_, j) => j !== i))} className="p-1 text-red-500 hover:text-red-700" title="Remove question">
+                        <Trash2 size={14} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {subjects.filter((s) => syllabus[s]).map((s) => (
+              <datalist key={s} id={`sheet-topics-${subjects.indexOf(s)}`}>
+                {Object.keys(syllabus[s]).map((topic) => <option key={topic} value={topic} />)}
+              </datalist>
+            ))}
+          </div>
+          <p className="text-xs text-gray-600 mt-3">
+            Derived: <span className="text-green-700 font-semibold">{summary.correctCount} R</span> / <span className="text-red-600 font-semibold">{summary.incorrectCount} W</span> / <span className="font-semibold">{summary.notAttemptedCount} NA</span>
+            {" · "}Marks <strong>{summary.obtainedMarks}/{summary.maxMarks}</strong>
+            {summary.negativeMarks > 0 && <span className="text-red-600"> (−{summary.negativeMarks} negative)</span>}
+            {summary.totalTime > 0 && ` · ${Math.round(summary.totalTime / 60)} min`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { Brain } from "lucide-react";
+import { RECALL_GRADES } from "../revision/revision";
+
+/*
+Today's revision queue from revisionQueue(): one card at a time, answer
+hidden until revealed, then graded by recall quality. "Open test" jumps to
+the entry the note came from.
+*/
+export default function RevisionPanel({ revision, onReview, onOpenTest }) {
+  const [revealedId, setRevealedId] = useState(null);
+  const card = revision.queue[0];
+  const revealed = card && revealedId === card.id;
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-2xl mb-8 border border-purple-200">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+          <Brain size={20} className="mr-2 text-purple-600" /> Due for Revision ({revision.queue.length})
+        </h2>
+        <p className="text-xs text-gray-500">
+          {revision.dueCount} due · {revision.newCount} new · {revision.upcoming} in the next 7 days · {revision.total} cards from your notes
+        </p>
+      </div>
+
+      {!card ? (
+        <p className="text-sm text-gray-500">
+          {revision.total ? "Nothing left to revise today. Come back tomorrow." : "Notes you add to tests (mistakes, concepts you struggled with) become revision cards here."}
+        </p>
+      ) : (
+        <div className="p-4 bg-purple-50 rounded-xl border border-purple-200">
+          <p className="text-xs text-purple-700 mb-2">
+            {card.label} · {card.entry.category} · {card.entry.provider} · {card.entry.date} ({card.entry.percentage}%)
+            {!card.schedule && <span className="ml-2 px-1.5 py-0.5 rounded bg-purple-200 text-purple-800">new</span>}
+            {card.schedule?.lapses > 0 && <span className="ml-2 text-red-600">forgotten {card.schedule.lapses}×</span>}
+          </p>
+          <p className="text-base font-semibold text-gray-800 whitespace-pre-line">{card.prompt || "What went wrong in this test, and what is the right concept?"}</p>
+
+          {revealed ? (
+            <>
+              <div className="mt-3 pt-3 border-t border-purple-200 text-sm text-gray-700 whitespace-pre-line max-h-64 overflow-auto">{card.answer}</div>
+              <div className="flex flex-wrap gap-2 mt-4">
+                {RECALL_GRADES.map((g) => (
+                  <button
+                    key={g.quality}
+                    onClick={() => { setRevealedId(null); onReview(card.id, g.quality); }}
+                    title={g.hint}
+                    className={`px-3 py-1.5 rounded-lg text-sm font-medium border transition ${g.quality < 3 ? "border-red-300 text-red-700 hover:bg-red-100" : "border-purple-300 text-purple-800 hover:bg-purple-100"}`}
+                  >
+                    {g.label}
+                  </button>
+                ))}
+              </div>
+            </>
+          ) : (
+            <button onClick={() => setRevealedId(card.id)} className="mt-4 px-4 py-2 bg-purple-600 text-white rounded-lg shadow-md hover:bg-purple-700 transition text-sm font-medium">
+              Show Answer
+            </button>
+          )}
+
+          <button onClick={() => onOpenTest(card.id)} className="block mt-3 text-xs text-indigo-600 hover:underline">Open test</button>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { X, Trash2, Plus } from "lucide-react";
+import { createSeries, createSlot, parseSlotLines } from "../catalog/catalog";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1.5 text-sm shadow-sm";
+
+/*
+Registers a purchased test series or edits one: its name, provider and the
+tests it schedules. Tests can be added one by one or pasted as a list
+("name, category, subject, YYYY-MM-DD" per line). Slot ids survive edits so
+logged results stay linked.
+*/
+export default function SeriesEditor({ series, providers, categories, subjectCategories, subjects, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => series || createSeries("", providers[0] || "Other"));
+  const [pasted, setPasted] = useState("");
+  const name = draft.name.trim();
+
+  function updateSlot(id, fields) {
+    setDraft((prev) => ({ ...prev, tests: prev.tests.map((s) => (s.id === id ? { ...s, ...fields } : s)) }));
+  }
+
+  function addSlot() {
+    const last = draft.tests[draft.tests.length - 1];
+    setDraft({ ...draft, tests: [...draft.tests, createSlot({ category: last?.category || categories[0], subject: last?.subject || "" })] });
+  }
+
+  function addPasted() {
+    const slots = parseSlotLines(pasted, { category: categories[0] });
+    setDraft({ ...draft, tests: [...draft.tests, ...slots] });
+    setPasted("");
+  }
+
+  function save() {
+    if (!name) return;
+    onSave({
+      ...draft,
+      name,
+      tests: draft.tests
+        .filter((s) => s.name.trim())
+        .map((s) => ({ ...s, name: s.name.trim(), subject: subjectCategories.includes(s.category) ? s.subject : "" })),
+    });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-auto p-6">
+        <div className="flex justify-between items-start mb-4">
+          <h3 className="text-xl font-bold text-gray-900">{series ? "Edit Test Series" : "Register Test Series"}</h3>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100 transition"><X size={18} /></button>
+        </div>
+
+        <div className="flex flex-wrap gap-3 mb-4">
+          <div className="flex-1 min-w-[12rem]">
+            <label className="block text-xs font-medium text-gray-700">Series name</label>
+            <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className={`${inputClass} w-full mt-1`} placeholder="e.g. GATE 2026 Test Series" />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700">Provider</label>
+            <select value={draft.provider} onChange={(e) => setDraft({ ...draft, provider: e.target.value })} className={`${inputClass} mt-1`}>
+              {(providers.includes(draft.provider) ? providers : [...providers, draft.provider]).map((p) => <option key={p} value={p}>{p}</option>)}
+            </select>
+          </div>
+        </div>
+
+        <table className="min-w-full text-sm mb-3">
+          <thead className="text-xs text-gray-600 uppercase bg-gray-100">
+            <tr>
+              <th className="px-2 py-2 text-left">Test</th>
+              <th className="px-2 py-2 text-left">Category</th>
+              <th className="px-2 py-2 text-left">Subject</th>
+              <th className="px-2 py-2 text-left">Scheduled</th>
+              <th className="px-2 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {draft.tests.length === 0 && (
+              <tr><td colSpan={5} className="px-2 py-4 text-center text-gray-500 italic">No tests yet. Add them below or paste the schedule.</td></tr>
+            )}
+            {draft.tests.map((s) => (
+              <tr key={s.id}>
+                <td className="px-2 py-1.5"><input value={s.name} onChange={(e) => updateSlot(s.id, { name: e.target.value })} className={`${inputClass} w-full`} placeholder="e.g. FLT-03" /></td>
+                <td className="px-2 py-1.5">
+                  <select value={s.category} onChange={(e) => updateSlot(s.id, { category: e.target.value })} className={`${inputClass} w-full`}>
+                    {(categories.includes(s.category) ? categories : [...categories, s.category]).map((c) => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </td>
+                <td className="px-2 py-1.5">
+                  {subjectCategories.includes(s.category) ? (
+                    <select value={s.subject} onChange={(e) => updateSlot(s.id, { subject: e.target.value })} className={`${inputClass} w-full`}>
+                      <option value="">Choose subject…</option>
+                      {(subjects.includes(s.subject) || !s.subject ? subjects : [...subjects, s.subject]).map((sub) => <option key={sub} value={sub}>{sub}</option>)}
+                    </select>
+                  ) : (
+                    <span className="text-xs text-gray-500">Multi-subject</span>
+                  )}
+                </td>
+                <td className="px-2 py-1.5"><input type="date" value={s.scheduledDate} onChange={(e) => updateSlot(s.id, { scheduledDate: e.target.value })} className={inputClass} /></td>
+                <td className="px-2 py-1.5 text-right">
+                  <button onClick={() => setDraft({ ...draft, tests: draft.tests.filter((x) => x.id !== s.id) })} className="p-1 text-red-500 hover:text-red-700" title="Remove test"><Trash2 size={14} /></button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button onClick={addSlot} className="text-sm text-indigo-600 hover:underline flex items-center mb-4"><Plus size={14} className="mr-1" /> Add test</button>
+
+        <label className="block text-xs font-medium text-gray-700">Paste schedule (one test per line: name, category, subject, YYYY-MM-DD)</label>
+        <textarea value={pasted} onChange={(e) => setPasted(e.target.value)} rows={3} className={`${inputClass} w-full mt-1 font-mono text-xs`} placeholder={`FLT-01, Full Length, , 2026-01-04\nST-05, Subjectwise, Network Theory, 2025-11-16`} />
+        <button onClick={addPasted} disabled={!pasted.trim()} className="mt-2 px-3 py-1.5 border border-gray-300 rounded-lg text-xs text-gray-700 hover:bg-gray-100 disabled:opacity-40">Add pasted tests</button>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-100 transition">Cancel</button>
+          <button onClick={save} disabled={!name} className="px-4 py-2 bg-indigo-600 text-white rounded-lg shadow-md hover:bg-indigo-700 transition text-sm font-medium disabled:bg-gray-400">Save Series</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { X, Trash2 } from "lucide-react";
+import { SNAPSHOT_REASONS, snapshotDiff } from "../history/snapshots";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1.5 text-sm shadow-sm";
+
+const SECTIONS = [
+  { id: "missing", title: "Deleted since", hint: "will be restored", tone: "text-green-700" },
+  { id: "changed", title: "Edited since", hint: "will revert to the snapshot", tone: "text-amber-700" },
+  { id: "added", title: "Added since", hint: "will be removed", tone: "text-red-700" },
+];
+
+function entryLabel(t) {
+  return `${t.date} · ${t.subject} · ${t.category} · ${t.provider} · ${t.obtainedMarks}/${t.maxMarks}`;
+}
+
+function formatTime(iso) {
+  return iso.slice(0, 16).replace("T", " ");
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/*
+Restore screen: the rolling snapshots (newest first) and, for the selected
+one, what differs from the current log. `snapshots` holds the summaries;
+the selected snapshot is read in full with `onLoad(id)`. Everything can be
+restored at once, or only the ticked rows.
+*/
+export default function SnapshotsPanel({ snapshots, tests, onLoad, onRetentionChange, onTakeSnapshot, onDelete, onRestoreAll, onRestoreSelected, onClose }) {
+  const [selectedId, setSelectedId] = useState(snapshots.items[0]?.id || null);
+  const [ticked, setTicked] = useState(() => new Set());
+  const [opened, setOpened] = useState(null);
+
+  useEffect(() => {
+    if (!selectedId) return;
+    let cancelled = false;
+    onLoad(selectedId)
+      .then((full) => {
+        if (!cancelled) setOpened({ id: selectedId, snapshot: full });
+      })
+      .catch(() => {
+        if (!cancelled) setOpened({ id: selectedId, snapshot: null });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedId, onLoad]);
+
+  const loading = Boolean(selectedId) && opened?.id !== selectedId;
+  const snapshot = !loading && opened?.snapshot && snapshots.items.some((s) => s.id === selectedId) ? opened.snapshot : null;
+  const diff = useMemo(() => (snapshot ? snapshotDiff(snapshot, tests) : null), [snapshot, tests]);
+  const differences = diff ? diff.missing.length + diff.changed.length + diff.added.length : 0;
+
+  function select(id) {
+    setSelectedId(id);
+    setTicked(new Set());
+  }
+
+  function toggle(id) {
+    const next = new Set(ticked);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setTicked(next);
+  }
+
+  function rowsOf(section) {
+    return section === "changed" ? diff.changed.map((c) => ({ entry: c.entry, fields: c.fields })) : diff[section].map((entry) => ({ entry, fields: null }));
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] overflow-auto p-6">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">Snapshots</h3>
+            <p className="text-xs text-gray-500">Taken daily and before every import, clear-all and restore, and kept on this device only. The oldest are dropped once they outgrow the storage set aside for them. Restoring is undoable.</p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100 transition"><X size={18} /></button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+          <label className="flex items-center gap-2 text-gray-700">
+            Keep the latest
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={snapshots.retention}
+              onChange={(e) => onRetentionChange(Math.min(100, Math.max(1, Math.round(Number(e.target.value)) || 1)))}
+              className={`${inputClass} w-20`}
+            />
+            snapshots
+          </label>
+          <button onClick={onTakeSnapshot} disabled={!tests.length} className="px-3 py-1.5 bg-white border border-indigo-300 rounded-lg text-indigo-700 hover:bg-indigo-50 shadow-sm transition disabled:opacity-40">
+            Take snapshot now
+          </button>
+        </div>
+
+        {snapshots.items.length === 0 ? (
+          <p className="text-sm text-gray-500">No snapshots yet. The first one is taken automatically once you have logged a test.</p>
+        ) : (
+          <div className="grid md:grid-cols-3 gap-4">
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg text-sm max-h-[60vh] overflow-auto">
+              {snapshots.items.map((s) => (
+                <li key={s.id} className={`px-3 py-2 flex justify-between items-center gap-2 cursor-pointer ${s.id === selectedId ? "bg-indigo-50" : "hover:bg-gray-50"}`} onClick={() => select(s.id)}>
+                  <span>
+                    <span className="block font-medium text-gray-800">{formatTime(s.at)}</span>
+                    <span className="block text-xs text-gray-500">{SNAPSHOT_REASONS[s.reason] || s.reason} · {s.count} entries · {formatSize(s.bytes)}</span>
+                  </span>
+                  <button onClick={(e) => { e.stopPropagation(); onDelete(s.id); }} className="p-1 text-red-500 hover:text-red-700" title="Delete snapshot"><Trash2 size={14} /></button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="md:col-span-2">
+              {loading ? (
+                <p className="text-sm text-gray-500">Loading the snapshot…</p>
+              ) : !diff ? (
+                <p className="text-sm text-gray-500">Select a snapshot to compare it with your current log.</p>
+              ) : (
+                <>
+                  <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                    <p className="text-sm text-gray-700">
+                      {differences === 0 ? "Identical to your current log." : `${diff.missing.length} deleted, ${diff.changed.length} edited, ${diff.added.length} added since · ${diff.unchanged} unchanged`}
+                    </p>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => onRestoreSelected(snapshot, diff, ticked)}
+                        disabled={ticked.size === 0}
+                        className="px-3 py-1.5 bg-white border border-indigo-300 rounded-lg text-sm text-indigo-700 hover:bg-indigo-50 shadow-sm transition disabled:opacity-40"
+                      >
+                        Restore selected ({ticked.size})
+                      </button>
+                      <button onClick={() => onRestoreAll(snapshot)} disabled={differences === 0} className="px-3 py-1.5 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 shadow-md transition disabled:bg-gray-400">
+                        Restore all
+                      </button>
+                    </div>
+                  </div>
+                  <div className="max-h-[55vh] overflow-auto space-y-4">
+                    {SECTIONS.filter((section) => diff[section.id].length > 0).map((section) => (
+                      <div key={section.id}>
+                        <h4 className={`text-sm font-semibold ${section.tone}`}>
+                          {section.title} ({diff[section.id].length}) <span className="font-normal text-xs text-gray-500">{section.hint}</span>
+                        </h4>
+                        <ul className="text-xs text-gray-700 mt-1">
+                          {rowsOf(section.id).map(({ entry, fields }) => (
+                            <li key={entry.id} className="py-1 flex items-start gap-2">
+                              <input type="checkbox" checked={ticked.has(entry.id)} onChange={() => toggle(entry.id)} className="mt-0.5" />
+                              <span>
+                                {entryLabel(entry)}
+                                {fields && <span className="block text-gray-500">Changed: {fields.join(", ")}</span>}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
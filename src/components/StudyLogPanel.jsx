@@ -0,0 +1,128 @@
+import React, { useState } from "react";
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ReferenceLine } from "recharts";
+import { Timer, Trash2 } from "lucide-react";
+import { ACTIVITY_TYPES, weeklyTotals } from "../study/studyLog";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1.5 text-sm shadow-sm";
+const RECENT_SESSIONS = 8;
+
+/*
+Study sessions: a quick-add form, this week's hours against the weekly goal,
+the last weeks stacked by activity, and the latest sessions.
+*/
+export default function StudyLogPanel({ log, subjects, syllabus = {}, today, onAdd, onDelete, onGoalChange }) {
+  const [draft, setDraft] = useState({ date: today, subject: subjects[0] || "", topic: "", hours: "", activity: ACTIVITY_TYPES[0].id, note: "" });
+  const weeks = weeklyTotals(log.sessions, today);
+  const thisWeek = weeks[weeks.length - 1].hours;
+  const usedActivities = ACTIVITY_TYPES.filter((a) => weeks.some((w) => w[a.id]));
+  const recent = [...log.sessions].sort((a, b) => b.date.localeCompare(a.date)).slice(0, RECENT_SESSIONS);
+  const value = Number(draft.hours);
+  const valid = draft.date && subjects.includes(draft.subject) && draft.hours !== "" && value > 0 && value <= 24;
+
+  function add() {
+    if (!valid) return;
+    onAdd({ ...draft, hours: value });
+    setDraft({ ...draft, topic: "", hours: "", note: "" });
+  }
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-2xl mb-8 border border-gray-200">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+          <Timer size={20} className="mr-2 text-teal-600" /> Study Log
+        </h2>
+        <label className="text-sm text-gray-700 flex items-center gap-2">
+          Weekly study hours goal
+          <input
+            type="number"
+            min="0"
+            value={log.weeklyGoal ?? ""}
+            onChange={(e) => onGoalChange(e.target.value === "" ? null : Math.max(0, Number(e.target.value)))}
+            className={`${inputClass} w-20`}
+          />
+        </label>
+      </div>
+
+      <div className="mb-4">
+        <p className="text-sm text-gray-700">
+          This week: <span className="font-bold text-teal-700">{thisWeek} h</span>
+          {log.weeklyGoal ? ` of ${log.weeklyGoal} h goal` : ""}
+        </p>
+        {log.weeklyGoal > 0 && (
+          <div className="h-2 rounded-full bg-gray-100 overflow-hidden mt-1.5">
+            <div className={`h-full ${thisWeek >= log.weeklyGoal ? "bg-green-500" : "bg-teal-500"}`} style={{ width: `${Math.min(1, thisWeek / log.weeklyGoal) * 100}%` }} />
+          </div>
+        )}
+      </div>
+
+      {log.sessions.length > 0 && (
+        <div className="grid lg:grid-cols-2 gap-6 mb-6">
+          <div style={{ width: "100%", height: 240 }}>
+            <ResponsiveContainer>
+              <BarChart data={weeks} margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                <XAxis dataKey="week" tick={{ fontSize: 10 }} />
+                <YAxis tick={{ fontSize: 10 }} label={{ value: 'Hours', angle: -90, position: 'insideLeft', fontSize: 12, fill: '#6b7280' }} />
+                <Tooltip labelFormatter={(week) => `Week of ${week}`} />
+                <Legend wrapperStyle={{ fontSize: 11 }} />
+                {usedActivities.map((a) => <Bar key={a.id} dataKey={a.id} name={a.label} stackId="hours" fill={a.color} />)}
+                {log.weeklyGoal > 0 && <ReferenceLine y={log.weeklyGoal} stroke="#DC2626" strokeDasharray="6 3" label={{ value: "Goal", position: "insideTopRight", fontSize: 10, fill: "#DC2626" }} />}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <ul className="divide-y divide-gray-200 text-sm">
+            {recent.map((s) => (
+              <li key={s.id} className="py-2 flex justify-between items-start gap-2">
+                <span>
+                  <span className="font-medium text-gray-800">{s.subject}{s.topic ? ` › ${s.topic}` : ""}</span>
+                  <span className="block text-xs text-gray-500">
+                    {s.date} · {Math.round((s.minutes / 60) * 100) / 100} h · {ACTIVITY_TYPES.find((a) => a.id === s.activity)?.label || s.activity}
+                    {s.note ? ` · ${s.note}` : ""}
+                  </span>
+                </span>
+                <button onClick={() => onDelete(s.id)} className="p-1 text-red-500 hover:text-red-700" title="Delete session"><Trash2 size={14} /></button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 items-end">
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Date</label>
+          <input type="date" value={draft.date} onChange={(e) => setDraft({ ...draft, date: e.target.value })} className={`${inputClass} mt-1`} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Subject</label>
+          <select value={draft.subject} onChange={(e) => setDraft({ ...draft, subject: e.target.value, topic: "" })} className={`${inputClass} mt-1 max-w-[14rem]`}>
+            {subjects.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Topic (optional)</label>
+          <input value={draft.topic} onChange={(e) => setDraft({ ...draft, topic: e.target.value })} list="study-topics" className={`${inputClass} mt-1 w-44`} />
+          <datalist id="study-topics">
+            {Object.keys(syllabus[draft.subject] || {}).map((topic) => <option key={topic} value={topic} />)}
+          </datalist>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Hours</label>
+          <input value={draft.hours} onChange={(e) => setDraft({ ...draft, hours: e.target.value })} inputMode="decimal" className={`${inputClass} mt-1 w-20`} placeholder="e.g. 1.5" />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Activity</label>
+          <select value={draft.activity} onChange={(e) => setDraft({ ...draft, activity: e.target.value })} className={`${inputClass} mt-1`}>
+            {ACTIVITY_TYPES.map((a) => <option key={a.id} value={a.id}>{a.label}</option>)}
+          </select>
+        </div>
+        <div className="flex-1 min-w-[10rem]">
+          <label className="block text-xs font-medium text-gray-700">Note</label>
+          <input value={draft.note} onChange={(e) => setDraft({ ...draft, note: e.target.value })} className={`${inputClass} mt-1 w-full`} />
+        </div>
+        <button onClick={add} disabled={!valid} className="px-4 py-2 bg-teal-600 text-white rounded-lg shadow-md hover:bg-teal-700 transition text-sm font-medium disabled:bg-gray-400">
+          Log Session
+        </button>
+      </div>
+    </section>
+  );
+}
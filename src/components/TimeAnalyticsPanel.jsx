@@ -0,0 +1,144 @@
+import React, { useMemo } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  ZAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+} from "recharts";
+import { Clock } from "lucide-react";
+import { timeTrend, timeAnalytics } from "../analytics/time";
+
+const EMPTY_MESSAGE = "Record Time Taken on your tests to see pace and time-management analytics.";
+
+function describeCorrelation(r) {
+  if (r === null) return "not enough data";
+  const strength = Math.abs(r) >= 0.6 ? "strong" : Math.abs(r) >= 0.3 ? "moderate" : "weak";
+  return `${r} (${strength}${Math.abs(r) >= 0.3 ? (r > 0 ? ", more time → higher score" : ", more time → lower score") : ""})`;
+}
+
+const TimeScoreTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    const data = payload[0].payload;
+    return (
+      <div className="p-3 bg-white border border-indigo-300 rounded-lg shadow-md text-sm">
+        <p className="font-semibold text-gray-700">{`Date: ${data.name}`}</p>
+        <p className="text-gray-600 mt-1">{`${data.category} — ${data.subject}`}</p>
+        <p className="text-indigo-600 font-bold">{`Score: ${data.percentage}%`}</p>
+        <p className="text-gray-600">{`Time: ${data.timeTaken} min${data.timeLimit ? ` of ${data.timeLimit}` : ""}`}</p>
+        {data.pace !== null && <p className="text-gray-500">{`Pace: ${data.pace} min / question`}</p>}
+        {data.ranOut && <p className="text-red-600 font-semibold mt-1">Ran out of time</p>}
+      </div>
+    );
+  }
+  return null;
+};
+
+// Pace (minutes per attempted question), time vs score, and tests where time ran out.
+export default function TimeAnalyticsPanel({ tests, titleSuffix = "" }) {
+  const trend = useMemo(() => timeTrend(tests), [tests]);
+  const stats = useMemo(() => timeAnalytics(tests), [tests]);
+  const ranOutPoints = trend.filter((p) => p.ranOut);
+  const onTimePoints = trend.filter((p) => !p.ranOut);
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-xl border border-gray-200">
+      <h3 className="font-semibold text-gray-800 mb-4 flex items-center">
+        <Clock size={18} className="mr-2 text-indigo-600" />
+        Time Management {titleSuffix}
+      </h3>
+
+      {trend.length === 0 && stats.ranOutTests.length === 0 ? (
+        <div className="text-sm text-gray-500 h-40 flex items-center justify-center">{EMPTY_MESSAGE}</div>
+      ) : (
+        <>
+          <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-3 mb-6 text-sm">
+            <div className="p-3 bg-indigo-50 rounded-xl border border-indigo-200">
+              <span className="block text-xs text-indigo-800">Avg Time Taken</span>
+              <strong className="text-xl text-indigo-700">{stats.avgTimeTaken ?? "—"} min</strong>
+            </div>
+            <div className="p-3 bg-sky-50 rounded-xl border border-sky-200">
+              <span className="block text-xs text-sky-800">Avg Pace</span>
+              <strong className="text-xl text-sky-700">{stats.avgPace ?? "—"} min/Q</strong>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-xl border border-gray-200">
+              <span className="block text-xs text-gray-700">Time vs Score</span>
+              <strong className="text-sm text-gray-800">{describeCorrelation(stats.timeScoreCorrelation)}</strong>
+            </div>
+            <div className="p-3 bg-red-50 rounded-xl border border-red-200">
+              <span className="block text-xs text-red-800">Ran Out of Time</span>
+              <strong className="text-xl text-red-600">{stats.ranOutTests.length}</strong>
+            </div>
+          </div>
+
+          {Object.keys(stats.sectionAverages).length > 0 && (
+            <p className="text-xs text-gray-500 mb-4">
+              Average section time: {Object.entries(stats.sectionAverages).map(([s, m]) => `${s} ${m} min`).join(" · ")}
+            </p>
+          )}
+
+          <div className="grid lg:grid-cols-2 gap-6">
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Pace Trend (min per attempted question)</h4>
+              <div style={{ width: "100%", height: 280 }}>
+                <ResponsiveContainer>
+                  <LineChart data={trend} margin={{ top: 10, right: 30, left: 0, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                    <XAxis dataKey="name" tick={{ fontSize: 10 }} angle={-20} textAnchor="end" height={40} />
+                    <YAxis yAxisId="pace" label={{ value: 'min / Q', angle: -90, position: 'insideLeft', fontSize: 12, fill: '#6b7280' }} />
+                    <YAxis yAxisId="time" orientation="right" label={{ value: 'Time (min)', angle: 90, position: 'insideRight', fontSize: 12, fill: '#6b7280' }} />
+                    <Tooltip />
+                    <Legend verticalAlign="top" height={30} />
+                    <Line yAxisId="pace" type="monotone" dataKey="pace" name="Pace (min/Q)" stroke="#0284C7" strokeWidth={2} dot={{ r: 3 }} connectNulls />
+                    <Line yAxisId="time" type="monotone" dataKey="timeTaken" name="Time Taken (min)" stroke="#9CA3AF" strokeWidth={2} strokeDasharray="5 3" dot={{ r: 3 }} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Time Taken vs Score</h4>
+              <div style={{ width: "100%", height: 280 }}>
+                <ResponsiveContainer>
+                  <ScatterChart margin={{ top: 10, right: 30, left: 0, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                    <XAxis type="number" dataKey="timeTaken" name="Time Taken" unit=" min" label={{ value: 'Time Taken (min)', position: 'insideBottom', offset: -10, fontSize: 12, fill: '#6b7280' }} />
+                    <YAxis type="number" dataKey="percentage" name="Score" domain={[0, 100]} unit="%" />
+                    <ZAxis range={[60, 60]} />
+                    <Tooltip content={<TimeScoreTooltip />} />
+                    <Legend verticalAlign="top" height={30} />
+                    <Scatter name="Finished in time" data={onTimePoints} fill="#4F46E5" />
+                    <Scatter name="Ran out of time" data={ranOutPoints} fill="#DC2626" />
+                  </ScatterChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+
+          {stats.ranOutTests.length > 0 && (
+            <div className="mt-6">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Tests Where Time Ran Out</h4>
+              <ul className="divide-y divide-gray-100 text-sm">
+                {stats.ranOutTests.map((t) => (
+                  <li key={t.id} className="py-2 flex justify-between gap-3">
+                    <span className="text-gray-800">{t.date} — {t.subject} <span className="text-gray-500">({t.category}, {t.provider})</span></span>
+                    <span className="text-gray-600 whitespace-nowrap">
+                      {t.timeTaken != null ? `${t.timeTaken}${t.timeLimit ? `/${t.timeLimit}` : ""} min · ` : ""}{t.percentage}%
+                      {t.notAttemptedCount ? ` · ${t.notAttemptedCount} NA` : ""}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
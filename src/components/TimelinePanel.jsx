@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import { CalendarClock, Trash2, AlertTriangle } from "lucide-react";
+import { PHASE_KINDS, phaseKind } from "../timeline/timeline";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1.5 text-sm shadow-sm";
+
+const TEST_NOUNS = { all: "tests", subject: "subject tests", full: "full tests" };
+
+function volumeMessage(phase, progress) {
+  const noun = TEST_NOUNS[phaseKind(phase).counts];
+  if (!progress.target) return `${progress.taken} ${noun} taken`;
+  const message = `You planned ${progress.target} ${noun} in these ${progress.totalDays} days, you've taken ${progress.taken}`;
+  return progress.state === "active" ? `${message} (pace needs ${progress.expected} by today)` : message;
+}
+
+/*
+Exam date countdown and the preparation phases (from phaseProgress, over
+every logged test regardless of the log filters), with a form to add phases
+and a one-click plan worked back from the exam date.
+*/
+export default function TimelinePanel({ timeline, items, examName, daysLeft, today, onChange, onAddPhase, onDeletePhase, onSuggest }) {
+  const [draft, setDraft] = useState({ kind: PHASE_KINDS[0].id, start: today, end: "", targetTests: "" });
+  const target = Number(draft.targetTests);
+  const valid = draft.start && draft.end && draft.end >= draft.start && (draft.targetTests === "" || (Number.isInteger(target) && target > 0));
+  const behind = items.filter((i) => i.progress.behind && i.progress.state === "active");
+
+  function add() {
+    if (!valid) return;
+    onAddPhase({ ...draft, targetTests: draft.targetTests === "" ? null : target });
+    setDraft({ ...draft, start: draft.end, end: "", targetTests: "" });
+  }
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-2xl mb-8 border border-gray-200">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+          <CalendarClock size={20} className="mr-2 text-indigo-600" /> Exam Countdown
+        </h2>
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+          <label className="flex items-center gap-2">
+            {examName} date
+            <input type="date" value={timeline.examDate || ""} onChange={(e) => onChange({ ...timeline, examDate: e.target.value || null })} className={inputClass} />
+          </label>
+          <label className="flex items-center gap-1.5">
+            <input type="checkbox" checked={timeline.shadeCharts} onChange={(e) => onChange({ ...timeline, shadeCharts: e.target.checked })} />
+            Shade phases on charts
+          </label>
+        </div>
+      </div>
+
+      {daysLeft === null ? (
+        <p className="text-sm text-gray-500 mb-4">Set the exam date to start the countdown and plan your preparation phases.</p>
+      ) : (
+        <p className="mb-4 text-gray-800">
+          <span className="text-4xl font-extrabold text-indigo-700 mr-2">{Math.max(0, daysLeft)}</span>
+          {daysLeft > 0 ? `days to go (${Math.floor(daysLeft / 7)} weeks)` : daysLeft === 0 ? "Exam day. All the best!" : "The exam date has passed."}
+        </p>
+      )}
+
+      {behind.length > 0 && (
+        <p className="mb-4 p-3 bg-red-50 border border-red-300 rounded-lg text-sm text-red-800 flex items-center">
+          <AlertTriangle size={16} className="mr-2 flex-shrink-0" />
+          Behind on test volume: {behind.map((i) => `${phaseKind(i.phase).label} (${i.progress.taken} of ${i.progress.expected} so far)`).join("; ")}.
+        </p>
+      )}
+
+      {items.length === 0 ? (
+        timeline.examDate && daysLeft > 0 && (
+          <button onClick={onSuggest} className="mb-4 px-4 py-2 bg-white border border-indigo-300 rounded-lg text-sm font-medium text-indigo-700 hover:bg-indigo-50 transition shadow-sm">
+            Suggest phases from the exam date
+          </button>
+        )
+      ) : (
+        <ul className="divide-y divide-gray-200 mb-4 text-sm">
+          {items.map(({ phase, progress }) => (
+            <li key={phase.id} className="py-2">
+              <div className="flex flex-wrap justify-between items-center gap-2">
+                <span className="font-medium text-gray-800 flex items-center">
+                  <span className="inline-block w-3 h-3 rounded-sm mr-2 border border-gray-300" style={{ backgroundColor: phaseKind(phase).color }} />
+                  {phaseKind(phase).label}
+                  <span className="ml-2 text-xs font-normal text-gray-500">
+                    {phase.start} → {phase.end}
+                    {progress.state === "active" && ` · now, ${progress.daysLeft} days left`}
+                    {progress.state === "upcoming" && " · upcoming"}
+                  </span>
+                </span>
+                <button onClick={() => onDeletePhase(phase)} className="p-1 text-red-500 hover:text-red-700" title="Delete phase"><Trash2 size={14} /></button>
+              </div>
+              {progress.target && (
+                <div className="h-2 rounded-full bg-gray-100 overflow-hidden mt-1.5">
+                  <div className={`h-full ${progress.taken >= progress.target ? "bg-green-500" : progress.behind ? "bg-red-400" : "bg-indigo-500"}`} style={{ width: `${Math.min(1, progress.taken / progress.target) * 100}%` }} />
+                </div>
+              )}
+              <p className={`text-xs mt-1 ${progress.behind ? "text-red-700 font-medium" : "text-gray-500"}`}>{volumeMessage(phase, progress)}.</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap gap-2 items-end">
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Phase</label>
+          <select value={draft.kind} onChange={(e) => setDraft({ ...draft, kind: e.target.value })} className={`${inputClass} mt-1`}>
+            {PHASE_KINDS.map((k) => <option key={k.id} value={k.id}>{k.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">From</label>
+          <input type="date" value={draft.start} onChange={(e) => setDraft({ ...draft, start: e.target.value })} className={`${inputClass} mt-1`} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">To</label>
+          <input type="date" value={draft.end} onChange={(e) => setDraft({ ...draft, end: e.target.value })} className={`${inputClass} mt-1`} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Target tests (optional)</label>
+          <input value={draft.targetTests} onChange={(e) => setDraft({ ...draft, targetTests: e.target.value })} inputMode="numeric" className={`${inputClass} mt-1 w-24`} placeholder="e.g. 15" />
+        </div>
+        <button onClick={add} disabled={!valid} className="px-4 py-2 bg-indigo-600 text-white rounded-lg shadow-md hover:bg-indigo-700 transition text-sm font-medium disabled:bg-gray-400">
+          Add Phase
+        </button>
+      </div>
+    </section>
+  );
+}
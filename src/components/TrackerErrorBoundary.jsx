@@ -0,0 +1,102 @@
+import React from "react";
+import { AlertTriangle } from "lucide-react";
+import { downloadText } from "../utils";
+import { openStorage } from "../storage";
+import { readQuarantine, salvageEntries } from "../storage/quarantine";
+
+const buttonClass = "px-4 py-2 rounded-lg shadow-sm text-sm font-medium transition";
+
+// Everything stored for `storageKey`, unparsed: the active backend's payload plus the quarantined copies.
+async function rawPayloads(storageKey) {
+  const payloads = [];
+  try {
+    const adapter = await openStorage(storageKey);
+    const raw = await adapter.readRaw();
+    if (raw) payloads.push({ label: adapter.name, raw });
+  } catch (e) {
+    console.error("Failed to read stored tests", e);
+    const raw = localStorage.getItem(storageKey);
+    if (raw) payloads.push({ label: "localstorage", raw });
+  }
+  readQuarantine(storageKey).forEach((r) => payloads.push({ label: `quarantine-${r.id}`, raw: r.raw }));
+  return payloads;
+}
+
+/*
+Catches render errors anywhere in the tracker and shows a recovery screen
+instead of a blank page. Stored data is only read here, never written, so the
+user can download it (raw or as the entries that still parse) before trying
+again or reloading.
+*/
+export default class TrackerErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null, busy: false, message: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error("Tracker crashed", error, info.componentStack);
+  }
+
+  async download(readable) {
+    this.setState({ busy: true, message: null });
+    try {
+      const payloads = await rawPayloads(this.props.storageKey);
+      if (!payloads.length) {
+        this.setState({ message: "No stored data was found." });
+        return;
+      }
+      const stamp = new Date().toISOString().slice(0, 10);
+      if (readable) {
+        const entries = payloads.flatMap((p) => salvageEntries(p.raw).entries);
+        downloadText(JSON.stringify(entries, null, 2), `recovered-tests-${stamp}.json`);
+        this.setState({ message: `Downloaded ${entries.length} readable entries. Import the file once the tracker works again.` });
+      } else {
+        payloads.forEach((p) => downloadText(p.raw, `tracker-data-${p.label}-${stamp}.txt`, "text/plain"));
+        this.setState({ message: `Downloaded ${payloads.length} raw file(s).` });
+      }
+    } catch (e) {
+      this.setState({ message: `Download failed: ${e.message || e}` });
+    } finally {
+      this.setState({ busy: false });
+    }
+  }
+
+  render() {
+    const { error, busy, message } = this.state;
+    if (!error) return this.props.children;
+
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6 font-sans">
+        <div className="max-w-xl w-full bg-white p-8 rounded-2xl shadow-2xl border border-red-300">
+          <h1 className="text-2xl font-bold text-red-700 flex items-center mb-3">
+            <AlertTriangle size={24} className="mr-2" /> Something went wrong
+          </h1>
+          <p className="text-sm text-gray-700 mb-2">
+            The tracker hit an error and stopped. Your saved tests have not been changed. Download a copy before trying again.
+          </p>
+          <pre className="text-xs bg-gray-100 text-gray-700 p-3 rounded-lg overflow-auto max-h-32 mb-4">{String(error.message || error)}</pre>
+          <div className="flex flex-wrap gap-2">
+            <button disabled={busy} onClick={() => this.download(false)} className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-400`}>
+              Download raw data
+            </button>
+            <button disabled={busy} onClick={() => this.download(true)} className={`${buttonClass} bg-white border border-indigo-300 text-indigo-700 hover:bg-indigo-50`}>
+              Download readable entries
+            </button>
+            <button onClick={() => this.setState({ error: null, message: null })} className={`${buttonClass} bg-white border border-gray-300 text-gray-700 hover:bg-gray-100`}>
+              Try again
+            </button>
+            <button onClick={() => window.location.reload()} className={`${buttonClass} bg-white border border-gray-300 text-gray-700 hover:bg-gray-100`}>
+              Reload
+            </button>
+          </div>
+          {message && <p className="text-sm text-gray-600 mt-4">{message}</p>}
+        </div>
+      </div>
+    );
+  }
+}
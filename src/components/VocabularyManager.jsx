@@ -0,0 +1,148 @@
+import React, { useState } from "react";
+import { X, Eye, EyeOff } from "lucide-react";
+import { VOCABULARY_KINDS, vocabularyEntries } from "../profiles/vocabulary";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1.5 text-sm shadow-sm";
+
+const CATEGORY_KINDS = [
+  { id: "subject", label: "Single subject" },
+  { id: "full", label: "Full test" },
+  { id: "multi", label: "Multi-subject" },
+];
+
+/*
+Create, rename, hide and merge providers, categories and subjects.
+`defaults` is { providers, categories, subjects } (the built-in lists) and
+`counts` is { providers: { name: entries }, ... }. Renames and merges are
+handed to the tracker, which rewrites the entries that use the old name.
+*/
+export default function VocabularyManager({ vocabulary, defaults, counts, onAdd, onSetHidden, onRename, onMerge, onClose }) {
+  const [kind, setKind] = useState(VOCABULARY_KINDS[0].id);
+  const [draft, setDraft] = useState({ name: "", categoryKind: "subject" });
+  const [renaming, setRenaming] = useState(null); // { name, value }
+  const [merging, setMerging] = useState(null); // { name, into }
+
+  const meta = VOCABULARY_KINDS.find((k) => k.id === kind);
+  const entries = vocabularyEntries(defaults[kind], vocabulary, kind);
+  const names = entries.map((e) => e.name);
+  const visibleCount = entries.filter((e) => !e.hidden).length;
+  const draftName = draft.name.trim();
+  const renameValue = renaming?.value.trim();
+
+  function switchKind(next) {
+    setKind(next);
+    setRenaming(null);
+    setMerging(null);
+  }
+
+  function add() {
+    if (!draftName || names.includes(draftName)) return;
+    onAdd(kind, draftName, kind === "categories" ? { subjectSpecific: draft.categoryKind === "subject", fullTest: draft.categoryKind === "full" } : {});
+    setDraft({ ...draft, name: "" });
+  }
+
+  function submitRename() {
+    if (!renameValue || renameValue === renaming.name || names.includes(renameValue)) return;
+    onRename(kind, renaming.name, renameValue);
+    setRenaming(null);
+  }
+
+  function submitMerge() {
+    if (!merging.into) return;
+    onMerge(kind, merging.name, merging.into);
+    setMerging(null);
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-auto p-6">
+        <div className="flex justify-between items-start mb-4">
+          <h3 className="text-xl font-bold text-gray-900">Providers, Categories &amp; Subjects</h3>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100 transition"><X size={18} /></button>
+        </div>
+
+        <div className="flex gap-2 mb-4">
+          {VOCABULARY_KINDS.map((k) => (
+            <button
+              key={k.id}
+              onClick={() => switchKind(k.id)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium border transition ${kind === k.id ? "bg-indigo-600 text-white border-indigo-600" : "border-gray-300 text-gray-700 hover:bg-gray-100"}`}
+            >
+              {k.label}
+            </button>
+          ))}
+        </div>
+
+        <p className="text-xs text-gray-500 mb-3">
+          Hidden {meta.label.toLowerCase()} are no longer offered for new tests; existing tests keep them. Renaming or merging updates every existing test (undoable).
+        </p>
+
+        <ul className="divide-y divide-gray-200 mb-6 text-sm">
+          {entries.map((e) => (
+            <li key={e.name} className={`py-2 ${e.hidden ? "opacity-60" : ""}`}>
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span className="text-gray-800">
+                  {e.name}
+                  <span className="ml-2 text-xs text-gray-400">{e.builtIn ? "built-in" : "custom"} · {counts[kind][e.name] || 0} tests</span>
+                </span>
+                <div className="flex gap-1.5">
+                  <button
+                    onClick={() => onSetHidden(kind, e.name, !e.hidden)}
+                    disabled={!e.hidden && visibleCount <= 1}
+                    title={e.hidden ? "Show" : "Hide"}
+                    className="p-1.5 text-gray-600 hover:text-indigo-700 disabled:opacity-30"
+                  >
+                    {e.hidden ? <EyeOff size={14} /> : <Eye size={14} />}
+                  </button>
+                  <button onClick={() => { setMerging(null); setRenaming({ name: e.name, value: e.name }); }} className="text-xs px-2.5 py-1 bg-indigo-100 text-indigo-700 rounded-md hover:bg-indigo-200 transition">Rename</button>
+                  <button onClick={() => { setRenaming(null); setMerging({ name: e.name, into: "" }); }} disabled={names.length < 2} className="text-xs px-2.5 py-1 bg-amber-100 text-amber-800 rounded-md hover:bg-amber-200 transition disabled:opacity-40">Merge…</button>
+                </div>
+              </div>
+
+              {renaming?.name === e.name && (
+                <div className="flex gap-2 mt-2">
+                  <input autoFocus value={renaming.value} onChange={(ev) => setRenaming({ ...renaming, value: ev.target.value })} onKeyDown={(ev) => ev.key === "Enter" && submitRename()} className={`${inputClass} flex-1`} />
+                  <button onClick={submitRename} disabled={!renameValue || renameValue === e.name || names.includes(renameValue)} className="px-3 py-1.5 bg-indigo-600 text-white rounded-lg text-xs font-medium disabled:bg-gray-400">Save</button>
+                  <button onClick={() => setRenaming(null)} className="px-3 py-1.5 border border-gray-300 rounded-lg text-xs text-gray-700">Cancel</button>
+                </div>
+              )}
+              {renaming?.name === e.name && names.includes(renameValue) && renameValue !== e.name && (
+                <p className="text-xs text-red-600 mt-1">"{renameValue}" already exists. Use Merge to combine the two.</p>
+              )}
+
+              {merging?.name === e.name && (
+                <div className="flex gap-2 mt-2 items-center">
+                  <span className="text-xs text-gray-600 whitespace-nowrap">Merge into</span>
+                  <select value={merging.into} onChange={(ev) => setMerging({ ...merging, into: ev.target.value })} className={`${inputClass} flex-1`}>
+                    <option value="">Choose {meta.singular}…</option>
+                    {names.filter((n) => n !== e.name).map((n) => <option key={n} value={n}>{n}</option>)}
+                  </select>
+                  <button onClick={submitMerge} disabled={!merging.into} className="px-3 py-1.5 bg-amber-600 text-white rounded-lg text-xs font-medium disabled:bg-gray-400">Merge</button>
+                  <button onClick={() => setMerging(null)} className="px-3 py-1.5 border border-gray-300 rounded-lg text-xs text-gray-700">Cancel</button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex flex-wrap gap-2 items-end">
+          <div className="flex-1 min-w-[12rem]">
+            <label className="block text-xs font-medium text-gray-700">New {meta.singular}</label>
+            <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} onKeyDown={(e) => e.key === "Enter" && add()} className={`${inputClass} w-full mt-1`} placeholder={kind === "providers" ? "e.g. Made Easy" : kind === "categories" ? "e.g. Previous Year Paper" : "e.g. Microprocessors"} />
+          </div>
+          {kind === "categories" && (
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Covers</label>
+              <select value={draft.categoryKind} onChange={(e) => setDraft({ ...draft, categoryKind: e.target.value })} className={`${inputClass} mt-1`}>
+                {CATEGORY_KINDS.map((k) => <option key={k.id} value={k.id}>{k.label}</option>)}
+              </select>
+            </div>
+          )}
+          <button onClick={add} disabled={!draftName || names.includes(draftName)} className="px-4 py-2 bg-indigo-600 text-white rounded-lg shadow-md hover:bg-indigo-700 transition text-sm font-medium disabled:bg-gray-400">
+            Add
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+/*
+Measurable goals: a target average score or rank percentile for a subject,
+a category or all tests, to be reached by a deadline.
+
+Stored per dataset as
+  [{ id, scope, target, metric, targetValue, deadline, createdAt, startValue }]
+`scope` is "overall", "subject" or "category" and `target` the subject or
+category name ("" for overall). `startValue` is the level when the goal was
+set (null without matching tests then; the first later result is used).
+
+The current level is the mean of the latest RECENT_TESTS matching results.
+A goal is on pace while that level keeps up with a straight line from the
+start value (on the creation date) to the target (on the deadline).
+*/
+
+import { uid, round2 } from "../utils";
+
+export const GOAL_METRICS = [
+  { id: "avg", label: "Average score", unit: "%" },
+  { id: "percentile", label: "Rank percentile", unit: "%ile" },
+];
+
+export const GOAL_SCOPES = [
+  { id: "overall", label: "All tests" },
+  { id: "subject", label: "Subject" },
+  { id: "category", label: "Category" },
+];
+
+export const GOAL_STATUSES = {
+  achieved: "Achieved",
+  "on-pace": "On pace",
+  "off-pace": "Off pace",
+  missed: "Missed",
+  "no-data": "No results yet",
+};
+
+// Weak-subject cut-off when no score goal applies.
+export const DEFAULT_WEAK_THRESHOLD = 65;
+
+const RECENT_TESTS = 5;
+// Points below the expected level before a goal counts as off pace.
+const PACE_TOLERANCE = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function metricValue(t, metric) {
+  return metric === "percentile" ? t.rankPercentile : t.percentage;
+}
+
+// Matching results with a value for the goal's metric, oldest first.
+function goalResults(goal, tests) {
+  return tests
+    .filter((t) => goal.scope === "overall" || t[goal.scope] === goal.target)
+    .filter((t) => metricValue(t, goal.metric) != null)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+function recentLevel(results, metric) {
+  const recent = results.slice(-RECENT_TESTS);
+  return recent.length ? round2(recent.reduce((a, t) => a + metricValue(t, metric), 0) / recent.length) : null;
+}
+
+export function createGoal({ scope, target, metric, targetValue, deadline }, tests, today) {
+  const goal = { id: uid(), scope, target: scope === "overall" ? "" : target, metric, targetValue, deadline, createdAt: today };
+  return { ...goal, startValue: recentLevel(goalResults(goal, tests), metric) };
+}
+
+export function goalLabel(goal) {
+  const metric = GOAL_METRICS.find((m) => m.id === goal.metric);
+  return `${goal.scope === "overall" ? "All tests" : goal.target}: ${metric.label.toLowerCase()} ${goal.targetValue}${metric.unit}`;
+}
+
+/*
+Progress of `goal` as of `today` (YYYY-MM-DD):
+  { current, start, expected, count, recent, fraction, daysLeft, status }
+`recent` is how many of the `count` matching results make up `current`,
+`fraction` is how far current has moved from start towards the target (0-1),
+`expected` the level the pace line asks for today.
+*/
+export function goalProgress(goal, tests, today) {
+  const results = goalResults(goal, tests);
+  const current = recentLevel(results, goal.metric);
+  const daysLeft = Math.round((new Date(goal.deadline) - new Date(today)) / DAY_MS);
+  const recent = Math.min(results.length, RECENT_TESTS);
+  if (current === null) return { current, start: goal.startValue, expected: null, count: 0, recent, fraction: 0, daysLeft, status: "no-data" };
+
+  const start = goal.startValue ?? metricValue(results[0], goal.metric);
+  const span = new Date(goal.deadline) - new Date(goal.createdAt);
+  const elapsed = span > 0 ? Math.min(1, Math.max(0, (new Date(today) - new Date(goal.createdAt)) / span)) : 1;
+  const expected = round2(start + (goal.targetValue - start) * elapsed);
+  const gap = goal.targetValue - start;
+  const fraction = gap > 0 ? Math.min(1, Math.max(0, (current - start) / gap)) : current >= goal.targetValue ? 1 : 0;
+
+  let status = "on-pace";
+  if (current >= goal.targetValue) status = "achieved";
+  else if (daysLeft < 0) status = "missed";
+  else if (current < expected - PACE_TOLERANCE) status = "off-pace";
+
+  return { current, start, expected, count: results.length, recent, fraction, daysLeft, status };
+}
+
+/*
+Target average score below which a subject counts as weak: the subject's own
+score goal, else the overall score goal, else DEFAULT_WEAK_THRESHOLD.
+*/
+export function scoreTargetFor(goals, subject) {
+  const own = goals.find((g) => g.metric === "avg" && g.scope === "subject" && g.target === subject);
+  const overall = goals.find((g) => g.metric === "avg" && g.scope === "overall");
+  return (own || overall)?.targetValue ?? DEFAULT_WEAK_THRESHOLD;
+}
+
+/*
+Target lines for a chart of `metric`: overall goals plus goals on any of
+`subjects` / `categories` (the chart's current selection). [{ id, value, label }]
+*/
+export function chartTargets(goals, metric, { subjects = [], categories = [] } = {}) {
+  return goals
+    .filter((g) => g.metric === metric)
+    .filter((g) => g.scope === "overall" || (g.scope === "subject" && subjects.includes(g.target)) || (g.scope === "category" && categories.includes(g.target)))
+    .map((g) => ({ id: g.id, value: g.targetValue, label: `${g.scope === "overall" ? "Target" : g.target} ${g.targetValue}` }));
+}
+
+// Applies a subject/category rename or merge to goal targets (see profiles/vocabulary.js).
+export function renameInGoals(goals, field, from, to) {
+  return goals.map((g) => (g.scope === field && g.target === from ? { ...g, target: to } : g));
+}
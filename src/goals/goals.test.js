@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { createGoal, goalProgress, scoreTargetFor, chartTargets, DEFAULT_WEAK_THRESHOLD } from "./goals";
+
+const result = (date, subject, percentage) => ({ id: `${subject}-${date}`, date, subject, category: "Subject Test", percentage, rankPercentile: null });
+const mathsGoal = (tests) =>
+  createGoal({ scope: "subject", target: "Maths", metric: "avg", targetValue: 80, deadline: "2024-03-01" }, tests, "2024-01-01");
+
+describe("goal progress", () => {
+  const before = [result("2023-12-01", "Maths", 60), result("2023-12-05", "Networks", 90)];
+
+  it("starts from the level of matching results when the goal is set", () => {
+    expect(mathsGoal(before)).toMatchObject({ target: "Maths", createdAt: "2024-01-01", startValue: 60 });
+    expect(createGoal({ scope: "overall", target: "Maths", metric: "avg", targetValue: 80, deadline: "2024-03-01" }, before, "2024-01-01")).toMatchObject({ target: "", startValue: 75 });
+  });
+
+  it("expects a straight line from the start value to the target", () => {
+    const progress = goalProgress(mathsGoal(before), [...before, result("2024-01-20", "Maths", 78)], "2024-01-31");
+    expect(progress).toMatchObject({ current: 69, start: 60, expected: 70, count: 2, status: "on-pace", daysLeft: 30 });
+    expect(progress.fraction).toBeCloseTo(0.45);
+  });
+
+  it("is off pace only once the level falls more than the tolerance behind", () => {
+    const progress = goalProgress(mathsGoal(before), [...before, result("2024-01-20", "Maths", 74)], "2024-01-31");
+    expect(progress).toMatchObject({ current: 67, expected: 70, status: "off-pace" });
+  });
+
+  it("is achieved at the target and missed after the deadline", () => {
+    const goal = mathsGoal(before);
+    expect(goalProgress(goal, [...before, result("2024-01-20", "Maths", 100)], "2024-01-31").status).toBe("achieved");
+    expect(goalProgress(goal, [...before, result("2024-01-20", "Maths", 78)], "2024-03-02").status).toBe("missed");
+  });
+
+  it("waits for a result without matching tests, then starts from the first one", () => {
+    const goal = mathsGoal([]);
+    expect(goal.startValue).toBeNull();
+    expect(goalProgress(goal, [], "2024-01-31")).toMatchObject({ current: null, status: "no-data" });
+    expect(goalProgress(goal, [result("2024-01-10", "Maths", 50), result("2024-01-20", "Maths", 70)], "2024-01-31")).toMatchObject({ start: 50, current: 60 });
+  });
+});
+
+describe("score targets", () => {
+  const goals = [
+    { id: "a", scope: "overall", target: "", metric: "avg", targetValue: 70 },
+    { id: "b", scope: "subject", target: "Maths", metric: "avg", targetValue: 85 },
+    { id: "c", scope: "category", target: "Full Test", metric: "percentile", targetValue: 95 },
+  ];
+
+  it("prefers a subject's own goal, then the overall goal, then the default", () => {
+    expect(scoreTargetFor(goals, "Maths")).toBe(85);
+    expect(scoreTargetFor(goals, "Networks")).toBe(70);
+    expect(scoreTargetFor([], "Networks")).toBe(DEFAULT_WEAK_THRESHOLD);
+  });
+
+  it("draws overall goals and goals on the charted selection", () => {
+    expect(chartTargets(goals, "avg").map((t) => t.id)).toEqual(["a"]);
+    expect(chartTargets(goals, "avg", { subjects: ["Maths"] })).toEqual([
+      { id: "a", value: 70, label: "Target 70" },
+      { id: "b", value: 85, label: "Maths 85" },
+    ]);
+    expect(chartTargets(goals, "percentile", { categories: ["Full Test"] }).map((t) => t.id)).toEqual(["c"]);
+  });
+});
@@ -0,0 +1,131 @@
+/*
+Where snapshots are kept: their own IndexedDB database, whichever backend holds
+the dataset, so a few full copies of the log never compete with the dataset
+for localStorage quota and never travel with the auxiliary items. Summaries
+(`meta` store) and the copied entries (`tests` store) are separate records, so
+listing snapshots does not read every copy.
+
+Without IndexedDB they fall back to one localStorage key, `${storageKey}:snapshots`
+(outside the `${storageKey}_<name>` item namespace), under a much smaller size cap.
+
+openSnapshotStore(storageKey) -> { name, maxBytes, list(), get(id), put(snapshot), remove(ids) }
+list() returns the summaries ({ id, at, reason, version, count, bytes }), newest first.
+*/
+
+const DB_VERSION = 1;
+const META_STORE = "meta";
+const TESTS_STORE = "tests";
+
+// Upper bounds for all snapshots together, in characters of JSON.
+const INDEXED_DB_MAX_BYTES = 50 * 1024 * 1024;
+const LOCAL_STORAGE_MAX_BYTES = 1024 * 1024;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted."));
+  });
+}
+
+function summary(snapshot) {
+  const { id, at, reason, version, count, bytes } = snapshot;
+  return { id, at, reason, version, count, bytes };
+}
+
+function newestFirst(items) {
+  return items.sort((a, b) => b.at.localeCompare(a.at));
+}
+
+function openDatabase(name) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(TESTS_STORE)) db.createObjectStore(TESTS_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("IndexedDB upgrade is blocked by another open tab."));
+  });
+}
+
+async function createIndexedDbStore(storageKey) {
+  const db = await openDatabase(`${storageKey}_snapshots`);
+  return {
+    name: "indexeddb",
+    maxBytes: INDEXED_DB_MAX_BYTES,
+
+    async list() {
+      const tx = db.transaction(META_STORE, "readonly");
+      return newestFirst(await requestToPromise(tx.objectStore(META_STORE).getAll()));
+    },
+
+    async get(id) {
+      const tx = db.transaction([META_STORE, TESTS_STORE], "readonly");
+      const [meta, tests] = await Promise.all([
+        requestToPromise(tx.objectStore(META_STORE).get(id)),
+        requestToPromise(tx.objectStore(TESTS_STORE).get(id)),
+      ]);
+      return meta && tests ? { ...meta, tests } : null;
+    },
+
+    async put(snapshot) {
+      const tx = db.transaction([META_STORE, TESTS_STORE], "readwrite");
+      tx.objectStore(META_STORE).put(summary(snapshot));
+      tx.objectStore(TESTS_STORE).put(snapshot.tests, snapshot.id);
+      await transactionDone(tx);
+    },
+
+    async remove(ids) {
+      if (!ids.length) return;
+      const tx = db.transaction([META_STORE, TESTS_STORE], "readwrite");
+      ids.forEach((id) => {
+        tx.objectStore(META_STORE).delete(id);
+        tx.objectStore(TESTS_STORE).delete(id);
+      });
+      await transactionDone(tx);
+    },
+  };
+}
+
+function createLocalStorageStore(storageKey) {
+  const key = `${storageKey}:snapshots`;
+  const readAll = () => JSON.parse(localStorage.getItem(key) || "[]");
+  const writeAll = (snapshots) => localStorage.setItem(key, JSON.stringify(snapshots));
+  return {
+    name: "localstorage",
+    maxBytes: LOCAL_STORAGE_MAX_BYTES,
+    async list() {
+      return newestFirst(readAll().map(summary));
+    },
+    async get(id) {
+      return readAll().find((s) => s.id === id) || null;
+    },
+    async put(snapshot) {
+      writeAll([snapshot, ...readAll().filter((s) => s.id !== snapshot.id)]);
+    },
+    async remove(ids) {
+      if (ids.length) writeAll(readAll().filter((s) => !ids.includes(s.id)));
+    },
+  };
+}
+
+export async function openSnapshotStore(storageKey) {
+  if (typeof indexedDB !== "undefined") {
+    try {
+      return await createIndexedDbStore(storageKey);
+    } catch (e) {
+      console.warn("Snapshot database unavailable, keeping snapshots in localStorage.", e);
+    }
+  }
+  return createLocalStorageStore(storageKey);
+}
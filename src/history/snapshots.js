@@ -0,0 +1,102 @@
+/*
+Rolling snapshots of the whole dataset, for point-in-time restore.
+
+A snapshot is { id, at, reason, version, count, bytes, tests }, kept in the
+snapshot store (history/snapshotStore.js) rather than next to the dataset; the
+"snapshots" item only holds the settings, { retention }. A daily snapshot is
+taken the first time the tracker is opened each day, and one before every
+import, clear-all, restore and sync account replacement. Only the newest
+`retention` are kept, and fewer when together they would exceed the store's
+size cap. `version` is the schema version the entries were written with, so
+an old snapshot is upgraded like any stored dataset before it is compared or
+restored.
+*/
+
+import { uid } from "../utils";
+import { SCHEMA_VERSION, upgradeDataset } from "../storage/schema";
+import { changedFields } from "../io/importMerge";
+
+export const SNAPSHOT_REASONS = {
+  daily: "Daily",
+  import: "Before import",
+  "clear-all": "Before clear all",
+  restore: "Before restore",
+  "account-switch": "Before switching sync account",
+  manual: "Manual",
+};
+
+export const DEFAULT_RETENTION = 10;
+
+// A snapshot of `tests`, or null for an empty log, which is not worth one.
+export function createSnapshot(tests, reason) {
+  if (!tests.length) return null;
+  return { id: uid(), at: new Date().toISOString(), reason, version: SCHEMA_VERSION, count: tests.length, bytes: JSON.stringify(tests).length, tests };
+}
+
+export function hasDailySnapshot(items, today) {
+  return items.some((s) => s.reason === "daily" && s.at.slice(0, 10) === today);
+}
+
+/*
+Ids of the snapshots to delete from `items` (newest first): everything past
+the newest `retention`, and whatever no longer fits in `maxBytes` counting
+from the newest. A single snapshot larger than the cap is dropped as well.
+*/
+export function pruneSnapshots(items, retention, maxBytes) {
+  const drop = [];
+  let kept = 0;
+  let bytes = 0;
+  for (const item of items) {
+    if (kept < retention && bytes + item.bytes <= maxBytes) {
+      kept++;
+      bytes += item.bytes;
+    } else {
+      drop.push(item.id);
+    }
+  }
+  return drop;
+}
+
+// The snapshot's entries upgraded to the current schema.
+export function snapshotTests(snapshot) {
+  return upgradeDataset({ version: snapshot.version, tests: snapshot.tests, meta: {} }).tests;
+}
+
+/*
+What restoring `snapshot` would change, matched by entry id:
+  { missing: [entry],                      in the snapshot, deleted since
+    changed: [{ entry, current, fields }], edited since (entry = snapshot copy)
+    added:   [entry],                      created since the snapshot
+    unchanged }                            count of identical entries
+*/
+export function snapshotDiff(snapshot, currentTests) {
+  const older = snapshotTests(snapshot);
+  const currentById = new Map(currentTests.map((t) => [t.id, t]));
+  const olderIds = new Set(older.map((t) => t.id));
+  const missing = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const entry of older) {
+    const current = currentById.get(entry.id);
+    if (!current) {
+      missing.push(entry);
+      continue;
+    }
+    const fields = changedFields(current, entry);
+    if (fields.length) changed.push({ entry, current, fields });
+    else unchanged++;
+  }
+  return { missing, changed, added: currentTests.filter((t) => !olderIds.has(t.id)), unchanged };
+}
+
+/*
+An entry-level patch ({ put, remove }, see history/useTestHistory.js) that
+restores the diff rows whose ids are in `ids`: missing entries come back,
+changed ones revert and entries added since are removed.
+*/
+export function restorePatch(diff, ids) {
+  return {
+    put: [...diff.missing, ...diff.changed.map((c) => c.entry)].filter((t) => ids.has(t.id)),
+    remove: diff.added.filter((t) => ids.has(t.id)).map((t) => t.id),
+  };
+}
@@ -0,0 +1,26 @@
+import { describe, it, expect } from "vitest";
+import { createSnapshot, pruneSnapshots } from "./snapshots";
+
+const item = (id, bytes) => ({ id, bytes });
+
+describe("createSnapshot", () => {
+  it("records the size of the copied entries and skips an empty log", () => {
+    const tests = [{ id: "a", subject: "Maths" }];
+    const snapshot = createSnapshot(tests, "manual");
+    expect(snapshot).toMatchObject({ reason: "manual", count: 1, bytes: JSON.stringify(tests).length, tests });
+    expect(createSnapshot([], "daily")).toBeNull();
+  });
+});
+
+describe("pruneSnapshots", () => {
+  it("keeps the newest within both the retention count and the size cap", () => {
+    const items = [item("new", 40), item("mid", 40), item("old", 40)];
+    expect(pruneSnapshots(items, 2, 1000)).toEqual(["old"]);
+    expect(pruneSnapshots(items, 10, 100)).toEqual(["old"]);
+    expect(pruneSnapshots(items, 10, 1000)).toEqual([]);
+  });
+
+  it("drops a snapshot that alone exceeds the cap, but keeps smaller older ones", () => {
+    expect(pruneSnapshots([item("huge", 500), item("small", 40)], 10, 100)).toEqual(["huge"]);
+  });
+});
@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useStoredItem } from "../storage/useStoredItem";
+import { openSnapshotStore } from "./snapshotStore";
+import { DEFAULT_RETENTION, createSnapshot, hasDailySnapshot, pruneSnapshots } from "./snapshots";
+
+/*
+The tracker's rolling snapshots (see history/snapshots.js). The settings live
+in the "snapshots" item, which is not broadcast to other tabs; the snapshots
+themselves live in the snapshot store, where `items` lists their summaries and
+load(id) reads one in full when it is needed. Call reload() to pick up
+snapshots taken by another tab. Store operations run one at a time.
+
+Returns { items, retention, loaded, take(tests, reason), takeDaily(tests, today),
+load(id), remove(id), setRetention(n), reload() }. take resolves to false when
+the snapshot was not kept because it alone exceeds the size cap, and rejects
+when it could not be saved.
+*/
+export function useSnapshots(storageKey, adapter) {
+  const [settings, setSettings, settingsLoaded] = useStoredItem(adapter, "snapshots", { retention: DEFAULT_RETENTION });
+  const retention = settings.retention ?? DEFAULT_RETENTION;
+  const [store, setStore] = useState(null);
+  const [items, setItems] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const queueRef = useRef(Promise.resolve());
+  const dailyRef = useRef(null);
+
+  const enqueue = useCallback((task) => {
+    const run = queueRef.current.then(task);
+    queueRef.current = run.catch((e) => console.error("Snapshot store operation failed", e));
+    return run;
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    openSnapshotStore(storageKey)
+      .then((opened) => {
+        if (!cancelled) setStore(opened);
+      })
+      .catch((e) => console.error("Failed to open the snapshot store", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [storageKey]);
+
+  // Lists the store, first moving in snapshots that older versions kept inside the "snapshots" item.
+  useEffect(() => {
+    if (!store || !settingsLoaded) return;
+    const legacy = settings.items;
+    enqueue(async () => {
+      if (legacy) {
+        for (const snapshot of legacy) {
+          await store.put({ ...snapshot, bytes: JSON.stringify(snapshot.tests).length });
+        }
+        setSettings({ retention });
+      }
+      setItems(await store.list());
+      setLoaded(true);
+    });
+  }, [store, settingsLoaded, settings.items, retention, setSettings, enqueue]);
+
+  // Drops what no longer fits; resolves to the ids dropped.
+  const prune = useCallback(async (limit) => {
+    const listed = await store.list();
+    const drop = pruneSnapshots(listed, limit, store.maxBytes);
+    await store.remove(drop);
+    setItems(listed.filter((s) => !drop.includes(s.id)));
+    return drop;
+  }, [store]);
+
+  const take = useCallback((tests, reason) => {
+    const snapshot = createSnapshot(tests, reason);
+    if (!snapshot) return Promise.resolve(true);
+    if (!store) return Promise.reject(new Error("The snapshot store is not open."));
+    return enqueue(async () => {
+      await store.put(snapshot);
+      return !(await prune(retention)).includes(snapshot.id);
+    });
+  }, [store, retention, prune, enqueue]);
+
+  const takeDaily = useCallback((tests, today) => {
+    if (!loaded || dailyRef.current === today || hasDailySnapshot(items, today)) return;
+    dailyRef.current = today;
+    take(tests, "daily");
+  }, [loaded, items, take]);
+
+  const load = useCallback((id) => enqueue(() => store.get(id)), [store, enqueue]);
+
+  const remove = useCallback((id) => enqueue(async () => {
+    await store.remove([id]);
+    setItems(await store.list());
+  }), [store, enqueue]);
+
+  const setRetention = useCallback((next) => {
+    setSettings({ retention: next });
+    if (store) enqueue(() => prune(next));
+  }, [store, setSettings, prune, enqueue]);
+
+  const reload = useCallback(() => {
+    if (store) enqueue(async () => setItems(await store.list()));
+  }, [store, enqueue]);
+
+  return { items, retention, loaded, take, takeDaily, load, remove, setRetention, reload };
+}
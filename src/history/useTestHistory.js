@@ -0,0 +1,132 @@
+/*
+Undo/redo history for the `tests` array.
+
+Every change made through commit() is recorded as a pair of entry-level
+patches ({ put: [entries], remove: [ids] }) rather than full snapshots, so the
+history stays small and can be persisted next to the dataset. Patches address
+entries by id, which keeps them applicable even if other entries changed since.
+
+A change that also rewrites auxiliary items (a vocabulary rename touches the
+vocabulary, catalog, goals, ...) records their values before and after as
+`items: { undo: { [name]: value }, redo: { [name]: value } }`; undo and redo
+hand them to `applyItems` so the whole change reverts as one step. Items are
+restored whole, unlike the entry-level test patches.
+*/
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { diffTests } from "../storage";
+
+export const HISTORY_LIMIT = 50;
+const HISTORY_ITEM = "history";
+
+export function applyPatch(tests, patch) {
+  const removed = new Set(patch.remove);
+  const putById = new Map(patch.put.map((t) => [t.id, t]));
+  const kept = tests.filter((t) => !removed.has(t.id) && !putById.has(t.id));
+  return [...kept, ...putById.values()].sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+// The items whose value differs between `before` and `after`, as undo/redo values.
+function itemChanges(before, after) {
+  const names = Object.keys(after).filter((name) => before[name] !== after[name]);
+  if (!names.length) return null;
+  return {
+    undo: Object.fromEntries(names.map((name) => [name, before[name]])),
+    redo: Object.fromEntries(names.map((name) => [name, after[name]])),
+  };
+}
+
+function makeRecord(label, prev, next, items) {
+  const redo = diffTests(prev, next);
+  const prevById = new Map(prev.map((t) => [t.id, t]));
+  const undo = {
+    put: [...redo.put.map((t) => prevById.get(t.id)).filter(Boolean), ...redo.remove.map((id) => prevById.get(id))],
+    remove: redo.put.filter((t) => !prevById.has(t.id)).map((t) => t.id),
+  };
+  return { label, at: new Date().toISOString(), undo, redo, ...(items && { items }) };
+}
+
+/*
+Returns { commit, undo, redo, canUndo, canRedo, undoLabel, redoLabel }.
+commit(label, nextOrUpdater, items) replaces setTests for user actions that
+should be undoable; `items` ({ before, after }) are the auxiliary item values
+the action changed, already saved by the caller. undo()/redo() return the
+record they applied, or null; `applyItems(values)` writes recorded item values.
+*/
+export function useTestHistory(tests, setTests, adapter, applyItems) {
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const loadedRef = useRef(false);
+  const testsRef = useRef(tests);
+  const historyRef = useRef(history);
+  const applyItemsRef = useRef(applyItems);
+  testsRef.current = tests;
+  historyRef.current = history;
+  applyItemsRef.current = applyItems;
+
+  useEffect(() => {
+    if (!adapter) return;
+    let cancelled = false;
+    adapter.getItem(HISTORY_ITEM)
+      .then((saved) => {
+        if (cancelled) return;
+        if (saved && Array.isArray(saved.past) && Array.isArray(saved.future)) setHistory(saved);
+        loadedRef.current = true;
+      })
+      .catch((e) => {
+        console.error("Failed to load undo history", e);
+        loadedRef.current = true;
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [adapter]);
+
+  useEffect(() => {
+    if (!adapter || !loadedRef.current) return;
+    adapter.setItem(HISTORY_ITEM, history).catch((e) => console.error("Failed to save undo history", e));
+  }, [adapter, history]);
+
+  const update = useCallback((next, nextHistory) => {
+    testsRef.current = next;
+    historyRef.current = nextHistory;
+    setTests(next);
+    setHistory(nextHistory);
+  }, [setTests]);
+
+  const commit = useCallback((label, nextOrUpdater, items) => {
+    const prev = testsRef.current;
+    const next = typeof nextOrUpdater === "function" ? nextOrUpdater(prev) : nextOrUpdater;
+    const changedItems = items ? itemChanges(items.before, items.after) : null;
+    if (next === prev && !changedItems) return;
+    const { past } = historyRef.current;
+    update(next, { past: [...past, makeRecord(label, prev, next, changedItems)].slice(-HISTORY_LIMIT), future: [] });
+  }, [update]);
+
+  const undo = useCallback(() => {
+    const { past, future } = historyRef.current;
+    const record = past[past.length - 1];
+    if (!record) return null;
+    update(applyPatch(testsRef.current, record.undo), { past: past.slice(0, -1), future: [record, ...future] });
+    if (record.items) applyItemsRef.current?.(record.items.undo);
+    return record;
+  }, [update]);
+
+  const redo = useCallback(() => {
+    const { past, future } = historyRef.current;
+    const record = future[0];
+    if (!record) return null;
+    update(applyPatch(testsRef.current, record.redo), { past: [...past, record], future: future.slice(1) });
+    if (record.items) applyItemsRef.current?.(record.items.redo);
+    return record;
+  }, [update]);
+
+  return {
+    commit,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undoLabel: history.past[history.past.length - 1]?.label || null,
+    redoLabel: history.future[0]?.label || null,
+  };
+}
@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { applyPatch } from "./useTestHistory";
+import { diffTests } from "../storage";
+
+const entry = (id, date, score) => ({ id, date, score });
+
+describe("entry patches", () => {
+  const a = entry("a", "2024-01-01", 50);
+  const b = entry("b", "2024-01-02", 60);
+  const c = entry("c", "2024-01-03", 70);
+
+  it("re-writes only entries whose identity changed, and lists removed ids", () => {
+    const editedB = { ...b, score: 65 };
+    const d = entry("d", "2024-01-04", 80);
+    expect(diffTests([a, b, c], [editedB, c, d])).toEqual({ put: [editedB, d], remove: ["a"] });
+    expect(diffTests(null, [a])).toEqual({ put: [a], remove: [] });
+  });
+
+  it("turns the previous log into the next one, newest first", () => {
+    const prev = [c, b, a];
+    const next = [entry("d", "2024-01-04", 80), { ...a, score: 55 }, c];
+    expect(applyPatch(prev, diffTests(prev, next))).toEqual([next[0], c, next[1]]);
+    expect(applyPatch(next, diffTests(next, prev))).toEqual(prev);
+  });
+
+  it("applies another tab's change without dropping local edits to other entries", () => {
+    const remote = diffTests([c, b, a], [c, { ...b, score: 62 }]);
+    const local = [{ ...c, score: 75 }, b, a];
+    expect(applyPatch(local, remote)).toEqual([{ ...c, score: 75 }, { ...b, score: 62 }]);
+  });
+});
@@ -0,0 +1,163 @@
+/*
+CSV import/export helpers.
+
+parseCsv is the inverse of csvEscape (RFC 4180): fields containing commas,
+quotes or newlines are wrapped in double quotes with inner quotes doubled.
+Spreadsheets exported from Google Sheets / Excel often use different column
+names, so imported headers are mapped onto entry fields before normalization.
+*/
+
+import { csvEscape } from "../utils";
+
+// Column order written by the CSV export (derived columns are ignored on import).
+export const CSV_HEADERS = ["subject", "topic", "subtopic", "category", "provider", "maxMarks", "obtainedMarks", "negativeMarks", "correctCount", "incorrectCount", "notAttemptedCount", "percentage", "testRank", "totalTestTakers", "rankPercentile", "timeTaken", "timeLimit", "timeRanOut", "date", "notes"];
+
+// Entry fields that can be filled from a CSV column, with common spreadsheet aliases.
+export const CSV_IMPORT_FIELDS = [
+  { field: "subject", label: "Subject", aliases: ["subject", "paper subject"] },
+  { field: "topic", label: "Topic", aliases: ["topic", "chapter"] },
+  { field: "subtopic", label: "Subtopic", aliases: ["subtopic", "sub topic", "subtopics"] },
+  { field: "category", label: "Category", aliases: ["category", "test type", "type"] },
+  { field: "provider", label: "Provider", aliases: ["provider", "platform", "test series", "institute"] },
+  { field: "maxMarks", label: "Max Marks", aliases: ["maxmarks", "max marks", "total marks", "out of", "max"] },
+  { field: "obtainedMarks", label: "Obtained Marks", aliases: ["obtainedmarks", "obtained marks", "marks obtained", "marks", "score"] },
+  { field: "negativeMarks", label: "Negative Marks", aliases: ["negativemarks", "negative marks", "negative", "negatives", "marks lost"] },
+  { field: "correctCount", label: "Correct (R)", aliases: ["correctcount", "correct", "right", "r"] },
+  { field: "incorrectCount", label: "Incorrect (W)", aliases: ["incorrectcount", "incorrect", "wrong", "w"] },
+  { field: "notAttemptedCount", label: "Not Attempted (NA)", aliases: ["notattemptedcount", "not attempted", "unattempted", "skipped", "na"] },
+  { field: "testRank", label: "Rank", aliases: ["testrank", "rank", "air", "my rank"] },
+  { field: "totalTestTakers", label: "Total Takers", aliases: ["totaltesttakers", "total takers", "total students", "students", "takers"] },
+  { field: "timeTaken", label: "Time Taken (min)", aliases: ["timetaken", "time taken", "time", "duration", "minutes"] },
+  { field: "timeLimit", label: "Time Limit (min)", aliases: ["timelimit", "time limit", "test duration", "allowed time"] },
+  { field: "timeRanOut", label: "Ran Out of Time", aliases: ["timeranout", "time ran out", "ran out", "ran out of time", "timed out"] },
+  { field: "date", label: "Date", aliases: ["date", "test date", "taken on"] },
+  { field: "notes", label: "Notes", aliases: ["notes", "note", "remarks", "mistakes"] },
+];
+
+// The CSV export of `tests`: the CSV_HEADERS row, then one row per entry.
+export function testsToCsv(tests) {
+  const rows = [CSV_HEADERS.join(",")];
+  for (const t of tests) {
+    rows.push(
+      [
+        t.subject,
+        t.topic || "",
+        t.subtopic || "",
+        t.category,
+        t.provider,
+        t.maxMarks,
+        t.obtainedMarks,
+        t.negativeMarks ?? "",
+        t.correctCount ?? "",
+        t.incorrectCount ?? "",
+        t.notAttemptedCount ?? "",
+        t.percentage,
+        t.testRank || "",
+        t.totalTestTakers || "",
+        t.rankPercentile || "",
+        t.timeTaken ?? "",
+        t.timeLimit ?? "",
+        t.timeRanOut ? "yes" : "",
+        t.date,
+        t.notes,
+      ].map(csvEscape).join(",")
+    );
+  }
+  return rows.join("\n");
+}
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (inQuotes) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (inQuotes) throw new Error("Unterminated quoted field in CSV.");
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines (a single empty field) carry no data.
+  return rows.filter((r) => r.length > 1 || r[0].trim() !== "");
+}
+
+function normalizeHeader(h) {
+  return h.trim().toLowerCase().replace(/[_\-().]+/g, " ").replace(/\s+/g, " ").trim();
+}
+
+// Returns { field: columnIndex | -1 } guessed from the header row.
+export function suggestColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  for (const { field, aliases } of CSV_IMPORT_FIELDS) {
+    mapping[field] = normalized.findIndex((h) => h === field.toLowerCase() || aliases.includes(h));
+  }
+  return mapping;
+}
+
+// True when the headers are exactly the ones our own CSV export writes.
+export function isExportedCsv(headers) {
+  return headers.length === CSV_HEADERS.length && headers.every((h, i) => h.trim() === CSV_HEADERS[i]);
+}
+
+// The entry fields a column mapping fills, for merging a CSV import (see importMerge.js).
+export function mappedFields(mapping) {
+  return Object.keys(mapping).filter((field) => mapping[field] >= 0);
+}
+
+// Accepts YYYY-MM-DD as well as the DD/MM/YYYY or DD-MM-YYYY spreadsheets use.
+function parseSheetDate(value) {
+  const v = value.trim();
+  if (!v) return "";
+  const dmy = v.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (dmy) return `${dmy[3]}-${dmy[2].padStart(2, "0")}-${dmy[1].padStart(2, "0")}`;
+  if (isNaN(new Date(v).getTime())) throw new Error(`Unrecognized date "${v}".`);
+  return v;
+}
+
+// Converts data rows into loose records ready for normalizeImportedEntry.
+export function csvRowsToRecords(rows, mapping) {
+  return rows.map((row, i) => {
+    const record = {};
+    for (const [field, index] of Object.entries(mapping)) {
+      if (index < 0) continue;
+      const value = row[index] ?? "";
+      if (value.trim() === "") continue;
+      try {
+        if (field === "date") record[field] = parseSheetDate(value);
+        else record[field] = field === "notes" ? value : value.trim();
+      } catch (err) {
+        throw new Error(`Row ${i + 2}: ${err.message}`);
+      }
+    }
+    return record;
+  });
+}
@@ -0,0 +1,90 @@
+/*
+Passphrase-encrypted JSON backups.
+
+The file is JSON with a small plain header and the encrypted export:
+  { format: "prepfusion-encrypted-backup", version: 1,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations, salt },
+    cipher: { name: "AES-GCM", iv },
+    data }
+`salt`, `iv` and `data` are base64. The AES-256-GCM key is derived from the
+passphrase with PBKDF2 and a fresh random salt per file; GCM's tag makes a
+wrong passphrase or a modified file fail to decrypt instead of producing
+garbage. Everything is done with WebCrypto, so nothing leaves the browser.
+*/
+
+export const ENCRYPTED_BACKUP_FORMAT = "prepfusion-encrypted-backup";
+export const ENCRYPTED_BACKUP_VERSION = 1;
+
+const ITERATIONS = 600000;
+// Iteration counts accepted from a file: below is not worth decrypting, above would freeze the tab.
+const MIN_ITERATIONS = 100000;
+const MAX_ITERATIONS = 10000000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+function toBase64(bytes) {
+  let binary = "";
+  // Chunked so large backups stay under the argument limit of fromCharCode.
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// True for a parsed JSON file in the encrypted backup format.
+export function isEncryptedBackup(data) {
+  return Boolean(data) && typeof data === "object" && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+// The encrypted backup file (JSON text) for `text`.
+export async function encryptBackup(text, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(passphrase, salt, ITERATIONS);
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text));
+  return JSON.stringify({
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: "AES-GCM", iv: toBase64(iv) },
+    data: toBase64(new Uint8Array(data)),
+  }, null, 2);
+}
+
+// The text stored in a parsed encrypted backup. Throws on a wrong passphrase or a damaged file.
+export async function decryptBackup(backup, passphrase) {
+  if (backup.version > ENCRYPTED_BACKUP_VERSION) {
+    throw new Error(`This backup was made by a newer version of the tracker (format v${backup.version}).`);
+  }
+  const iterations = backup.kdf?.iterations;
+  const iterationsValid = Number.isInteger(iterations) && iterations >= MIN_ITERATIONS && iterations <= MAX_ITERATIONS;
+  if (backup.kdf?.name !== "PBKDF2" || !iterationsValid || backup.cipher?.name !== "AES-GCM" || typeof backup.data !== "string") {
+    throw new Error("Unrecognized encrypted backup.");
+  }
+  let plain;
+  try {
+    const key = await deriveKey(passphrase, fromBase64(backup.kdf.salt), iterations);
+    plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(backup.cipher.iv) }, key, fromBase64(backup.data));
+  } catch {
+    throw new Error("Wrong passphrase, or the file is damaged.");
+  }
+  return new TextDecoder().decode(plain);
+}
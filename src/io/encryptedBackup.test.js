@@ -0,0 +1,17 @@
+import { describe, it, expect } from "vitest";
+import { encryptBackup, decryptBackup } from "./encryptedBackup";
+
+describe("decryptBackup", () => {
+  it("round-trips the exported text", async () => {
+    const file = JSON.parse(await encryptBackup('{"tests":[]}', "correct horse"));
+    expect(await decryptBackup(file, "correct horse")).toBe('{"tests":[]}');
+  });
+
+  it("rejects iteration counts that are not a sane integer before deriving a key", async () => {
+    const file = JSON.parse(await encryptBackup("{}", "correct horse"));
+    for (const iterations of [0, 99999, 10000001, 1e12, 600000.5, "600000", null]) {
+      const tampered = { ...file, kdf: { ...file.kdf, iterations } };
+      await expect(decryptBackup(tampered, "correct horse")).rejects.toThrow("Unrecognized encrypted backup.");
+    }
+  });
+});
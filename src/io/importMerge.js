@@ -0,0 +1,117 @@
+/*
+Merge planning for imports.
+
+Incoming rows are matched against the current log first by `id`, then by a
+content fingerprint (date + provider + category + subject + marks) so a backup
+re-exported from another machine is recognised even when ids were regenerated.
+Each row of the plan gets a status:
+  - "new":       no match, will be added
+  - "duplicate": matches an existing entry with identical content
+  - "changed":   matches an existing entry but some fields differ
+Duplicates and changed rows are conflicts the user resolves with an action.
+
+A source that carries only some fields (CSV has no response sheet, mistake
+log, section times or catalog link) is planned with those `fields`: only they
+are compared, and "overwrite" merges them into the existing entry instead of
+replacing it, so a re-imported CSV export leaves everything else alone. A
+source without dates (its rows are dated on import) is matched by fingerprint
+without the date.
+*/
+
+import { uid } from "../utils";
+import { withDerivedFields } from "../storage/schema";
+
+export const CONFLICT_ACTIONS = [
+  { id: "skip", label: "Skip" },
+  { id: "overwrite", label: "Overwrite" },
+  { id: "keep-both", label: "Keep both" },
+];
+
+// Fields compared to decide between "duplicate" and "changed".
+export const COMPARED_FIELDS = [
+  "subject", "topic", "subtopic", "category", "provider", "maxMarks", "obtainedMarks",
+  "correctCount", "incorrectCount", "notAttemptedCount",
+  "testRank", "totalTestTakers", "date", "notes", "responses", "negativeMarks",
+  "timeTaken", "timeLimit", "sectionTimes", "timeRanOut", "catalogSlotId", "mistakes",
+];
+
+export function entryFingerprint(t, dated = true) {
+  return [dated ? t.date : "", t.provider, t.category, t.subject, `${Number(t.obtainedMarks)}/${Number(t.maxMarks)}`]
+    .map((v) => String(v ?? "").trim().toLowerCase())
+    .join("|");
+}
+
+// Structured fields (e.g. the response sheet) are compared by value.
+function sameValue(a, b) {
+  if (a !== null && typeof a === "object") return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
+
+export function changedFields(existing, incoming, fields = COMPARED_FIELDS) {
+  return fields.filter((f) => !sameValue(existing[f] ?? null, incoming[f] ?? null));
+}
+
+// `fields`: the compared fields the source carries (all of them by default).
+export function planImport(existingTests, incomingTests, fields = COMPARED_FIELDS) {
+  const carried = COMPARED_FIELDS.filter((f) => fields.includes(f));
+  const partial = carried.length < COMPARED_FIELDS.length ? carried : null;
+  const dated = carried.includes("date");
+  const diffOf = (existing, incoming) => changedFields(existing, incoming, carried);
+  const byId = new Map(existingTests.map((t) => [t.id, t]));
+  const byFingerprint = new Map(existingTests.map((t) => [entryFingerprint(t, dated), t]));
+  const seenIds = new Set();
+  const seenFingerprints = new Map();
+
+  return incomingTests.map((incoming, index) => {
+    const fingerprint = entryFingerprint(incoming, dated);
+    const key = `row-${index}`;
+
+    // A row repeated inside the same file is a duplicate of its first copy.
+    const earlier = seenFingerprints.get(fingerprint);
+    if (seenIds.has(incoming.id) || (earlier && diffOf(earlier, incoming).length === 0)) {
+      return { key, incoming, existing: null, status: "duplicate", matchedBy: "file", diff: [], action: "skip", fields: partial };
+    }
+    seenIds.add(incoming.id);
+    if (!earlier) seenFingerprints.set(fingerprint, incoming);
+
+    const existing = byId.get(incoming.id) || byFingerprint.get(fingerprint);
+    if (!existing) {
+      return { key, incoming, existing: null, status: "new", matchedBy: null, diff: [], action: "add", fields: partial };
+    }
+
+    const diff = diffOf(existing, incoming);
+    const matchedBy = existing.id === incoming.id ? "id" : "fingerprint";
+    return diff.length === 0
+      ? { key, incoming, existing, status: "duplicate", matchedBy, diff, action: "skip", fields: partial }
+      : { key, incoming, existing, status: "changed", matchedBy, diff, action: "overwrite", fields: partial };
+  });
+}
+
+// Applies the plan with the user's per-row actions (keyed by row key).
+export function applyImport(existingTests, plan, actions = {}) {
+  let next = [...existingTests];
+  const ids = new Set(next.map((t) => t.id));
+  const counts = { added: 0, overwritten: 0, skipped: 0 };
+
+  for (const row of plan) {
+    const action = actions[row.key] || row.action;
+
+    if (action === "skip") {
+      counts.skipped += 1;
+    } else if (action === "overwrite" && row.existing) {
+      const replacement = row.fields
+        ? withDerivedFields({ ...row.existing, ...Object.fromEntries(row.fields.map((f) => [f, row.incoming[f]])) })
+        : { ...row.incoming, id: row.existing.id };
+      next = next.map((t) => (t.id === row.existing.id ? replacement : t));
+      counts.overwritten += 1;
+    } else {
+      const entry = ids.has(row.incoming.id) ? { ...row.incoming, id: uid() } : row.incoming;
+      ids.add(entry.id);
+      next.push(entry);
+      counts.added += 1;
+    }
+  }
+
+  next.sort((a, b) => new Date(b.date) - new Date(a.date));
+  return { tests: next, counts };
+}
@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { planImport, applyImport } from "./importMerge";
+import { testsToCsv, parseCsv, suggestColumnMapping, isExportedCsv, csvRowsToRecords, mappedFields } from "./csv";
+import { normalizeImportedEntry } from "./normalize";
+import { withDerivedFields } from "../storage/schema";
+import { createGatePatternSheet } from "../scoring/responseSheet";
+
+const DEFAULTS = { category: "Full Length", provider: "Other" };
+
+// An entry with every field the tracker can hold, including the ones CSV cannot carry.
+function fullEntry() {
+  const responses = createGatePatternSheet().map((r, i) => ({
+    ...r,
+    status: i % 3 === 0 ? "correct" : i % 3 === 1 ? "incorrect" : "unattempted",
+    timeSpent: 60,
+  }));
+  return withDerivedFields({
+    id: "entry-1",
+    subject: "Full Syllabus",
+    topic: "Networks",
+    subtopic: "Two-port",
+    category: "Full Length",
+    provider: "Ace Academy",
+    maxMarks: 100,
+    obtainedMarks: 0,
+    testRank: 120,
+    totalTestTakers: 4000,
+    date: "2026-03-14",
+    notes: 'Slow on "NAT", check units, revise Bode plots',
+    responses,
+    markingScheme: null,
+    timeLimit: 180,
+    timeRanOut: true,
+    catalogSlotId: "slot-7",
+    mistakes: [{ questionNumber: 12, subject: "Networks", topic: "Two-port", errorType: "conceptual", marksLost: 1.33, note: "Wrong parameter" }],
+  });
+}
+
+function csvRoundTrip(tests) {
+  const [headers, ...rows] = parseCsv(testsToCsv(tests));
+  expect(isExportedCsv(headers)).toBe(true);
+  const mapping = suggestColumnMapping(headers);
+  const incoming = csvRowsToRecords(rows, mapping).map((d) => normalizeImportedEntry(d, DEFAULTS));
+  return planImport(tests, incoming, mappedFields(mapping));
+}
+
+describe("CSV export round trip", () => {
+  it("re-imports the tracker's own export without changing anything", () => {
+    const entry = fullEntry();
+    const plan = csvRoundTrip([entry]);
+
+    expect(plan).toHaveLength(1);
+    expect(plan[0].status).toBe("duplicate");
+    expect(plan[0].action).toBe("skip");
+
+    const { tests } = applyImport([entry], plan);
+    expect(tests).toEqual([entry]);
+  });
+
+  it("merges edited CSV columns into the entry and keeps the fields CSV does not carry", () => {
+    const entry = withDerivedFields({ ...fullEntry(), responses: null, obtainedMarks: 55, correctCount: 30, incorrectCount: 10, notAttemptedCount: 25 });
+    const [headers, ...rows] = parseCsv(testsToCsv([entry]));
+    rows[0][headers.indexOf("notes")] = "Edited in a spreadsheet";
+    const mapping = suggestColumnMapping(headers);
+    const incoming = csvRowsToRecords(rows, mapping).map((d) => normalizeImportedEntry(d, DEFAULTS));
+    const plan = planImport([entry], incoming, mappedFields(mapping));
+
+    expect(plan[0].status).toBe("changed");
+    expect(plan[0].diff).toEqual(["notes"]);
+
+    const [merged] = applyImport([entry], plan).tests;
+    expect(merged).toEqual({ ...entry, notes: "Edited in a spreadsheet" });
+  });
+
+  it("keeps the columns left unmapped", () => {
+    const entry = withDerivedFields({ ...fullEntry(), responses: null, obtainedMarks: 55, correctCount: 30, incorrectCount: 10, notAttemptedCount: 25 });
+    const [headers, ...rows] = parseCsv(testsToCsv([entry]));
+    rows[0][headers.indexOf("testRank")] = "100";
+    rows[0][headers.indexOf("notes")] = "Edited in a spreadsheet";
+    const mapping = { ...suggestColumnMapping(headers), notes: -1 };
+    const incoming = csvRowsToRecords(rows, mapping).map((d) => normalizeImportedEntry(d, DEFAULTS));
+    const plan = planImport([entry], incoming, mappedFields(mapping));
+
+    expect(plan[0].diff).toEqual(["testRank"]);
+    const [merged] = applyImport([entry], plan).tests;
+    expect(merged).toEqual(withDerivedFields({ ...entry, testRank: 100 }));
+  });
+
+  it("matches rows of a CSV without a date column regardless of the date", () => {
+    const entry = withDerivedFields({ id: "entry-2", subject: "Networks", category: "Topic Wise", provider: "Ace Academy", maxMarks: 50, obtainedMarks: 30, date: "2024-01-01", notes: "" });
+    const [headers, ...rows] = parseCsv("Subject,Category,Provider,Max Marks,Obtained Marks\nNetworks,Topic Wise,Ace Academy,50,30");
+    const mapping = suggestColumnMapping(headers);
+    const incoming = csvRowsToRecords(rows, mapping).map((d) => normalizeImportedEntry(d, DEFAULTS));
+    const plan = planImport([entry], incoming, mappedFields(mapping));
+
+    expect(plan[0]).toMatchObject({ status: "duplicate", matchedBy: "fingerprint" });
+  });
+});
+
+describe("JSON import", () => {
+  it("still replaces the whole entry on overwrite", () => {
+    const entry = fullEntry();
+    const incoming = normalizeImportedEntry({ ...entry, mistakes: [], notes: "Replaced" }, DEFAULTS);
+    const plan = planImport([entry], [incoming]);
+
+    expect(plan[0].diff).toEqual(["notes", "mistakes"]);
+    const [replaced] = applyImport([entry], plan).tests;
+    expect(replaced.mistakes).toEqual([]);
+    expect(replaced.notes).toBe("Replaced");
+  });
+});
@@ -0,0 +1,51 @@
+// Normalization shared by every import path (JSON, CSV, ...).
+
+import { uid, formatDateInput } from "../utils";
+import { withDerivedFields } from "../storage/schema";
+
+function toCount(v) {
+  if (v === "" || v == null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// CSV cells arrive as strings ("yes", "TRUE", "1"); JSON as booleans.
+function toFlag(v) {
+  if (typeof v === "string") return ["true", "yes", "y", "1"].includes(v.trim().toLowerCase());
+  return Boolean(v);
+}
+
+// Turns one loosely-typed imported row into a complete test entry.
+export function normalizeImportedEntry(d, defaults) {
+  const correct = toCount(d.correctCount);
+  const incorrect = toCount(d.incorrectCount);
+  const notAttempted = toCount(d.notAttemptedCount);
+  const hasCounts = correct !== null || incorrect !== null || notAttempted !== null;
+
+  return withDerivedFields({
+    id: d.id || uid(),
+    subject: String(d.subject || "Unknown").trim(),
+    topic: d.topic,
+    subtopic: d.subtopic,
+    category: d.category || defaults.category,
+    provider: d.provider || defaults.provider,
+    maxMarks: d.maxMarks,
+    obtainedMarks: d.obtainedMarks,
+    correctCount: hasCounts ? correct || 0 : null,
+    incorrectCount: hasCounts ? incorrect || 0 : null,
+    notAttemptedCount: hasCounts ? notAttempted || 0 : null,
+    testRank: d.testRank,
+    totalTestTakers: d.totalTestTakers,
+    date: d.date ? formatDateInput(d.date) : formatDateInput(new Date()),
+    notes: d.notes || "",
+    responses: Array.isArray(d.responses) ? d.responses : null,
+    negativeMarks: toCount(d.negativeMarks),
+    markingScheme: d.markingScheme && typeof d.markingScheme === "object" ? d.markingScheme : null,
+    timeTaken: d.timeTaken,
+    timeLimit: d.timeLimit,
+    sectionTimes: d.sectionTimes,
+    timeRanOut: toFlag(d.timeRanOut),
+    catalogSlotId: typeof d.catalogSlotId === "string" ? d.catalogSlotId : null,
+    mistakes: Array.isArray(d.mistakes) ? d.mistakes : [],
+  });
+}
@@ -0,0 +1,122 @@
+/*
+Structured mistake log.
+
+Each entry carries `mistakes`: [{ questionNumber, subject, topic, errorType,
+marksLost, note }]. `subject` defaults to the entry's own subject, so
+multi-subject tests can attribute each mistake. Error types are grouped into
+kinds so analytics can tell "don't know the concept" from "careless":
+  concept  - conceptual gaps and guesses
+  careless - calculation, misreading, sign errors
+  time     - questions lost to time pressure
+*/
+
+import { round2 } from "../utils";
+
+export const ERROR_TYPES = [
+  { id: "conceptual", label: "Conceptual", kind: "concept", color: "#DC2626" },
+  { id: "calculation", label: "Calculation", kind: "careless", color: "#F59E0B" },
+  { id: "misread", label: "Misread", kind: "careless", color: "#8B5CF6" },
+  { id: "time-pressure", label: "Time pressure", kind: "time", color: "#0EA5E9" },
+  { id: "guess", label: "Guess", kind: "concept", color: "#6B7280" },
+  { id: "sign-error", label: "Silly sign error", kind: "careless", color: "#EC4899" },
+];
+
+export const MISTAKE_KINDS = [
+  { id: "concept", label: "Concept gaps" },
+  { id: "careless", label: "Careless" },
+  { id: "time", label: "Time pressure" },
+];
+
+function errorType(id) {
+  return ERROR_TYPES.find((t) => t.id === id) || ERROR_TYPES[0];
+}
+
+export function emptyMistake(subject = "") {
+  return { questionNumber: "", subject, topic: "", errorType: ERROR_TYPES[0].id, marksLost: "", note: "" };
+}
+
+// Coerces one stored/imported mistake record; unknown error types count as conceptual.
+export function sanitizeMistake(m, fallbackSubject) {
+  const q = Number(m?.questionNumber);
+  const lost = Number(m?.marksLost);
+  return {
+    questionNumber: Number.isInteger(q) && q > 0 ? q : null,
+    subject: String(m?.subject || fallbackSubject || "").trim(),
+    topic: String(m?.topic || "").trim(),
+    errorType: errorType(m?.errorType).id,
+    marksLost: Number.isFinite(lost) && lost > 0 ? round2(lost) : 0,
+    note: String(m?.note || "").trim(),
+  };
+}
+
+export function marksLostTotal(mistakes) {
+  return round2((mistakes || []).reduce((a, m) => a + m.marksLost, 0));
+}
+
+/*
+Aggregates every mistake in `tests`:
+  { count, marksLost,
+    byType:    [{ id, label, color, count, marksLost }]        (costliest first)
+    bySubject: [{ subject, total, <typeId>: marks, ... }]     (costliest first)
+    byMonth:   [{ month, <typeId>: marks, ... }]               (oldest first) }
+*/
+export function mistakeAnalytics(tests) {
+  const byType = Object.fromEntries(ERROR_TYPES.map((t) => [t.id, { id: t.id, label: t.label, color: t.color, count: 0, marksLost: 0 }]));
+  const bySubject = {};
+  const byMonth = {};
+  let count = 0;
+
+  for (const t of tests) {
+    for (const m of t.mistakes || []) {
+      count += 1;
+      byType[m.errorType].count += 1;
+      byType[m.errorType].marksLost += m.marksLost;
+      const subject = m.subject || t.subject;
+      bySubject[subject] ||= { subject, total: 0 };
+      bySubject[subject][m.errorType] = (bySubject[subject][m.errorType] || 0) + m.marksLost;
+      bySubject[subject].total += m.marksLost;
+      const month = String(t.date).slice(0, 7);
+      byMonth[month] ||= { month };
+      byMonth[month][m.errorType] = (byMonth[month][m.errorType] || 0) + m.marksLost;
+    }
+  }
+
+  const roundRow = (row) => Object.fromEntries(Object.entries(row).map(([k, v]) => [k, typeof v === "number" ? round2(v) : v]));
+  return {
+    count,
+    marksLost: round2(Object.values(byType).reduce((a, t) => a + t.marksLost, 0)),
+    byType: Object.values(byType).map(roundRow).sort((a, b) => b.marksLost - a.marksLost),
+    bySubject: Object.values(bySubject).map(roundRow).sort((a, b) => b.total - a.total),
+    byMonth: Object.values(byMonth).map(roundRow).sort((a, b) => a.month.localeCompare(b.month)),
+  };
+}
+
+/*
+Marks lost per mistake kind for each subject: Map subject -> { concept,
+careless, time, total, dominant } where `dominant` is the costliest kind id.
+Used to tell weak subjects that need study from ones that need care.
+*/
+export function subjectMistakeKinds(tests) {
+  const out = new Map();
+  for (const t of tests) {
+    for (const m of t.mistakes || []) {
+      const subject = m.subject || t.subject;
+      if (!out.has(subject)) out.set(subject, { concept: 0, careless: 0, time: 0, total: 0 });
+      const row = out.get(subject);
+      row[errorType(m.errorType).kind] += m.marksLost;
+      row.total += m.marksLost;
+    }
+  }
+  for (const row of out.values()) {
+    row.dominant = row.total > 0 ? MISTAKE_KINDS.reduce((best, k) => (row[k.id] > row[best] ? k.id : best), "concept") : null;
+  }
+  return out;
+}
+
+// Plain-text summary for the study plan prompt; empty when no mistakes are logged.
+export function describeMistakes(stats) {
+  if (!stats.count) return "";
+  const types = stats.byType.filter((t) => t.count).map((t) => `- ${t.label}: ${t.count} mistakes, ${t.marksLost} marks lost`);
+  const subjects = stats.bySubject.slice(0, 5).map((s) => `- ${s.subject}: ${s.total} marks lost`);
+  return [`${stats.count} logged mistakes cost ${stats.marksLost} marks.`, "By error type:", ...types, "Costliest subjects:", ...subjects].join("\n");
+}
@@ -0,0 +1,109 @@
+/*
+Predicted GATE marks, normalized score and All-India-rank band from recent
+full-length / mock results.
+
+A rank table describes one paper year:
+  { id, name, profileId, source, qualifyingMarks, topMarks, points: [[marks, rank], ...] }
+`qualifyingMarks` is the general-category cut-off (Mq), `topMarks` the mean of
+the top 0.1% of candidates (Mt), `points` the marks-vs-rank curve and `source`
+where the figures come from. No tables ship with the tracker: cut-offs and
+rank curves differ by branch and year, so users enter them from the official
+results. GATE papers are out of 100, so a mock's percentage is read as GATE
+marks.
+
+The estimate is the mean of the latest mocks; the band is one standard
+deviation either side, so it widens when recent results are inconsistent.
+*/
+
+import { round2, uid } from "../utils";
+
+// GATE score = Sq + (St - Sq) * (M - Mq) / (Mt - Mq), with the official constants.
+const SCORE_AT_QUALIFYING = 350;
+const SCORE_AT_TOP = 900;
+
+export const DEFAULT_RECENT_TESTS = 5;
+
+export function createRankTable(name, profileId, source, qualifyingMarks, topMarks, points) {
+  return { id: uid(), name, profileId, source, qualifyingMarks, topMarks, points: sortPoints(points) };
+}
+
+// Highest marks first; one point per marks value.
+function sortPoints(points) {
+  const byMarks = new Map(points.map(([m, r]) => [m, r]));
+  return [...byMarks].sort((a, b) => b[0] - a[0]);
+}
+
+/*
+Parses "marks, rank" lines (one point per line) into a table's points.
+Returns null when fewer than two valid points are found.
+*/
+export function parseRankPoints(text) {
+  const points = text
+    .split(/\r?\n/)
+    .map((line) => line.split(/[,\t;]/).map((c) => Number(c.trim())))
+    .filter(([m, r]) => Number.isFinite(m) && m >= 0 && m <= 100 && Number.isInteger(r) && r >= 1);
+  return points.length >= 2 ? sortPoints(points) : null;
+}
+
+export function gateScoreFor(marks, table) {
+  const { qualifyingMarks: mq, topMarks: mt } = table;
+  if (!(mt > mq)) return null;
+  const score = SCORE_AT_QUALIFYING + ((SCORE_AT_TOP - SCORE_AT_QUALIFYING) * (marks - mq)) / (mt - mq);
+  return Math.max(0, Math.min(1000, Math.round(score)));
+}
+
+/*
+Rank for `marks`, interpolated log-linearly between the table's points (ranks
+grow roughly exponentially as marks drop). Returns { rank, beyond } where
+`beyond` means the marks fall below the table and the rank is a lower bound.
+*/
+export function rankForMarks(marks, table) {
+  const points = table.points;
+  if (marks >= points[0][0]) return { rank: points[0][1], beyond: false };
+  for (let i = 1; i < points.length; i++) {
+    const [m1, r1] = points[i - 1];
+    const [m2, r2] = points[i];
+    if (marks >= m2) {
+      const t = (m1 - marks) / (m1 - m2);
+      return { rank: Math.round(Math.exp(Math.log(r1) + t * (Math.log(r2) - Math.log(r1)))), beyond: false };
+    }
+  }
+  return { rank: points[points.length - 1][1], beyond: true };
+}
+
+function standardDeviation(values, mean) {
+  if (values.length < 2) return 0;
+  return Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (values.length - 1));
+}
+
+/*
+Prediction from the latest `recent` full tests (already filtered to the
+profile's full-test categories). Returns null without tests or a table, otherwise
+  { count, spread, marks: { low, mid, high }, score: {...}, rank: { low, mid, high },
+    qualified, basedOn: [entries] }
+where rank.low is the worst (largest) rank of the band. `spread` is 0 with a
+single test, which gives a point estimate without a band.
+*/
+export function predictGate(fullTests, table, recent = DEFAULT_RECENT_TESTS) {
+  const basedOn = [...fullTests].sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, recent);
+  if (!basedOn.length || !table) return null;
+
+  const values = basedOn.map((t) => Math.max(0, Math.min(100, t.percentage)));
+  const mean = values.reduce((a, v) => a + v, 0) / values.length;
+  const spread = standardDeviation(values, mean);
+  const marks = {
+    low: round2(Math.max(0, mean - spread)),
+    mid: round2(mean),
+    high: round2(Math.min(100, mean + spread)),
+  };
+
+  return {
+    count: basedOn.length,
+    spread: round2(spread),
+    marks,
+    score: { low: gateScoreFor(marks.low, table), mid: gateScoreFor(marks.mid, table), high: gateScoreFor(marks.high, table) },
+    rank: { low: rankForMarks(marks.low, table), mid: rankForMarks(marks.mid, table), high: rankForMarks(marks.high, table) },
+    qualified: marks.mid >= table.qualifyingMarks,
+    basedOn,
+  };
+}
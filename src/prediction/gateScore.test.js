@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import { createRankTable, parseRankPoints, gateScoreFor, rankForMarks, predictGate } from "./gateScore";
+
+const table = createRankTable("Test paper", "gate-ece", "example", 30, 70, [[30, 10000], [70, 10], [50, 1000]]);
+
+describe("rank tables", () => {
+  it("parses marks, rank lines highest marks first and needs two points", () => {
+    expect(parseRankPoints("50, 1000\n70\t10\nnot a line\n")).toEqual([[70, 10], [50, 1000]]);
+    expect(parseRankPoints("50, 1000")).toBeNull();
+  });
+
+  it("maps the qualifying and top marks to the official 350 and 900 scores", () => {
+    expect(gateScoreFor(30, table)).toBe(350);
+    expect(gateScoreFor(70, table)).toBe(900);
+    expect(gateScoreFor(50, table)).toBe(625);
+  });
+
+  it("interpolates ranks log-linearly and flags marks below the table", () => {
+    expect(rankForMarks(60, table)).toEqual({ rank: 100, beyond: false });
+    expect(rankForMarks(80, table)).toEqual({ rank: 10, beyond: false });
+    expect(rankForMarks(20, table)).toEqual({ rank: 10000, beyond: true });
+  });
+});
+
+describe("predictGate", () => {
+  const full = (date, percentage) => ({ date, percentage });
+
+  it("uses the latest tests and a one standard deviation band", () => {
+    const prediction = predictGate([full("2024-01-01", 10), full("2024-02-01", 40), full("2024-03-01", 60)], table, 2);
+    expect(prediction.count).toBe(2);
+    expect(prediction.marks.mid).toBe(50);
+    expect(prediction.spread).toBeCloseTo(14.14, 2);
+    expect(prediction.qualified).toBe(true);
+  });
+
+  it("reports below-qualifying estimates and needs tests and a table", () => {
+    expect(predictGate([full("2024-01-01", 25)], table).qualified).toBe(false);
+    expect(predictGate([], table)).toBeNull();
+    expect(predictGate([full("2024-01-01", 25)], null)).toBeNull();
+  });
+});
@@ -0,0 +1,179 @@
+/*
+Exam profiles.
+
+A profile defines what the tracker offers for one exam/branch:
+  { id, name, exam, subjects, syllabus, categories, subjectCategories,
+    fullTestCategories, markingSchemeId, defaultMaxMarks }
+
+`subjects` excludes the tracker's own placeholders (multi-subject, unknown).
+`subjectCategories` are the categories tagged with a single subject; the rest
+cover several subjects. `syllabus` is the subject -> topic -> subtopic
+taxonomy (empty when none is shipped for the profile). `markingSchemeId`
+names the built-in scheme used for providers without an explicit assignment,
+and `defaultMaxMarks` pre-fills Max Marks per category.
+
+One profile is active per dataset; the choice is stored next to it.
+*/
+
+import { GATE_ECE_SYLLABUS } from "../syllabus/gateEce";
+
+const GATE_CATEGORIES = {
+  categories: ["Topic Wise", "Subjectwise", "Multisubject Wise", "Full Length", "Mock"],
+  subjectCategories: ["Topic Wise", "Subjectwise"],
+  fullTestCategories: ["Multisubject Wise", "Full Length", "Mock"],
+  markingSchemeId: "gate",
+  defaultMaxMarks: { "Full Length": 100, "Mock": 100 },
+};
+
+export const EXAM_PROFILES = [
+  {
+    id: "gate-ece",
+    name: "GATE ECE",
+    exam: "GATE",
+    subjects: [
+      "Engineering Mathematics",
+      "General Aptitude",
+      "Network Theory",
+      "Electronic Devices (EDC)",
+      "Analog Circuits",
+      "Digital Circuits",
+      "Control Systems",
+      "Electromagnetics (EMT)",
+      "Communication Systems",
+      "Signals and Systems",
+      "Computer Organization & Architecture",
+    ],
+    syllabus: GATE_ECE_SYLLABUS,
+    ...GATE_CATEGORIES,
+  },
+  {
+    id: "gate-ee",
+    name: "GATE EE",
+    exam: "GATE",
+    subjects: [
+      "Engineering Mathematics",
+      "General Aptitude",
+      "Electric Circuits",
+      "Electromagnetic Fields",
+      "Signals and Systems",
+      "Electrical Machines",
+      "Power Systems",
+      "Control Systems",
+      "Electrical and Electronic Measurements",
+      "Analog and Digital Electronics",
+      "Power Electronics",
+    ],
+    syllabus: {},
+    ...GATE_CATEGORIES,
+  },
+  {
+    id: "gate-cse",
+    name: "GATE CSE",
+    exam: "GATE",
+    subjects: [
+      "Engineering Mathematics",
+      "Discrete Mathematics",
+      "General Aptitude",
+      "Digital Logic",
+      "Computer Organization & Architecture",
+      "Programming and Data Structures",
+      "Algorithms",
+      "Theory of Computation",
+      "Compiler Design",
+      "Operating System",
+      "Databases",
+      "Computer Networks",
+    ],
+    syllabus: {},
+    ...GATE_CATEGORIES,
+  },
+  {
+    id: "gate-me",
+    name: "GATE ME",
+    exam: "GATE",
+    subjects: [
+      "Engineering Mathematics",
+      "General Aptitude",
+      "Engineering Mechanics",
+      "Mechanics of Materials",
+      "Theory of Machines",
+      "Vibrations",
+      "Machine Design",
+      "Fluid Mechanics",
+      "Heat Transfer",
+      "Thermodynamics",
+      "Engineering Materials",
+      "Casting, Forming and Joining",
+      "Machining and Machine Tools",
+      "Metrology and Inspection",
+      "Computer Integrated Manufacturing",
+      "Production Planning and Control",
+      "Inventory Control",
+      "Operations Research",
+    ],
+    syllabus: {},
+    ...GATE_CATEGORIES,
+  },
+  {
+    id: "gate-in",
+    name: "GATE IN",
+    exam: "GATE",
+    subjects: [
+      "Engineering Mathematics",
+      "General Aptitude",
+      "Electrical Circuits and Machines",
+      "Signals and Systems",
+      "Control Systems",
+      "Analog Electronics",
+      "Digital Electronics",
+      "Measurements",
+      "Sensors and Industrial Instrumentation",
+      "Communication and Optical Instrumentation",
+    ],
+    syllabus: {},
+    ...GATE_CATEGORIES,
+  },
+  {
+    id: "ese-prelims",
+    name: "ESE Prelims (E&T)",
+    exam: "ESE",
+    subjects: [
+      // Paper I: General Studies and Engineering Aptitude
+      "Current Issues",
+      "Engineering Aptitude",
+      "Engineering Mathematics and Numerical Analysis",
+      "Design, Drawing and Safety",
+      "Standards and Quality Practices",
+      "Energy and Environment",
+      "Project Management",
+      "Material Science",
+      "Information and Communication Technologies",
+      "Ethics and Values in Engineering",
+      // Paper II: Electronics & Telecommunication Engineering
+      "Basic Electronics Engineering",
+      "Basic Electrical Engineering",
+      "Electronic Measurements and Instrumentation",
+      "Network Theory",
+      "Analog and Digital Circuits",
+      "Analog and Digital Communication Systems",
+      "Control Systems",
+      "Computer Organization & Architecture",
+      "Electromagnetics",
+      "Advanced Electronics Topics",
+      "Advanced Communication Topics",
+    ],
+    syllabus: {},
+    categories: ["Topic Wise", "Subjectwise", "Multisubject Wise", "Paper I Full Length", "Paper II Full Length"],
+    subjectCategories: ["Topic Wise", "Subjectwise"],
+    fullTestCategories: ["Multisubject Wise", "Paper I Full Length", "Paper II Full Length"],
+    markingSchemeId: "ese",
+    defaultMaxMarks: { "Paper I Full Length": 200, "Paper II Full Length": 300 },
+  },
+];
+
+export const DEFAULT_PROFILE_ID = "gate-ece";
+
+// Unknown ids (e.g. a profile removed in a later version) fall back to the default.
+export function getExamProfile(id) {
+  return EXAM_PROFILES.find((p) => p.id === id) || EXAM_PROFILES.find((p) => p.id === DEFAULT_PROFILE_ID);
+}
@@ -0,0 +1,184 @@
+/*
+User-managed providers, categories and subjects.
+
+The built-in lists (DEFAULT_PROVIDERS and the active exam profile's
+categories/subjects) are never edited in place. The user's changes are kept
+per dataset as
+  { providers:  { added, hidden },
+    categories: { added, hidden, subjectSpecific, fullTest, sources },
+    subjects:   { added, hidden, sources } }
+Hidden names are no longer offered for new entries but stay valid on old ones.
+Renaming or merging a built-in name hides it and (for a rename) adds the new
+name; the caller rewrites existing entries with renameInEntries(). `sources`
+maps a name to the names renamed or merged into it, so the profile's syllabus
+topics (subjects) and default max marks (categories) follow the rename.
+*/
+
+export const DEFAULT_PROVIDERS = ["Ace Academy", "PrepFusion", "Gate Academy", "MadeEasy", "Physics Wallah", "Unacademy", "Other"];
+
+export const VOCABULARY_KINDS = [
+  { id: "providers", field: "provider", label: "Providers", singular: "provider" },
+  { id: "categories", field: "category", label: "Categories", singular: "category" },
+  { id: "subjects", field: "subject", label: "Subjects", singular: "subject" },
+];
+
+export const EMPTY_VOCABULARY = {
+  providers: { added: [], hidden: [] },
+  categories: { added: [], hidden: [], subjectSpecific: [], fullTest: [], sources: {} },
+  subjects: { added: [], hidden: [], sources: {} },
+};
+
+function unique(list) {
+  return [...new Set(list)];
+}
+
+function without(list, name) {
+  return list.filter((n) => n !== name);
+}
+
+function kindSettings(vocabulary, kind) {
+  return { ...EMPTY_VOCABULARY[kind], ...vocabulary?.[kind] };
+}
+
+// Every known name for `kind` with its state, built-ins first: [{ name, builtIn, hidden }].
+export function vocabularyEntries(defaults, vocabulary, kind) {
+  const { added, hidden } = kindSettings(vocabulary, kind);
+  return unique([...defaults, ...added]).map((name) => ({
+    name,
+    builtIn: defaults.includes(name),
+    hidden: hidden.includes(name),
+  }));
+}
+
+function visible(defaults, vocabulary, kind) {
+  return vocabularyEntries(defaults, vocabulary, kind).filter((e) => !e.hidden).map((e) => e.name);
+}
+
+// `table` (keyed by name) extended to the names that took over other names, with `combine(own, carried)`.
+function withSources(table, sources, combine) {
+  const out = { ...table };
+  for (const [name, from] of Object.entries(sources)) {
+    for (const source of from) {
+      if (table[source] !== undefined) out[name] = combine(out[name], table[source]);
+    }
+  }
+  return out;
+}
+
+function mergeTopics(own = {}, carried) {
+  const out = { ...own };
+  for (const [topic, subtopics] of Object.entries(carried)) out[topic] = unique([...(out[topic] || []), ...subtopics]);
+  return out;
+}
+
+/*
+The exam profile with the user's vocabulary applied: subjects and categories
+become the visible lists, category kinds include custom categories, renamed
+and merged names keep their syllabus topics and default max marks, and
+`providers` is added.
+*/
+export function withVocabulary(profile, vocabulary) {
+  const categories = kindSettings(vocabulary, "categories");
+  const subjects = kindSettings(vocabulary, "subjects");
+  return {
+    ...profile,
+    providers: visible(DEFAULT_PROVIDERS, vocabulary, "providers"),
+    categories: visible(profile.categories, vocabulary, "categories"),
+    subjects: visible(profile.subjects, vocabulary, "subjects"),
+    subjectCategories: unique([...profile.subjectCategories, ...categories.subjectSpecific]),
+    fullTestCategories: unique([...profile.fullTestCategories, ...categories.fullTest]),
+    syllabus: withSources(profile.syllabus, subjects.sources, mergeTopics),
+    defaultMaxMarks: withSources(profile.defaultMaxMarks, categories.sources, (own, carried) => own ?? carried),
+  };
+}
+
+function updateKind(vocabulary, kind, update) {
+  return { ...EMPTY_VOCABULARY, ...vocabulary, [kind]: update(kindSettings(vocabulary, kind)) };
+}
+
+// `flags` ({ subjectSpecific, fullTest }) only applies to categories.
+export function addName(vocabulary, kind, name, flags = {}) {
+  return updateKind(vocabulary, kind, (s) => ({
+    ...s,
+    added: unique([...s.added, name]),
+    hidden: without(s.hidden, name),
+    ...(kind === "categories" && {
+      subjectSpecific: flags.subjectSpecific ? unique([...s.subjectSpecific, name]) : s.subjectSpecific,
+      fullTest: flags.fullTest ? unique([...s.fullTest, name]) : s.fullTest,
+    }),
+  }));
+}
+
+export function setHidden(vocabulary, kind, name, hidden) {
+  return updateKind(vocabulary, kind, (s) => ({
+    ...s,
+    hidden: hidden ? unique([...s.hidden, name]) : without(s.hidden, name),
+  }));
+}
+
+// Removes `name` from the vocabulary: custom names are dropped, built-ins hidden.
+function retire(s, name, builtIn) {
+  return builtIn
+    ? { ...s, hidden: unique([...s.hidden, name]) }
+    : { ...s, added: without(s.added, name), hidden: without(s.hidden, name) };
+}
+
+// `to` takes over `from` and whatever had been renamed or merged into it.
+function carrySources(s, from, to) {
+  const { [from]: carried = [], ...sources } = s.sources;
+  return { ...sources, [to]: unique([...(sources[to] || []), from, ...carried]) };
+}
+
+/*
+Renames `from` to `to`. A category keeps its kind (single-subject / full test)
+and default max marks under the new name, a subject its syllabus topics;
+`profile` supplies the built-in kinds.
+*/
+export function renameName(vocabulary, kind, from, to, defaults, profile) {
+  return updateKind(vocabulary, kind, (s) => {
+    const next = retire(s, from, defaults.includes(from));
+    next.added = unique([...next.added, to]);
+    next.hidden = without(next.hidden, to);
+    if (kind !== "providers") next.sources = carrySources(s, from, to);
+    if (kind === "categories") {
+      const carry = (list, builtIns) => (list.includes(from) || builtIns.includes(from) ? unique([...without(list, from), to]) : list);
+      next.subjectSpecific = carry(s.subjectSpecific, profile.subjectCategories);
+      next.fullTest = carry(s.fullTest, profile.fullTestCategories);
+    }
+    return next;
+  });
+}
+
+// Merges `from` into the existing name `into`, which gains its syllabus topics
+// (and its default max marks when it has none of its own).
+export function mergeName(vocabulary, kind, from, into, defaults) {
+  return updateKind(vocabulary, kind, (s) => {
+    const next = retire(s, from, defaults.includes(from));
+    next.hidden = without(next.hidden, into);
+    if (kind !== "providers") next.sources = carrySources(s, from, into);
+    if (kind === "categories") {
+      next.subjectSpecific = without(s.subjectSpecific, from);
+      next.fullTest = without(s.fullTest, from);
+    }
+    return next;
+  });
+}
+
+/*
+Rewrites `field` from `from` to `to` on every entry (and, for subjects, on
+response-sheet questions and mistake records). Untouched entries keep their
+identity so only the changed ones are saved.
+*/
+export function renameInEntries(tests, field, from, to) {
+  return tests.map((t) => {
+    const questions = field === "subject" && Array.isArray(t.responses) && t.responses.some((r) => r.subject === from);
+    const mistakes = field === "subject" && Array.isArray(t.mistakes) && t.mistakes.some((m) => m.subject === from);
+    if (t[field] !== from && !questions && !mistakes) return t;
+    return {
+      ...t,
+      ...(t[field] === from && { [field]: to }),
+      ...(questions && { responses: t.responses.map((r) => (r.subject === from ? { ...r, subject: to } : r)) }),
+      ...(mistakes && { mistakes: t.mistakes.map((m) => (m.subject === from ? { ...m, subject: to } : m)) }),
+    };
+  });
+}
@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { EMPTY_VOCABULARY, withVocabulary, renameName, mergeName, renameInEntries } from "./vocabulary";
+
+const profile = {
+  subjects: ["Networks", "Signals"],
+  categories: ["Topic Wise", "Full Length"],
+  subjectCategories: ["Topic Wise"],
+  fullTestCategories: ["Full Length"],
+  syllabus: { Networks: { "Two-port": ["Z parameters"] }, Signals: { Sampling: [] } },
+  defaultMaxMarks: { "Full Length": 100 },
+};
+
+describe("renaming and merging names", () => {
+  it("keeps a renamed subject's topics and a renamed category's kind and max marks", () => {
+    let vocabulary = renameName(EMPTY_VOCABULARY, "subjects", "Networks", "Network Theory", profile.subjects, profile);
+    vocabulary = renameName(vocabulary, "subjects", "Network Theory", "Circuits", profile.subjects, profile);
+    vocabulary = renameName(vocabulary, "categories", "Full Length", "Full Mock", profile.categories, profile);
+    const applied = withVocabulary(profile, vocabulary);
+    expect(applied.subjects).toEqual(["Signals", "Circuits"]);
+    expect(applied.syllabus.Circuits).toEqual(profile.syllabus.Networks);
+    expect(applied.fullTestCategories).toContain("Full Mock");
+    expect(applied.defaultMaxMarks["Full Mock"]).toBe(100);
+  });
+
+  it("merges the topics of a merged subject into the target's", () => {
+    const vocabulary = mergeName(EMPTY_VOCABULARY, "subjects", "Signals", "Networks", profile.subjects);
+    const applied = withVocabulary(profile, vocabulary);
+    expect(applied.subjects).toEqual(["Networks"]);
+    expect(applied.syllabus.Networks).toEqual({ "Two-port": ["Z parameters"], Sampling: [] });
+  });
+
+  it("rewrites entries and sheet questions, keeping untouched entries", () => {
+    const untouched = { id: "b", subject: "Signals", responses: null };
+    const tests = [{ id: "a", subject: "Networks", responses: [{ subject: "Networks" }] }, untouched];
+    const [renamed, same] = renameInEntries(tests, "subject", "Networks", "Circuits");
+    expect(renamed).toMatchObject({ subject: "Circuits", responses: [{ subject: "Circuits" }] });
+    expect(same).toBe(untouched);
+  });
+});
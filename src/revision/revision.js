@@ -0,0 +1,108 @@
+/*
+Spaced-repetition revision cards built from test notes.
+
+Every entry with notes is a card; the card's text always comes from the live
+entry, so editing a note (or expanding it) updates the card. Only the review
+schedule is stored, per dataset, keyed by entry id:
+  { [entryId]: { due, interval, repetitions, ease, lapses, introduced, lastReviewed } }
+Entries without a schedule are new cards; at most NEW_CARDS_PER_DAY of them
+join the queue each day, oldest test first. Schedules of deleted entries are
+ignored (and come back with the entry on undo).
+
+Scheduling follows SM-2: recall quality 0-5, failed cards (< 3) restart at
+one day, and the ease factor adapts to how hard each card has been.
+*/
+
+import { formatDateInput } from "../utils";
+import { taxonomyLabel } from "../syllabus/taxonomy";
+
+export const RECALL_GRADES = [
+  { quality: 1, label: "Again", hint: "Forgot it" },
+  { quality: 3, label: "Hard", hint: "Recalled with effort" },
+  { quality: 4, label: "Good", hint: "Recalled" },
+  { quality: 5, label: "Easy", hint: "Instant recall" },
+];
+
+export const NEW_CARDS_PER_DAY = 10;
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatDateInput(d);
+}
+
+/*
+Splits a note into { prompt, answer }. An expanded note keeps the original
+short note as its first paragraph, which becomes the prompt; a plain note is
+the answer to "what went wrong in this test?".
+*/
+export function cardText(notes) {
+  const [first, ...rest] = notes.trim().split(/\n\s*\n/);
+  return rest.length ? { prompt: first.trim(), answer: rest.join("\n\n").trim() } : { prompt: null, answer: first.trim() };
+}
+
+// SM-2 update of `schedule` (undefined for a new card) after a review with `quality` on `today`.
+export function reviewSchedule(schedule, quality, today) {
+  const prev = schedule || { interval: 0, repetitions: 0, ease: INITIAL_EASE, lapses: 0, introduced: today };
+  const ease = Math.max(MIN_EASE, prev.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  let repetitions;
+  let interval;
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions = prev.repetitions + 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(prev.interval * ease);
+  }
+  return {
+    ...prev,
+    repetitions,
+    interval,
+    ease: Math.round(ease * 100) / 100,
+    lapses: prev.lapses + (quality < 3 ? 1 : 0),
+    due: addDays(today, interval),
+    lastReviewed: today,
+  };
+}
+
+function toCard(t, schedule) {
+  return {
+    id: t.id,
+    entry: t,
+    label: taxonomyLabel(t, "subtopic"),
+    ...cardText(t.notes),
+    schedule: schedule || null,
+  };
+}
+
+/*
+Today's queue: due cards (most overdue first), then new cards up to the
+remaining daily allowance. Returns
+  { queue, dueCount, newCount, upcoming: cards due in the next 7 days, total }
+*/
+export function revisionQueue(tests, schedules, today) {
+  const withNotes = tests.filter((t) => (t.notes || "").trim());
+  const due = [];
+  const fresh = [];
+  let upcoming = 0;
+  const weekAhead = addDays(today, 7);
+  for (const t of withNotes) {
+    const schedule = schedules[t.id];
+    if (!schedule) fresh.push(t);
+    else if (schedule.due <= today) due.push(toCard(t, schedule));
+    else if (schedule.due <= weekAhead) upcoming += 1;
+  }
+  due.sort((a, b) => a.schedule.due.localeCompare(b.schedule.due));
+
+  const introducedToday = Object.values(schedules).filter((s) => s.introduced === today).length;
+  const allowance = Math.max(0, NEW_CARDS_PER_DAY - introducedToday);
+  const newCards = fresh
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .slice(0, allowance)
+    .map((t) => toCard(t, null));
+
+  return { queue: [...due, ...newCards], dueCount: due.length, newCount: newCards.length, upcoming, total: withNotes.length };
+}
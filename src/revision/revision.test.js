@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import { cardText, reviewSchedule, revisionQueue, NEW_CARDS_PER_DAY } from "./revision";
+
+const entry = (id, date, notes) => ({ id, date, subject: "Maths", topic: "", subtopic: "", notes });
+
+describe("cardText", () => {
+  it("uses an expanded note's first paragraph as the prompt", () => {
+    expect(cardText("Sign error\n\nKeep track of the sign when integrating by parts.")).toEqual({
+      prompt: "Sign error",
+      answer: "Keep track of the sign when integrating by parts.",
+    });
+    expect(cardText(" Ran out of time ")).toEqual({ prompt: null, answer: "Ran out of time" });
+  });
+});
+
+describe("reviewSchedule", () => {
+  it("steps through 1 and 6 days, then multiplies by the ease", () => {
+    const first = reviewSchedule(undefined, 4, "2024-01-01");
+    expect(first).toMatchObject({ repetitions: 1, interval: 1, ease: 2.5, due: "2024-01-02", introduced: "2024-01-01", lapses: 0 });
+    const second = reviewSchedule(first, 4, "2024-01-02");
+    expect(second).toMatchObject({ repetitions: 2, interval: 6, due: "2024-01-08" });
+    const third = reviewSchedule(second, 5, "2024-01-08");
+    expect(third).toMatchObject({ repetitions: 3, ease: 2.6, interval: 16, due: "2024-01-24" });
+  });
+
+  it("restarts a failed card at one day and counts the lapse", () => {
+    const learnt = { interval: 16, repetitions: 3, ease: 2.5, lapses: 0, introduced: "2024-01-01", due: "2024-01-24" };
+    expect(reviewSchedule(learnt, 1, "2024-01-24")).toMatchObject({ repetitions: 0, interval: 1, ease: 1.96, lapses: 1, due: "2024-01-25" });
+  });
+
+  it("never lets the ease fall below 1.3", () => {
+    let schedule;
+    for (let day = 1; day <= 5; day += 1) schedule = reviewSchedule(schedule, 1, `2024-01-0${day}`);
+    expect(schedule.ease).toBe(1.3);
+    expect(schedule.lapses).toBe(5);
+  });
+});
+
+describe("revisionQueue", () => {
+  it("puts due cards first, most overdue first, then the oldest new cards", () => {
+    const tests = [
+      entry("a", "2024-01-05", "note a"),
+      entry("b", "2024-01-01", "note b"),
+      entry("c", "2024-01-03", "note c"),
+      entry("d", "2024-01-02", "note d"),
+      entry("e", "2024-01-04", "  "),
+    ];
+    const schedules = {
+      a: { due: "2024-02-01", introduced: "2024-01-10" },
+      b: { due: "2024-02-05", introduced: "2024-01-10" },
+      c: { due: "2024-02-08", introduced: "2024-01-10" },
+    };
+    const { queue, dueCount, newCount, upcoming, total } = revisionQueue(tests, schedules, "2024-02-05");
+    expect(queue.map((c) => c.id)).toEqual(["a", "b", "d"]);
+    expect({ dueCount, newCount, upcoming, total }).toEqual({ dueCount: 2, newCount: 1, upcoming: 1, total: 4 });
+  });
+
+  it("introduces at most the daily allowance of new cards", () => {
+    const tests = Array.from({ length: NEW_CARDS_PER_DAY + 3 }, (_, i) => entry(`t${i}`, `2024-01-${String(i + 1).padStart(2, "0")}`, "note"));
+    const schedules = { t0: { due: "2024-03-01", introduced: "2024-02-01" }, t1: { due: "2024-03-01", introduced: "2024-02-01" } };
+    const { queue } = revisionQueue(tests, schedules, "2024-02-01");
+    expect(queue).toHaveLength(NEW_CARDS_PER_DAY - 2);
+    expect(queue[0].id).toBe("t2");
+  });
+});
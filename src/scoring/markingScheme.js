@@ -0,0 +1,133 @@
+/*
+Marking-scheme engine.
+
+A scheme defines, per question type, the fraction of a question's marks lost
+on a wrong answer:
+  { id, name, rules: { MCQ: { negativeFraction }, MSQ: {...}, NAT: {...} } }
+
+GATE: 1-mark MCQ -1/3, 2-mark MCQ -2/3, no negatives for MSQ and NAT.
+ESE prelims: every wrong answer loses 1/3 of the question's marks.
+Providers can be assigned custom schemes; the rest use the exam profile's
+scheme. Entries keep a snapshot of the scheme they were scored with
+(`entry.markingScheme`) so later edits to a scheme never silently change old
+results; entries without one are scored with their provider's current scheme,
+or the exam profile's when the provider has none.
+*/
+
+import { round2 } from "../utils";
+
+export const GATE_SCHEME = {
+  id: "gate",
+  name: "GATE (MCQ −1/3 per mark)",
+  rules: {
+    MCQ: { negativeFraction: 1 / 3 },
+    MSQ: { negativeFraction: 0 },
+    NAT: { negativeFraction: 0 },
+  },
+};
+
+export const ESE_SCHEME = {
+  id: "ese",
+  name: "ESE (−1/3 per wrong answer)",
+  rules: {
+    MCQ: { negativeFraction: 1 / 3 },
+    MSQ: { negativeFraction: 1 / 3 },
+    NAT: { negativeFraction: 1 / 3 },
+  },
+};
+
+export const BUILT_IN_SCHEMES = [GATE_SCHEME, ESE_SCHEME];
+
+export function builtInScheme(id) {
+  return BUILT_IN_SCHEMES.find((s) => s.id === id) || GATE_SCHEME;
+}
+
+export function createScheme(name, fractions = {}) {
+  return {
+    id: `custom-${Date.now().toString(36)}`,
+    name,
+    rules: {
+      MCQ: { negativeFraction: fractions.MCQ ?? 1 / 3 },
+      MSQ: { negativeFraction: fractions.MSQ ?? 0 },
+      NAT: { negativeFraction: fractions.NAT ?? 0 },
+    },
+  };
+}
+
+// Scheme assigned to a provider in the user's settings ({ schemes, providerSchemes }),
+// else `fallback` (the active exam profile's scheme).
+export function schemeForProvider(provider, settings, fallback = GATE_SCHEME) {
+  const id = settings?.providerSchemes?.[provider];
+  return [...BUILT_IN_SCHEMES, ...(settings?.schemes || [])].find((s) => s.id === id) || fallback;
+}
+
+// Scheme an entry is scored with: its saved snapshot, else its provider's scheme in
+// `settings`, else `fallback`. Analytics take this as `schemeOf` so they all agree.
+export function entryScheme(entry, settings, fallback = GATE_SCHEME) {
+  return entry.markingScheme || schemeForProvider(entry.provider, settings, fallback);
+}
+
+function negativeFraction(scheme, type) {
+  return scheme.rules?.[type]?.negativeFraction ?? 0;
+}
+
+// Marks awarded for one response-sheet record.
+export function scoreResponse(r, scheme = GATE_SCHEME) {
+  if (r.status === "correct") return r.marks;
+  if (r.status === "incorrect") return -r.marks * negativeFraction(scheme, r.type);
+  return 0;
+}
+
+/*
+Expected marks for an entry.
+
+With a response sheet the result is exact. From R/W/NA counts alone we only
+know the average question value (maxMarks / questions), so the estimate
+assumes every wrong answer was an MCQ (the GATE worst case) and reports the
+range [expected, expected + negativeMarks] the true score must fall into.
+Returns null when there is not enough data.
+*/
+export function expectedMarks(entry, scheme = GATE_SCHEME) {
+  if (Array.isArray(entry.responses) && entry.responses.length) {
+    let obtained = 0;
+    let negative = 0;
+    for (const r of entry.responses) {
+      const score = scoreResponse(r, scheme);
+      obtained += score;
+      if (score < 0) negative -= score;
+    }
+    return { expected: round2(obtained), negativeMarks: round2(negative), min: round2(obtained), max: round2(obtained), exact: true };
+  }
+
+  const correct = entry.correctCount;
+  const incorrect = entry.incorrectCount || 0;
+  const questions = (correct || 0) + incorrect + (entry.notAttemptedCount || 0);
+  if (correct == null || !questions || !entry.maxMarks) return null;
+
+  const perQuestion = entry.maxMarks / questions;
+  const gross = correct * perQuestion;
+  const negative = incorrect * perQuestion * negativeFraction(scheme, "MCQ");
+  return { expected: round2(gross - negative), negativeMarks: round2(negative), min: round2(gross - negative), max: round2(gross), exact: false };
+}
+
+/*
+Compares typed marks against the scheme. Count-based estimates get a tolerance
+of 10% of max marks (at least 1 mark), since a test's 1- and 2-mark questions
+are not distinguishable from counts.
+Returns { status: "ok" | "mismatch" | "unknown", ...expected }.
+*/
+export function checkEntryMarks(entry, scheme = GATE_SCHEME) {
+  const result = expectedMarks(entry, scheme);
+  if (!result) return { status: "unknown" };
+
+  const tolerance = result.exact ? 0.01 : Math.max(1, entry.maxMarks * 0.1);
+  const obtained = Number(entry.obtainedMarks);
+  const mismatch = obtained < result.min - tolerance || obtained > result.max + tolerance;
+  return { status: mismatch ? "mismatch" : "ok", ...result };
+}
+
+// Marks lost to negatives: the recorded value, else the scheme's estimate.
+export function negativeMarksFor(entry, scheme = entryScheme(entry)) {
+  if (entry.negativeMarks != null) return entry.negativeMarks;
+  return expectedMarks(entry, scheme)?.negativeMarks ?? null;
+}
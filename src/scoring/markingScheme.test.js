@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import { GATE_SCHEME, ESE_SCHEME, scoreResponse, checkEntryMarks, negativeMarksFor, entryScheme } from "./markingScheme";
+import { withDerivedFields } from "../storage/schema";
+
+const response = (type, marks, status) => ({ q: 1, section: "Technical", type, marks, status, subject: "", topic: "", timeSpent: null });
+
+describe("scoreResponse", () => {
+  it("applies the scheme's negative fraction per question type", () => {
+    expect(scoreResponse(response("MCQ", 2, "correct"), GATE_SCHEME)).toBe(2);
+    expect(scoreResponse(response("MCQ", 2, "incorrect"), GATE_SCHEME)).toBeCloseTo(-2 / 3);
+    expect(scoreResponse(response("NAT", 1, "incorrect"), GATE_SCHEME)).toBeCloseTo(0);
+    expect(scoreResponse(response("NAT", 1, "incorrect"), ESE_SCHEME)).toBeCloseTo(-1 / 3);
+  });
+});
+
+describe("checkEntryMarks", () => {
+  it("accepts typed marks within the range the counts allow", () => {
+    const entry = { maxMarks: 100, obtainedMarks: 55, correctCount: 60, incorrectCount: 15, notAttemptedCount: 25 };
+    expect(checkEntryMarks(entry, GATE_SCHEME)).toMatchObject({ status: "ok", expected: 55, max: 60, exact: false });
+    expect(checkEntryMarks({ ...entry, obtainedMarks: 90 }, GATE_SCHEME).status).toBe("mismatch");
+    expect(checkEntryMarks({ maxMarks: 100, obtainedMarks: 50 }).status).toBe("unknown");
+  });
+});
+
+describe("entries without a saved scheme", () => {
+  const settings = { schemes: [], providerSchemes: {} };
+  const imported = {
+    id: "ese-1",
+    provider: "Made Easy",
+    subject: "Maths",
+    maxMarks: 0,
+    obtainedMarks: 0,
+    markingScheme: null,
+    responses: [response("MCQ", 2, "correct"), response("NAT", 1, "incorrect"), response("MSQ", 2, "incorrect")],
+  };
+
+  it("resolve to the provider's scheme, else the exam profile's", () => {
+    expect(entryScheme(imported, settings, ESE_SCHEME)).toBe(ESE_SCHEME);
+    expect(entryScheme(imported, { ...settings, providerSchemes: { "Made Easy": "gate" } }, ESE_SCHEME)).toBe(GATE_SCHEME);
+    expect(entryScheme({ ...imported, markingScheme: GATE_SCHEME }, settings, ESE_SCHEME)).toBe(GATE_SCHEME);
+  });
+
+  it("score an ESE-profile sheet under ESE, and the check agrees", () => {
+    const scheme = entryScheme(imported, settings, ESE_SCHEME);
+    const entry = withDerivedFields(imported, scheme);
+    expect(entry.obtainedMarks).toBe(1);
+    expect(entry.negativeMarks).toBe(1);
+    expect(checkEntryMarks(entry, scheme).status).toBe("ok");
+    expect(negativeMarksFor({ ...entry, negativeMarks: null }, scheme)).toBe(1);
+  });
+});
@@ -0,0 +1,81 @@
+/*
+Per-question response sheet.
+
+A test entry may carry `responses`: one record per question with
+  { q, section, type, marks, status, subject, topic, timeSpent }
+where timeSpent is in seconds (null when not recorded). When a sheet is present
+the entry's aggregate counts and marks are derived from it instead of typed.
+*/
+
+import { round2 } from "../utils";
+import { GATE_SCHEME, scoreResponse } from "./markingScheme";
+
+export const QUESTION_SECTIONS = ["GA", "Technical"];
+export const QUESTION_TYPES = ["MCQ", "MSQ", "NAT"];
+export const QUESTION_MARKS = [1, 2];
+export const RESPONSE_STATUSES = [
+  { id: "correct", label: "Correct" },
+  { id: "incorrect", label: "Incorrect" },
+  { id: "unattempted", label: "Not Attempted" },
+];
+
+export function createResponse(q, overrides = {}) {
+  return { q, section: "Technical", type: "MCQ", marks: 1, status: "unattempted", subject: "", topic: "", timeSpent: null, ...overrides };
+}
+
+// Standard GATE paper layout: GA Q1-5 (1 mark), Q6-10 (2 marks);
+// Technical Q11-35 (1 mark), Q36-65 (2 marks). Types are left as MCQ to edit.
+export function createGatePatternSheet() {
+  return Array.from({ length: 65 }, (_, i) => {
+    const q = i + 1;
+    const section = q <= 10 ? "GA" : "Technical";
+    const marks = q <= 5 || (q > 10 && q <= 35) ? 1 : 2;
+    return createResponse(q, { section, marks, subject: section === "GA" ? "General Aptitude" : "" });
+  });
+}
+
+// Coerces an imported/stored response record into the canonical shape.
+export function sanitizeResponse(r, index) {
+  const time = Number(r?.timeSpent);
+  return createResponse(Number(r?.q) || index + 1, {
+    section: QUESTION_SECTIONS.includes(r?.section) ? r.section : "Technical",
+    type: QUESTION_TYPES.includes(r?.type) ? r.type : "MCQ",
+    marks: Number(r?.marks) === 2 ? 2 : 1,
+    status: RESPONSE_STATUSES.some((s) => s.id === r?.status) ? r.status : "unattempted",
+    subject: r?.subject || "",
+    topic: r?.topic || "",
+    timeSpent: r?.timeSpent != null && r.timeSpent !== "" && time >= 0 ? time : null,
+  });
+}
+
+export function summarizeResponses(responses, scheme = GATE_SCHEME) {
+  let correctCount = 0;
+  let incorrectCount = 0;
+  let notAttemptedCount = 0;
+  let maxMarks = 0;
+  let obtained = 0;
+  let negative = 0;
+  let totalTime = 0;
+
+  for (const r of responses) {
+    if (r.status === "correct") correctCount += 1;
+    else if (r.status === "incorrect") incorrectCount += 1;
+    else notAttemptedCount += 1;
+
+    const score = scoreResponse(r, scheme);
+    maxMarks += r.marks;
+    obtained += score;
+    if (score < 0) negative -= score;
+    totalTime += r.timeSpent || 0;
+  }
+
+  return {
+    correctCount,
+    incorrectCount,
+    notAttemptedCount,
+    maxMarks,
+    obtainedMarks: round2(obtained),
+    negativeMarks: round2(negative),
+    totalTime,
+  };
+}
@@ -0,0 +1,73 @@
+/*
+Storage adapter layer.
+
+Every backend exposes the same async interface:
+  load()                         -> dataset from schema.upgradeDataset
+  readRaw()                      -> the stored payload as JSON text, unparsed
+                                    (for quarantine when load() fails)
+  save(tests, changes, meta)     -> persist; `changes` is { put: [entries], remove: [ids] }
+  replaceAll(tests, meta)        -> overwrite the whole dataset
+  getItem(name) / setItem(name, value) / getAllItems()
+                                 -> auxiliary JSON values kept next to the dataset
+
+IndexedDB is preferred; localStorage is used when the user picked it or when
+IndexedDB cannot be opened (private browsing, old browsers, blocked upgrade).
+*/
+
+import { createIndexedDbAdapter } from "./indexedDbAdapter";
+import { createLocalStorageAdapter } from "./localStorageAdapter";
+
+export const STORAGE_BACKENDS = [
+  { id: "indexeddb", label: "IndexedDB" },
+  { id: "localstorage", label: "Browser localStorage" },
+];
+
+// Key of the tracker's dataset (the localStorage payload, and the IndexedDB seed)
+export const STORAGE_KEY = "prepfusion_test_series";
+
+const BACKEND_PREF_KEY = "prepfusion_storage_backend";
+
+export function getPreferredBackend() {
+  try {
+    return localStorage.getItem(BACKEND_PREF_KEY) === "localstorage" ? "localstorage" : "indexeddb";
+  } catch {
+    return "indexeddb";
+  }
+}
+
+async function createAdapter(backend, storageKey) {
+  if (backend === "indexeddb") return createIndexedDbAdapter(storageKey);
+  return createLocalStorageAdapter(storageKey);
+}
+
+export async function openStorage(storageKey) {
+  const preferred = getPreferredBackend();
+  try {
+    return await createAdapter(preferred, storageKey);
+  } catch (e) {
+    console.warn(`Storage backend "${preferred}" unavailable, falling back to localStorage.`, e);
+    return createLocalStorageAdapter(storageKey);
+  }
+}
+
+// Copies the current dataset and items into `backend` and makes it the startup choice.
+export async function switchStorageBackend(current, backend, storageKey, tests, meta) {
+  const adapter = await createAdapter(backend, storageKey);
+  const items = await current.getAllItems();
+  await adapter.replaceAll(tests, meta);
+  for (const [name, value] of Object.entries(items)) {
+    await adapter.setItem(name, value);
+  }
+  localStorage.setItem(BACKEND_PREF_KEY, backend);
+}
+
+// Entry-level change set between two versions of the `tests` array. Entries are
+// treated as immutable, so any entry whose object identity changed is re-written.
+export function diffTests(prev, next) {
+  const prevById = new Map((prev || []).map((t) => [t.id, t]));
+  const nextIds = new Set(next.map((t) => t.id));
+  return {
+    put: next.filter((t) => prevById.get(t.id) !== t),
+    remove: [...prevById.keys()].filter((id) => !nextIds.has(id)),
+  };
+}
@@ -0,0 +1,143 @@
+/*
+IndexedDB backend.
+
+Each test entry is its own record in the `tests` object store (keyed by id,
+indexed on date, subject and provider), so saving an edit only writes the
+entries that changed. The schema envelope's version and meta live in a single
+record of the `meta` store, next to auxiliary items (history, settings, ...)
+stored under `item:<name>` keys.
+
+On first use the database is seeded from the localStorage payload under
+`legacyKey`, migrated through the normal schema pipeline.
+*/
+
+import { SCHEMA_VERSION, readDataset, upgradeDataset } from "./schema";
+
+const DB_NAME = "prepfusion_tracker";
+const DB_VERSION = 1;
+const TESTS_STORE = "tests";
+const META_STORE = "meta";
+const META_KEY = "dataset";
+const ITEM_PREFIX = "item:";
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted."));
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(TESTS_STORE)) {
+        const store = db.createObjectStore(TESTS_STORE, { keyPath: "id" });
+        store.createIndex("date", "date");
+        store.createIndex("subject", "subject");
+        store.createIndex("provider", "provider");
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("IndexedDB upgrade is blocked by another open tab."));
+  });
+}
+
+export async function createIndexedDbAdapter(legacyKey) {
+  if (typeof indexedDB === "undefined") throw new Error("IndexedDB is not available in this browser.");
+  const db = await openDatabase();
+
+  function metaRecord(meta) {
+    return { version: SCHEMA_VERSION, meta: { ...meta, updatedAt: new Date().toISOString() } };
+  }
+
+  async function replaceAll(tests, meta) {
+    const tx = db.transaction([TESTS_STORE, META_STORE], "readwrite");
+    const store = tx.objectStore(TESTS_STORE);
+    store.clear();
+    tests.forEach((t) => store.put(t));
+    tx.objectStore(META_STORE).put(metaRecord(meta), META_KEY);
+    await transactionDone(tx);
+  }
+
+  return {
+    name: "indexeddb",
+
+    async load() {
+      const tx = db.transaction([TESTS_STORE, META_STORE], "readonly");
+      const [tests, record] = await Promise.all([
+        // Read through the date index so entries come back in date order.
+        requestToPromise(tx.objectStore(TESTS_STORE).index("date").getAll()),
+        requestToPromise(tx.objectStore(META_STORE).get(META_KEY)),
+      ]);
+
+      if (!record) {
+        const dataset = readDataset(localStorage.getItem(legacyKey));
+        if (!dataset.readOnly) await replaceAll(dataset.tests, dataset.meta);
+        return dataset;
+      }
+
+      const dataset = upgradeDataset({ version: record.version, tests: tests.reverse(), meta: record.meta });
+      if (dataset.migrated) await replaceAll(dataset.tests, dataset.meta);
+      return dataset;
+    },
+
+    // The stored records as JSON text, without upgrading them (the legacy payload before the first load).
+    async readRaw() {
+      const tx = db.transaction([TESTS_STORE, META_STORE], "readonly");
+      const [tests, record] = await Promise.all([
+        requestToPromise(tx.objectStore(TESTS_STORE).getAll()),
+        requestToPromise(tx.objectStore(META_STORE).get(META_KEY)),
+      ]);
+      if (!record) return localStorage.getItem(legacyKey);
+      return JSON.stringify({ ...record, tests });
+    },
+
+    async save(tests, changes, meta) {
+      const tx = db.transaction([TESTS_STORE, META_STORE], "readwrite");
+      const store = tx.objectStore(TESTS_STORE);
+      changes.put.forEach((t) => store.put(t));
+      changes.remove.forEach((id) => store.delete(id));
+      tx.objectStore(META_STORE).put(metaRecord(meta), META_KEY);
+      await transactionDone(tx);
+    },
+
+    replaceAll,
+
+    async getItem(name) {
+      const tx = db.transaction(META_STORE, "readonly");
+      const value = await requestToPromise(tx.objectStore(META_STORE).get(ITEM_PREFIX + name));
+      return value ?? null;
+    },
+
+    async setItem(name, value) {
+      const tx = db.transaction(META_STORE, "readwrite");
+      tx.objectStore(META_STORE).put(value, ITEM_PREFIX + name);
+      await transactionDone(tx);
+    },
+
+    async getAllItems() {
+      const tx = db.transaction(META_STORE, "readonly");
+      const store = tx.objectStore(META_STORE);
+      const [keys, values] = await Promise.all([requestToPromise(store.getAllKeys()), requestToPromise(store.getAll())]);
+      const items = {};
+      keys.forEach((k, i) => {
+        if (typeof k === "string" && k.startsWith(ITEM_PREFIX)) items[k.slice(ITEM_PREFIX.length)] = values[i];
+      });
+      return items;
+    },
+  };
+}
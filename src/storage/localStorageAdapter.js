@@ -0,0 +1,45 @@
+// localStorage backend: the whole dataset is one serialized envelope under `key`,
+// auxiliary items (history, settings, ...) live under `${key}_<name>`.
+
+import { readDataset, serializeDataset } from "./schema";
+
+export function createLocalStorageAdapter(key) {
+  return {
+    name: "localstorage",
+
+    async load() {
+      return readDataset(localStorage.getItem(key));
+    },
+
+    async readRaw() {
+      return localStorage.getItem(key);
+    },
+
+    // localStorage has no partial writes, so the change set is ignored.
+    async save(tests, changes, meta) {
+      localStorage.setItem(key, serializeDataset(tests, meta));
+    },
+
+    async replaceAll(tests, meta) {
+      localStorage.setItem(key, serializeDataset(tests, meta));
+    },
+
+    async getItem(name) {
+      const raw = localStorage.getItem(`${key}_${name}`);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async setItem(name, value) {
+      localStorage.setItem(`${key}_${name}`, JSON.stringify(value));
+    },
+
+    async getAllItems() {
+      const items = {};
+      for (let i = 0; i < localStorage.length; i++) {
+        const k = localStorage.key(i);
+        if (k.startsWith(`${key}_`)) items[k.slice(key.length + 1)] = JSON.parse(localStorage.getItem(k));
+      }
+      return items;
+    },
+  };
+}
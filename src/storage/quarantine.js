@@ -0,0 +1,129 @@
+/*
+Quarantine for stored data that cannot be read.
+
+When a backend's payload fails to parse or upgrade, its raw text is copied to
+localStorage under `${storageKey}:quarantine` before the tracker writes
+anything, so starting over with an empty log never destroys the original.
+(The key deliberately sits outside the `${storageKey}_<name>` item namespace.)
+Records are kept newest first, at most MAX_RECORDS of them:
+  [{ id, savedAt, backend, error, raw }]
+
+salvageEntries() recovers whatever entries still parse from a raw payload,
+even a truncated or partly garbled one.
+*/
+
+import { uid } from "../utils";
+import { upgradeDataset } from "./schema";
+
+const MAX_RECORDS = 5;
+
+function quarantineKey(storageKey) {
+  return `${storageKey}:quarantine`;
+}
+
+export function readQuarantine(storageKey) {
+  try {
+    const records = JSON.parse(localStorage.getItem(quarantineKey(storageKey)));
+    return Array.isArray(records) ? records : [];
+  } catch (e) {
+    console.error("Failed to read quarantined data", e);
+    return [];
+  }
+}
+
+/*
+Stores `raw` aside and returns its record. A payload already in quarantine is
+not copied again. Throws when localStorage refuses the write (e.g. quota), in
+which case the caller must not overwrite the original.
+*/
+export function quarantinePayload(storageKey, { backend, error, raw }) {
+  const records = readQuarantine(storageKey);
+  const existing = records.find((r) => r.raw === raw);
+  if (existing) return existing;
+  const record = { id: uid(), savedAt: new Date().toISOString(), backend, error, raw };
+  localStorage.setItem(quarantineKey(storageKey), JSON.stringify([record, ...records].slice(0, MAX_RECORDS)));
+  return record;
+}
+
+export function discardQuarantined(storageKey, id) {
+  const records = readQuarantine(storageKey).filter((r) => r.id !== id);
+  if (records.length) localStorage.setItem(quarantineKey(storageKey), JSON.stringify(records));
+  else localStorage.removeItem(quarantineKey(storageKey));
+  return records;
+}
+
+// Top-level `{...}` substrings of the array starting at `start`, skipping braces inside strings.
+function objectSlices(raw, start) {
+  const slices = [];
+  let depth = 0;
+  let inString = false;
+  let from = -1;
+  for (let i = start + 1; i < raw.length; i++) {
+    const c = raw[i];
+    if (inString) {
+      if (c === "\\") i++;
+      else if (c === '"') inString = false;
+    } else if (c === '"') {
+      inString = true;
+    } else if (c === "{") {
+      if (depth === 0) from = i;
+      depth++;
+    } else if (c === "}" && depth > 0) {
+      depth--;
+      if (depth === 0) slices.push(raw.slice(from, i + 1));
+    } else if (c === "]" && depth === 0) {
+      break;
+    }
+  }
+  // An object cut off by truncation never closes; count it as lost
+  return { slices, truncated: depth > 0 };
+}
+
+/*
+Entries that can still be read from `raw` (a stored envelope or legacy
+array), each upgraded on its own so one bad entry cannot sink the rest:
+  { entries, failed }
+When the JSON as a whole is broken, entries are cut out of the `tests` array
+one object at a time.
+*/
+export function salvageEntries(raw) {
+  let rows = null;
+  let version = 0;
+  let failed = 0;
+  try {
+    const data = JSON.parse(raw);
+    rows = Array.isArray(data) ? data : Array.isArray(data?.tests) ? data.tests : null;
+    version = Array.isArray(data) ? 0 : data?.version;
+  } catch {
+    const testsAt = raw.search(/"tests"\s*:\s*\[/);
+    const arrayAt = testsAt >= 0 ? raw.indexOf("[", testsAt) : raw.indexOf("[");
+    if (arrayAt >= 0) {
+      const { slices, truncated } = objectSlices(raw, arrayAt);
+      rows = [];
+      for (const slice of slices) {
+        try {
+          rows.push(JSON.parse(slice));
+        } catch {
+          failed++;
+        }
+      }
+      if (truncated) failed++;
+    }
+    const versionMatch = testsAt >= 0 && raw.match(/"version"\s*:\s*(\d+)/);
+    version = versionMatch ? Number(versionMatch[1]) : 0;
+  }
+  if (!Array.isArray(rows)) return { entries: [], failed };
+  if (!Number.isInteger(version) || version < 0) version = 0;
+
+  const entries = [];
+  for (const row of rows) {
+    try {
+      if (!row || typeof row !== "object" || Array.isArray(row)) throw new Error("Not an entry.");
+      const payload = version === 0 ? [row] : { version, tests: [row], meta: {} };
+      entries.push(upgradeDataset(payload).tests[0]);
+    } catch {
+      failed++;
+    }
+  }
+  return { entries, failed };
+}
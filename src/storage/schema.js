@@ -0,0 +1,245 @@
+/*
+Versioned storage schema for the test log.
+
+The dataset is persisted as an envelope:
+  { version, tests: [...], meta: { createdAt, updatedAt, migratedFrom } }
+
+Version 0 is the legacy format: the bare `tests` array the tracker used to
+write straight to localStorage. Each function in MIGRATIONS upgrades a payload
+by exactly one version and must not depend on the tracker's current constants,
+so old data is always upgraded the same way no matter how the UI evolves.
+*/
+
+import { uid, formatDateInput, round2 } from "../utils";
+import { QUESTION_SECTIONS, sanitizeResponse, summarizeResponses } from "../scoring/responseSheet";
+import { entryScheme } from "../scoring/markingScheme";
+import { sanitizeMistake } from "../mistakes/mistakes";
+
+export const SCHEMA_VERSION = 7;
+
+function toCount(v) {
+  if (v === "" || v == null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function toMinutes(v) {
+  const n = toCount(v);
+  return n === null ? null : round2(n);
+}
+
+// { GA: minutes, Technical: minutes } with unknown sections left out; null when empty.
+function sanitizeSectionTimes(times) {
+  if (!times || typeof times !== "object") return null;
+  const out = {};
+  for (const section of QUESTION_SECTIONS) {
+    const minutes = toMinutes(times[section]);
+    if (minutes !== null) out[section] = minutes;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// Minutes per section from a sheet's per-question timeSpent (seconds), or null if none was recorded.
+function sheetSectionTimes(responses) {
+  const seconds = {};
+  for (const r of responses) {
+    if (r.timeSpent == null) continue;
+    seconds[r.section] = (seconds[r.section] || 0) + r.timeSpent;
+  }
+  return sanitizeSectionTimes(Object.fromEntries(Object.entries(seconds).map(([k, v]) => [k, v / 60])));
+}
+
+function hasValidRank(rank, totalTakers) {
+  return rank > 0 && totalTakers > 0 && rank <= totalTakers;
+}
+
+// Recomputes every field that is derived from the raw marks / rank inputs.
+// With a per-question response sheet, counts and marks come from the sheet,
+// and so does time taken when the sheet records per-question time. Pass the
+// entry's resolved `scheme` (see entryScheme) where marking settings are known.
+export function withDerivedFields(entry, scheme = entryScheme(entry)) {
+  const responses = Array.isArray(entry.responses) && entry.responses.length ? entry.responses.map(sanitizeResponse) : null;
+  const sheet = responses ? summarizeResponses(responses, scheme) : null;
+  const max = sheet ? sheet.maxMarks : Number(entry.maxMarks) || 0;
+  const obt = sheet ? sheet.obtainedMarks : Number(entry.obtainedMarks) || 0;
+  const rank = Number(entry.testRank);
+  const totalTakers = Number(entry.totalTestTakers);
+  const hasRank = hasValidRank(rank, totalTakers);
+  const sheetTimes = responses ? sheetSectionTimes(responses) : null;
+
+  return {
+    ...entry,
+    ...(sheet && {
+      correctCount: sheet.correctCount,
+      incorrectCount: sheet.incorrectCount,
+      notAttemptedCount: sheet.notAttemptedCount,
+    }),
+    responses,
+    ...(sheet && { negativeMarks: sheet.negativeMarks }),
+    maxMarks: max,
+    obtainedMarks: obt,
+    percentage: max ? round2((obt / max) * 100) : 0,
+    testRank: hasRank ? rank : null,
+    totalTestTakers: hasRank ? totalTakers : null,
+    rankPercentile: hasRank ? round2((1 - rank / totalTakers) * 100) : null,
+    timeTaken: sheetTimes ? round2(sheet.totalTime / 60) : toMinutes(entry.timeTaken),
+    timeLimit: toMinutes(entry.timeLimit),
+    sectionTimes: sheetTimes || sanitizeSectionTimes(entry.sectionTimes),
+    timeRanOut: Boolean(entry.timeRanOut),
+    topic: String(entry.topic || "").trim(),
+    subtopic: entry.topic ? String(entry.subtopic || "").trim() : "",
+    catalogSlotId: entry.catalogSlotId || null,
+    mistakes: Array.isArray(entry.mistakes) ? entry.mistakes.map((m) => sanitizeMistake(m, entry.subject)) : [],
+  };
+}
+
+// v0 -> v1: wrap the bare array and give every entry the full field set.
+// Entries written before providers existed were shown as "Other" in the log,
+// so that is what they are migrated to.
+function migrateV0ToV1(legacyTests) {
+  const now = new Date().toISOString();
+  const tests = legacyTests
+    .filter((t) => t && typeof t === "object")
+    .map((t) => {
+      const correct = toCount(t.correctCount);
+      const incorrect = toCount(t.incorrectCount);
+      const notAttempted = toCount(t.notAttemptedCount);
+      const hasCounts = correct !== null || incorrect !== null || notAttempted !== null;
+
+      return {
+        id: t.id || uid(),
+        subject: String(t.subject || "Other/Unknown").trim(),
+        category: t.category || "Topic Wise",
+        provider: t.provider || "Other",
+        maxMarks: t.maxMarks,
+        obtainedMarks: t.obtainedMarks,
+        correctCount: hasCounts ? correct || 0 : null,
+        incorrectCount: hasCounts ? incorrect || 0 : null,
+        notAttemptedCount: hasCounts ? notAttempted || 0 : null,
+        testRank: t.testRank,
+        totalTestTakers: t.totalTestTakers,
+        date: t.date ? formatDateInput(t.date) : formatDateInput(new Date()),
+        notes: t.notes || "",
+      };
+    });
+
+  return { version: 1, tests, meta: { createdAt: now, updatedAt: now, migratedFrom: 0 } };
+}
+
+// v1 -> v2: entries gain an optional per-question response sheet.
+function migrateV1ToV2(payload) {
+  return {
+    ...payload,
+    version: 2,
+    tests: payload.tests.map((t) => ({ ...t, responses: null })),
+  };
+}
+
+// v2 -> v3: entries record marks lost to negatives and the marking scheme they
+// were scored with. Older entries have neither (null means GATE rules).
+function migrateV2ToV3(payload) {
+  return {
+    ...payload,
+    version: 3,
+    tests: payload.tests.map((t) => ({ ...t, negativeMarks: null, markingScheme: null })),
+  };
+}
+
+// v3 -> v4: entries record time taken and the time limit (minutes), optional
+// per-section minutes, and whether time ran out. Older entries have no timing.
+function migrateV3ToV4(payload) {
+  return {
+    ...payload,
+    version: 4,
+    tests: payload.tests.map((t) => ({ ...t, timeTaken: null, timeLimit: null, sectionTimes: null, timeRanOut: false })),
+  };
+}
+
+// v4 -> v5: entries can be tagged below subject level with a syllabus topic
+// and subtopic. Older entries cover their whole subject (empty tags).
+function migrateV4ToV5(payload) {
+  return {
+    ...payload,
+    version: 5,
+    tests: payload.tests.map((t) => ({ ...t, topic: "", subtopic: "" })),
+  };
+}
+
+// v5 -> v6: entries can link to a slot of a test-series catalog. Older
+// entries are unlinked.
+function migrateV5ToV6(payload) {
+  return {
+    ...payload,
+    version: 6,
+    tests: payload.tests.map((t) => ({ ...t, catalogSlotId: null })),
+  };
+}
+
+// v6 -> v7: entries carry a structured mistake log (question, topic, error
+// type, marks lost). Older entries only have free-text notes.
+function migrateV6ToV7(payload) {
+  return {
+    ...payload,
+    version: 7,
+    tests: payload.tests.map((t) => ({ ...t, mistakes: [] })),
+  };
+}
+
+// MIGRATIONS[n] upgrades a version-n payload to version n + 1.
+const MIGRATIONS = [migrateV0ToV1, migrateV1ToV2, migrateV2ToV3, migrateV3ToV4, migrateV4ToV5, migrateV5ToV6, migrateV6ToV7];
+
+function detectVersion(data) {
+  if (Array.isArray(data)) return 0;
+  if (data && typeof data === "object" && Number.isInteger(data.version) && data.version >= 0 && Array.isArray(data.tests)) {
+    return data.version;
+  }
+  throw new Error("Unrecognized storage format.");
+}
+
+function emptyDataset() {
+  const now = new Date().toISOString();
+  return { tests: [], meta: { createdAt: now, updatedAt: now }, version: SCHEMA_VERSION, readOnly: false, migrated: false };
+}
+
+/*
+Upgrades an already-parsed payload (legacy array or envelope) to SCHEMA_VERSION.
+
+Returns { tests, meta, version, readOnly, migrated }. When the payload was
+written by a newer version of the tracker, its entries are returned as-is for
+viewing but `readOnly` is set so the caller never writes an older envelope
+over it. `migrated` tells the caller the stored copy is out of date.
+Throws when the payload is not a known format.
+*/
+export function upgradeDataset(payload) {
+  const storedVersion = detectVersion(payload);
+
+  if (storedVersion > SCHEMA_VERSION) {
+    return { tests: payload.tests, meta: payload.meta || {}, version: storedVersion, readOnly: true, migrated: false };
+  }
+
+  for (let v = storedVersion; v < SCHEMA_VERSION; v++) {
+    payload = MIGRATIONS[v](payload);
+  }
+
+  return {
+    tests: payload.tests.map((t) => withDerivedFields(t)),
+    meta: payload.meta || {},
+    version: SCHEMA_VERSION,
+    readOnly: false,
+    migrated: storedVersion < SCHEMA_VERSION,
+  };
+}
+
+// Parses a stored JSON payload (string or null) and upgrades it. Throws on invalid JSON.
+export function readDataset(raw) {
+  if (!raw) return emptyDataset();
+  return upgradeDataset(JSON.parse(raw));
+}
+
+export function serializeDataset(tests, meta = {}) {
+  return JSON.stringify({
+    version: SCHEMA_VERSION,
+    tests,
+    meta: { ...meta, updatedAt: new Date().toISOString() },
+  });
+}
@@ -0,0 +1,38 @@
+import { describe, it, expect } from "vitest";
+import { SCHEMA_VERSION, upgradeDataset } from "./schema";
+
+const legacy = [
+  { id: "a", subject: " Maths ", category: "Topic Wise", maxMarks: "50", obtainedMarks: "30", correctCount: "12", date: "2024-03-05" },
+  { subject: "Networks", maxMarks: 100, obtainedMarks: 60, testRank: 10, totalTestTakers: 200 },
+  null,
+];
+
+describe("upgradeDataset", () => {
+  it("migrates the legacy bare array through every migration", () => {
+    const dataset = upgradeDataset(legacy);
+    expect(dataset).toMatchObject({ version: SCHEMA_VERSION, readOnly: false, migrated: true, meta: { migratedFrom: 0 } });
+    expect(dataset.tests).toHaveLength(2);
+    const [maths, networks] = dataset.tests;
+    expect(maths).toMatchObject({ id: "a", subject: "Maths", provider: "Other", maxMarks: 50, obtainedMarks: 30, percentage: 60, correctCount: 12, incorrectCount: 0 });
+    expect(networks.id).toEqual(expect.any(String));
+    expect(networks).toMatchObject({ category: "Topic Wise", correctCount: null, rankPercentile: 95 });
+  });
+
+  it("leaves a current envelope as it is", () => {
+    const { tests, meta } = upgradeDataset(legacy);
+    const again = upgradeDataset({ version: SCHEMA_VERSION, tests, meta });
+    expect(again.migrated).toBe(false);
+    expect(again.tests).toEqual(tests);
+  });
+
+  it("opens data from a newer version read-only and untouched", () => {
+    const newer = { version: SCHEMA_VERSION + 1, tests: [{ id: "x", futureField: true }], meta: {} };
+    expect(upgradeDataset(newer)).toMatchObject({ readOnly: true, migrated: false, version: SCHEMA_VERSION + 1, tests: newer.tests });
+  });
+
+  it("rejects payloads that are not a known format", () => {
+    for (const payload of [null, "tests", { tests: [] }, { version: "1", tests: [] }, { version: 1.5, tests: [] }, { version: -1, tests: [] }, { version: 1 }]) {
+      expect(() => upgradeDataset(payload)).toThrow("Unrecognized storage format.");
+    }
+  });
+});
@@ -0,0 +1,87 @@
+/*
+Live sync between open tabs of the tracker.
+
+After each successful write a tab announces what it saved:
+  { type: "tests", put: [entries], remove: [ids] }   entry-level log changes
+  { type: "item", name, value }                     an auxiliary item's new value
+Other tabs apply the change to their own state without saving or announcing
+it again, so edits made in different tabs merge entry by entry instead of the
+last full save winning.
+
+BroadcastChannel is used where available; otherwise messages go through
+`storage` events on the `${storageKey}:sync` localStorage key (outside the
+`${storageKey}_<name>` item namespace).
+*/
+
+import { uid } from "../utils";
+
+// Items every tab keeps for itself: undo/redo belongs to the tab that made the change,
+// the cloud sync queue to the one tab running the sync (sync/useCloudSync.js), and the
+// snapshot settings stay with the snapshots, which other tabs re-list when their restore
+// screen opens (history/useSnapshots.js).
+const LOCAL_ITEMS = new Set(["history", "cloudSync", "snapshots"]);
+
+export function createTabSync(storageKey) {
+  const listeners = new Set();
+  const deliver = (message) => listeners.forEach((listener) => listener(message));
+
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(`${storageKey}:sync`);
+    channel.onmessage = (e) => deliver(e.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      subscribe: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+      close: () => channel.close(),
+    };
+  }
+
+  const key = `${storageKey}:sync`;
+  const onStorage = (e) => {
+    if (e.key !== key || !e.newValue) return;
+    try {
+      deliver(JSON.parse(e.newValue).message);
+    } catch (err) {
+      console.error("Ignoring unreadable sync message", err);
+    }
+  };
+  window.addEventListener("storage", onStorage);
+  return {
+    // The nonce makes every message a change, so repeated messages still fire the event.
+    post: (message) => {
+      try {
+        localStorage.setItem(key, JSON.stringify({ nonce: uid(), message }));
+      } catch (e) {
+        console.error("Failed to notify other tabs", e);
+      }
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close: () => window.removeEventListener("storage", onStorage),
+  };
+}
+
+/*
+`adapter` with item writes announced to other tabs, plus
+subscribeItem(name, listener) for values written elsewhere.
+*/
+export function withTabSync(adapter, sync) {
+  return {
+    ...adapter,
+
+    async setItem(name, value) {
+      await adapter.setItem(name, value);
+      if (!LOCAL_ITEMS.has(name)) sync.post({ type: "item", name, value });
+    },
+
+    subscribeItem(name, listener) {
+      return sync.subscribe((message) => {
+        if (message.type === "item" && message.name === name) listener(message.value);
+      });
+    },
+  };
+}
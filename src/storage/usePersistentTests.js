@@ -0,0 +1,159 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { SCHEMA_VERSION, readDataset } from "./schema";
+import { diffTests, openStorage, switchStorageBackend } from "./index";
+import { quarantinePayload, readQuarantine, discardQuarantined } from "./quarantine";
+import { createTabSync, withTabSync } from "./tabSync";
+import { applyPatch } from "../history/useTestHistory";
+
+/*
+Copies an unreadable payload to quarantine, then clears it so the tracker can
+start over. If the copy fails the original is left alone and the session
+stays read-only. Returns the `unreadable` state reported by the hook.
+*/
+async function quarantineUnreadable(adapter, storageKey, error) {
+  const message = error.message || String(error);
+  let raw = null;
+  try {
+    raw = await adapter.readRaw();
+    const record = quarantinePayload(storageKey, { backend: adapter.name, error: message, raw });
+    await adapter.replaceAll([], {});
+    return { error: message, raw, quarantined: record.id };
+  } catch (e) {
+    console.error("Failed to quarantine unreadable tests", e);
+    return { error: message, raw, quarantined: null };
+  }
+}
+
+/*
+Holds the `tests` array and keeps it persisted through the storage adapter
+chosen at startup. Returns [tests, setTests, storage] where `storage` reports
+{ ready, backend, readOnly, version, error, unreadable, quarantine }, exposes
+the `adapter` for auxiliary items and offers switchBackend(),
+discardQuarantined(id) and the `log` hooks used by cloud sync
+(sync/firestoreSync.js).
+
+`unreadable` is { error, raw, quarantined } when the stored data could not be
+read this session (`quarantined` is the quarantine record id, or null when
+the copy failed and nothing will be written); `quarantine` lists every
+quarantined payload kept so far (see storage/quarantine.js).
+
+Saved changes are announced to other open tabs, and theirs are merged in
+entry by entry (see storage/tabSync.js). A merged remote change is saved
+again without being announced, which also repairs a whole-payload backend
+(localStorage) that two tabs wrote at the same moment.
+
+`log.subscribe(listener)` reports every saved change, this tab's or another's,
+as { put, remove }; `log.apply(patch)` applies, saves and announces a change
+that came from elsewhere without reporting it back; `log.current()` is the
+saved array.
+*/
+export function usePersistentTests(storageKey) {
+  const [tests, setTests] = useState([]);
+  const [storage, setStorage] = useState({ ready: false, backend: null, readOnly: false, version: SCHEMA_VERSION, error: null, unreadable: null, quarantine: [] });
+
+  const adapterRef = useRef(null);
+  const metaRef = useRef({});
+  const persistedRef = useRef(null);
+  const syncRef = useRef(null);
+  const listenersRef = useRef(new Set());
+  const testsRef = useRef(tests);
+  testsRef.current = tests;
+
+  useEffect(() => {
+    let cancelled = false;
+    const sync = createTabSync(storageKey);
+    const unsubscribe = sync.subscribe((message) => {
+      if (message.type !== "tests" || !persistedRef.current) return;
+      const patch = { put: message.put, remove: message.remove };
+      persistedRef.current = applyPatch(persistedRef.current, patch);
+      setTests(applyPatch(testsRef.current, patch));
+      listenersRef.current.forEach((listener) => listener(patch));
+    });
+
+    (async () => {
+      const adapter = await openStorage(storageKey);
+      let dataset;
+      let unreadable = null;
+      try {
+        dataset = await adapter.load();
+      } catch (e) {
+        console.error("Failed to parse stored tests", e);
+        dataset = readDataset(null);
+        unreadable = await quarantineUnreadable(adapter, storageKey, e);
+      }
+      if (cancelled) return;
+
+      adapterRef.current = withTabSync(adapter, sync);
+      syncRef.current = sync;
+      metaRef.current = dataset.meta;
+      persistedRef.current = dataset.tests;
+      setTests(dataset.tests);
+      setStorage({
+        ready: true,
+        backend: adapter.name,
+        readOnly: dataset.readOnly || Boolean(unreadable && !unreadable.quarantined),
+        version: dataset.version,
+        error: null,
+        unreadable,
+        quarantine: readQuarantine(storageKey),
+      });
+    })();
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+      sync.close();
+    };
+  }, [storageKey]);
+
+  useEffect(() => {
+    const adapter = adapterRef.current;
+    // Never downgrade data written by a newer version of the tracker.
+    if (!adapter || storage.readOnly || persistedRef.current === tests) return;
+
+    const changes = diffTests(persistedRef.current, tests);
+    persistedRef.current = tests;
+    adapter.save(tests, changes, metaRef.current)
+      .then(() => {
+        if (!changes.put.length && !changes.remove.length) return;
+        syncRef.current.post({ type: "tests", ...changes });
+        listenersRef.current.forEach((listener) => listener(changes));
+      })
+      .catch((e) => {
+        console.error("Failed to save tests", e);
+        setStorage((prev) => ({ ...prev, error: e.message || String(e) }));
+      });
+  }, [tests, storage.readOnly]);
+
+  const switchBackend = useCallback(async (backend) => {
+    await switchStorageBackend(adapterRef.current, backend, storageKey, persistedRef.current || [], metaRef.current);
+    window.location.reload();
+  }, [storageKey]);
+
+  const discard = useCallback((id) => {
+    setStorage((prev) => ({ ...prev, quarantine: discardQuarantined(storageKey, id) }));
+  }, [storageKey]);
+
+  const log = useMemo(() => ({
+    current: () => persistedRef.current || [],
+    subscribe(listener) {
+      listenersRef.current.add(listener);
+      return () => listenersRef.current.delete(listener);
+    },
+    apply(patch) {
+      const adapter = adapterRef.current;
+      if (!adapter || !persistedRef.current) return;
+      const next = applyPatch(persistedRef.current, patch);
+      persistedRef.current = next;
+      setTests(applyPatch(testsRef.current, patch));
+      adapter.save(next, patch, metaRef.current)
+        .then(() => syncRef.current.post({ type: "tests", ...patch }))
+        .catch((e) => {
+          console.error("Failed to save synced tests", e);
+          setStorage((prev) => ({ ...prev, error: e.message || String(e) }));
+        });
+    },
+  }), []);
+
+  return [tests, setTests, { ...storage, adapter: adapterRef.current, switchBackend, discardQuarantined: discard, log }];
+}
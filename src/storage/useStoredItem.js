@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+/*
+A JSON value persisted as an auxiliary item of the storage adapter
+(see storage/index.js). Behaves like useState; the stored value replaces
+`initialValue` once the adapter has loaded it, and writes are skipped until then.
+With a tab-synced adapter (storage/tabSync.js) values saved by other tabs are
+adopted as they arrive, without being written back.
+*/
+export function useStoredItem(adapter, name, initialValue) {
+  const [value, setValue] = useState(initialValue);
+  const [loaded, setLoaded] = useState(false);
+  const dirtyRef = useRef(false);
+  const remoteRef = useRef(undefined);
+
+  useEffect(() => {
+    if (!adapter) return;
+    let cancelled = false;
+    adapter.getItem(name)
+      .then((saved) => {
+        if (cancelled) return;
+        if (saved != null) setValue(saved);
+        setLoaded(true);
+      })
+      .catch((e) => {
+        console.error(`Failed to load "${name}"`, e);
+        if (!cancelled) setLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [adapter, name]);
+
+  useEffect(() => {
+    if (!adapter?.subscribeItem) return;
+    return adapter.subscribeItem(name, (remote) => {
+      remoteRef.current = remote;
+      setValue(remote);
+    });
+  }, [adapter, name]);
+
+  useEffect(() => {
+    if (!adapter || !loaded || !dirtyRef.current || value === remoteRef.current) return;
+    adapter.setItem(name, value).catch((e) => console.error(`Failed to save "${name}"`, e));
+  }, [adapter, name, value, loaded]);
+
+  const update = useCallback((next) => {
+    dirtyRef.current = true;
+    setValue(next);
+  }, []);
+
+  return [value, update, loaded];
+}
@@ -0,0 +1,202 @@
+/*
+Study-session log and what it does for test scores.
+
+Stored per dataset as
+  { weeklyGoal, sessions: [{ id, date, subject, topic, minutes, activity, note }] }
+`weeklyGoal` is in hours (null = no goal). Weeks start on Monday.
+
+Impact is measured between consecutive results in a subject (subject tests,
+plus tests with a response sheet split per question subject): the hours spent
+on that subject after the earlier test, up to and including the day of the
+later one, against the change in score. Across those intervals, the
+correlation of each activity's hours with the score change shows which kinds
+of study have gone with improving scores. With only a few intervals this is
+weak evidence; fewer than three give no correlation at all.
+*/
+
+import { uid, formatDateInput, round2 } from "../utils";
+import { correlation } from "../analytics/time";
+import { entryScheme, scoreResponse } from "../scoring/markingScheme";
+
+export const ACTIVITY_TYPES = [
+  { id: "lecture", label: "Lecture", color: "#6366F1" },
+  { id: "pyq", label: "PYQ practice", color: "#10B981" },
+  { id: "revision", label: "Revision", color: "#F59E0B" },
+  { id: "problems", label: "Problem practice", color: "#EC4899" },
+  { id: "reading", label: "Reading / notes", color: "#0EA5E9" },
+];
+
+export const DEFAULT_WEEKLY_GOAL = 30;
+export const EMPTY_STUDY_LOG = { weeklyGoal: DEFAULT_WEEKLY_GOAL, sessions: [] };
+
+const WEEKS_SHOWN = 8;
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatDateInput(d);
+}
+
+function hours(minutes) {
+  return round2(minutes / 60);
+}
+
+export function createSession({ date, subject, topic, hours: h, activity, note }) {
+  return { id: uid(), date, subject, topic: topic || "", minutes: Math.round(h * 60), activity, note: (note || "").trim() };
+}
+
+// Monday of the week containing `date` (YYYY-MM-DD).
+export function weekStart(date) {
+  const d = new Date(date);
+  return addDays(d, -((d.getUTCDay() + 6) % 7));
+}
+
+/*
+Hours per week for the WEEKS_SHOWN weeks up to `today`'s, oldest first:
+[{ week, hours, <activityId>: hours, ... }]. Weeks without sessions are kept.
+*/
+export function weeklyTotals(sessions, today) {
+  const current = weekStart(today);
+  const weeks = Array.from({ length: WEEKS_SHOWN }, (_, i) => ({ week: addDays(current, (i - WEEKS_SHOWN + 1) * 7), minutes: 0 }));
+  const byWeek = new Map(weeks.map((w) => [w.week, w]));
+  for (const s of sessions) {
+    const w = byWeek.get(weekStart(s.date));
+    if (!w) continue;
+    w.minutes += s.minutes;
+    w[s.activity] = (w[s.activity] || 0) + s.minutes;
+  }
+  return weeks.map(({ week, minutes, ...byActivity }) => ({
+    week,
+    hours: hours(minutes),
+    ...Object.fromEntries(Object.entries(byActivity).map(([a, m]) => [a, hours(m)])),
+  }));
+}
+
+// Per-subject percentages of one entry; a response sheet is split per question subject.
+function subjectResults(t, scheme) {
+  if (!Array.isArray(t.responses) || !t.responses.length) return [{ subject: t.subject, percentage: t.percentage }];
+  const parts = {};
+  for (const r of t.responses) {
+    const subject = r.subject || t.subject;
+    parts[subject] ||= { subject, obtained: 0, max: 0 };
+    parts[subject].obtained += scoreResponse(r, scheme);
+    parts[subject].max += r.marks;
+  }
+  return Object.values(parts).filter((p) => p.max > 0).map((p) => ({ subject: p.subject, percentage: (p.obtained / p.max) * 100 }));
+}
+
+// subject -> [{ date, percentage }] oldest first, same-day results averaged.
+function resultsBySubject(tests, subjects, schemeOf) {
+  const raw = {};
+  for (const t of tests) {
+    for (const r of subjectResults(t, schemeOf(t))) {
+      if (!subjects.has(r.subject)) continue;
+      ((raw[r.subject] ||= {})[t.date] ||= []).push(r.percentage);
+    }
+  }
+  return Object.fromEntries(Object.entries(raw).map(([subject, byDate]) => [
+    subject,
+    Object.entries(byDate)
+      .map(([date, values]) => ({ date, percentage: values.reduce((a, b) => a + b, 0) / values.length }))
+      .sort((a, b) => a.date.localeCompare(b.date)),
+  ]));
+}
+
+function average(values) {
+  return values.length ? round2(values.reduce((a, b) => a + b, 0) / values.length) : null;
+}
+
+/*
+Hours invested vs score change, from the sessions and `tests`:
+  { subjects:   [{ subject, hours, byActivity, before, after, change, results }]   (most studied first)
+    activities: [{ id, label, color, hours, correlation, withChange, withoutChange, intervals }]
+    totalCorrelation, intervals }
+`before`/`after` are the subject's average before its first session and from
+then on (`change` is null unless both exist). `withChange`/`withoutChange`
+are the average score change over intervals with and without that activity.
+Only intervals ending after the first logged session count: earlier gaps
+carry no study record rather than zero study. `schemeOf(entry)` gives the
+scheme a response sheet is scored with (see entryScheme).
+*/
+export function studyImpact(sessions, tests, schemeOf = entryScheme) {
+  const subjects = new Set(sessions.map((s) => s.subject));
+  const results = resultsBySubject(tests, subjects, schemeOf);
+  const firstLogged = sessions.reduce((min, s) => (!min || s.date < min ? s.date : min), null);
+
+  const intervals = [];
+  const subjectRows = [];
+  for (const subject of subjects) {
+    const own = sessions.filter((s) => s.subject === subject);
+    const series = results[subject] || [];
+    const byActivity = {};
+    for (const s of own) byActivity[s.activity] = (byActivity[s.activity] || 0) + s.minutes;
+    const firstSession = own.reduce((min, s) => (s.date < min ? s.date : min), own[0].date);
+    const before = average(series.filter((r) => r.date < firstSession).map((r) => r.percentage));
+    const after = average(series.filter((r) => r.date >= firstSession).map((r) => r.percentage));
+
+    for (let i = 1; i < series.length; i += 1) {
+      const from = series[i - 1];
+      const to = series[i];
+      if (to.date < firstLogged) continue;
+      const minutes = {};
+      for (const s of own) {
+        if (s.date > from.date && s.date <= to.date) minutes[s.activity] = (minutes[s.activity] || 0) + s.minutes;
+      }
+      intervals.push({
+        subject,
+        from: from.date,
+        to: to.date,
+        change: to.percentage - from.percentage,
+        minutes: Object.values(minutes).reduce((a, b) => a + b, 0),
+        byActivity: minutes,
+      });
+    }
+
+    subjectRows.push({
+      subject,
+      hours: hours(own.reduce((a, s) => a + s.minutes, 0)),
+      byActivity: Object.fromEntries(Object.entries(byActivity).map(([a, m]) => [a, hours(m)])),
+      before,
+      after,
+      change: before !== null && after !== null ? round2(after - before) : null,
+      results: series.length,
+    });
+  }
+
+  const activities = ACTIVITY_TYPES.map((a) => {
+    const points = intervals.map((iv) => ({ x: iv.byActivity[a.id] || 0, y: iv.change }));
+    return {
+      ...a,
+      hours: hours(sessions.filter((s) => s.activity === a.id).reduce((sum, s) => sum + s.minutes, 0)),
+      correlation: correlation(points),
+      withChange: average(points.filter((p) => p.x > 0).map((p) => p.y)),
+      withoutChange: average(points.filter((p) => p.x === 0).map((p) => p.y)),
+      intervals: points.filter((p) => p.x > 0).length,
+    };
+  });
+
+  return {
+    subjects: subjectRows.sort((a, b) => b.hours - a.hours),
+    activities,
+    totalCorrelation: correlation(intervals.map((iv) => ({ x: iv.minutes, y: iv.change }))),
+    intervals: intervals.length,
+  };
+}
+
+// Plain-text summary of studyImpact() for the study-plan prompt; empty without sessions.
+export function describeStudy(impact, weeklyGoal, thisWeekHours) {
+  if (!impact.subjects.length) return "";
+  const lines = [`Studied ${thisWeekHours} h this week${weeklyGoal ? ` (goal ${weeklyGoal} h)` : ""}.`];
+  for (const s of impact.subjects.slice(0, 8)) {
+    lines.push(`- ${s.subject}: ${s.hours} h studied${s.change !== null ? `, average ${s.before}% before → ${s.after}% since (${s.change > 0 ? "+" : ""}${s.change})` : ""}`);
+  }
+  const telling = impact.activities.filter((a) => a.correlation !== null);
+  if (telling.length) lines.push(`Correlation of hours with score change between tests: ${telling.map((a) => `${a.label} ${a.correlation}`).join(", ")}.`);
+  return lines.join("\n");
+}
+
+// Applies a subject rename or merge to logged sessions (see profiles/vocabulary.js).
+export function renameInStudyLog(log, field, from, to) {
+  if (field !== "subject" || !log.sessions.some((s) => s.subject === from)) return log;
+  return { ...log, sessions: log.sessions.map((s) => (s.subject === from ? { ...s, subject: to } : s)) };
+}
@@ -0,0 +1,35 @@
+import { describe, it, expect } from "vitest";
+import { createSession, weekStart, weeklyTotals, studyImpact } from "./studyLog";
+import { ESE_SCHEME, GATE_SCHEME } from "../scoring/markingScheme";
+
+const session = (date, subject, h, activity) => createSession({ date, subject, hours: h, activity });
+const result = (date, subject, percentage) => ({ id: `${subject}-${date}`, date, subject, percentage, responses: null });
+
+describe("weekly totals", () => {
+  it("starts weeks on Monday and keeps empty weeks", () => {
+    expect(weekStart("2024-05-15")).toBe("2024-05-13");
+    const weeks = weeklyTotals([session("2024-05-13", "Maths", 2, "pyq"), session("2024-05-19", "Maths", 1.5, "lecture")], "2024-05-15");
+    expect(weeks).toHaveLength(8);
+    expect(weeks.at(-1)).toMatchObject({ week: "2024-05-13", hours: 3.5, pyq: 2, lecture: 1.5 });
+    expect(weeks[0].hours).toBe(0);
+  });
+});
+
+describe("studyImpact", () => {
+  it("compares a subject's average before and after its first session", () => {
+    const sessions = [session("2024-02-02", "Maths", 3, "pyq"), session("2024-03-02", "Maths", 2, "lecture")];
+    const tests = [result("2024-01-01", "Maths", 40), result("2024-02-10", "Maths", 50), result("2024-03-10", "Maths", 70)];
+    const impact = studyImpact(sessions, tests);
+    expect(impact.subjects[0]).toMatchObject({ subject: "Maths", hours: 5, before: 40, after: 60, change: 20, results: 3 });
+    expect(impact.intervals).toBe(2);
+    expect(impact.activities.find((a) => a.id === "pyq")).toMatchObject({ hours: 3, intervals: 1, withChange: 10 });
+  });
+
+  it("splits response sheets per question subject under the entry's resolved scheme", () => {
+    const response = (subject, status) => ({ q: 1, section: "Technical", type: "NAT", marks: 1, status, subject, topic: "", timeSpent: null });
+    const sheet = { id: "mock", date: "2024-02-10", subject: "Multi", percentage: 0, markingScheme: null, responses: [response("Maths", "correct"), response("Maths", "incorrect")] };
+    const sessions = [session("2024-02-01", "Maths", 1, "pyq")];
+    expect(studyImpact(sessions, [sheet], () => GATE_SCHEME).subjects[0].after).toBe(50);
+    expect(studyImpact(sessions, [sheet], () => ESE_SCHEME).subjects[0].after).toBeCloseTo(33.33, 2);
+  });
+});
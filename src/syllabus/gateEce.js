@@ -0,0 +1,85 @@
+// GATE ECE syllabus as subject -> topic -> subtopics. Subject names match the
+// tracker's subject list; topics follow the official syllabus headings.
+
+export const GATE_ECE_SYLLABUS = {
+  "Engineering Mathematics": {
+    "Linear Algebra": ["Vector spaces", "Matrix algebra", "Systems of linear equations", "Rank", "Eigenvalues and eigenvectors"],
+    "Calculus": ["Mean value theorems", "Definite and improper integrals", "Partial derivatives", "Maxima and minima", "Multiple integrals", "Taylor and Laurent series"],
+    "Vector Analysis": ["Gradient, divergence and curl", "Line, surface and volume integrals", "Gauss, Stokes and Green's theorems"],
+    "Differential Equations": ["First-order equations", "Higher-order linear ODEs", "Cauchy's and Euler's equations", "Partial differential equations", "Initial and boundary value problems"],
+    "Complex Analysis": ["Analytic functions", "Cauchy's integral theorem", "Residue theorem"],
+    "Numerical Methods": ["Solution of nonlinear equations", "Numerical integration", "Single and multi-step methods for ODEs"],
+    "Probability and Statistics": ["Mean, median, mode and standard deviation", "Combinatorial probability", "Probability distributions", "Binomial, Poisson, exponential and normal distributions", "Joint and conditional probability"],
+  },
+  "General Aptitude": {
+    "Verbal Aptitude": ["Grammar and vocabulary", "Reading comprehension", "Verbal analogies"],
+    "Quantitative Aptitude": ["Data interpretation", "Arithmetic", "Mensuration and geometry", "Elementary statistics and probability"],
+    "Analytical Aptitude": ["Logic and deduction", "Numerical relations and reasoning"],
+    "Spatial Aptitude": ["Transformation of shapes", "Paper folding and cutting", "Patterns in 2D and 3D"],
+  },
+  "Network Theory": {
+    "Circuit Analysis": ["Node and mesh analysis", "Superposition", "Thevenin and Norton theorems", "Maximum power transfer", "Star-delta transformation"],
+    "Transient Analysis": ["RL, RC and RLC circuits", "Initial and final conditions"],
+    "Sinusoidal Steady State": ["Phasors", "Complex power", "Resonance"],
+    "Laplace Domain Analysis": ["Solution of network equations", "Transfer functions"],
+    "Two-port Networks": ["Z, Y, h and ABCD parameters", "Interconnection of two-ports"],
+    "Network Topology": ["Graphs, trees and cut-sets", "Incidence and loop matrices"],
+  },
+  "Electronic Devices (EDC)": {
+    "Semiconductor Physics": ["Energy bands", "Carrier concentration", "Drift and diffusion", "Mobility and resistivity", "Generation and recombination", "Poisson and continuity equations"],
+    "P-N Junction": ["Junction capacitance", "Zener diode", "LED and photodiode", "Solar cell"],
+    "BJT": ["Operation and characteristics", "Ebers-Moll model"],
+    "MOS Devices": ["MOS capacitor", "MOSFET operation and characteristics", "Short-channel effects"],
+    "Fabrication": ["Oxidation, diffusion and ion implantation", "Photolithography", "Twin-tub CMOS process"],
+  },
+  "Analog Circuits": {
+    "Diode Circuits": ["Clipping and clamping", "Rectifiers"],
+    "Biasing and Small-signal Models": ["BJT and MOSFET biasing", "Bias stability", "Small-signal equivalent circuits"],
+    "Amplifiers": ["Single-stage amplifiers", "Multi-stage amplifiers", "Differential amplifiers", "Frequency response of amplifiers", "Feedback amplifiers", "Power amplifiers"],
+    "Op-amp Circuits": ["Ideal op-amp circuits", "Active filters", "Op-amp frequency response", "Comparators and Schmitt triggers"],
+    "Oscillators": ["Barkhausen criterion", "RC and LC oscillators", "Sinusoidal oscillators"],
+    "Current Mirrors and Voltage References": ["Current mirrors", "Voltage references"],
+  },
+  "Digital Circuits": {
+    "Number Systems and Boolean Algebra": ["Number representations", "Binary arithmetic", "Boolean algebra", "K-map minimization"],
+    "Combinational Circuits": ["Logic gates and families", "Arithmetic circuits", "Code converters", "Multiplexers, decoders and encoders", "PLAs and ROMs"],
+    "Sequential Circuits": ["Latches and flip-flops", "Counters", "Shift registers", "Finite state machines", "Propagation delay and setup/hold time"],
+    "Data Converters": ["Sample and hold", "ADCs", "DACs"],
+    "Semiconductor Memories": ["ROM, SRAM and DRAM"],
+  },
+  "Control Systems": {
+    "System Representation": ["Block diagrams", "Signal flow graphs", "Transfer functions"],
+    "Time Response": ["Transient and steady-state analysis", "Steady-state errors"],
+    "Stability": ["Routh-Hurwitz criterion", "Root locus", "Nyquist criterion"],
+    "Frequency Response": ["Bode plots", "Gain and phase margins"],
+    "Controllers and Compensators": ["P, PI and PID controllers", "Lead and lag compensation"],
+    "State-space Analysis": ["State variable models", "Solution of state equations"],
+  },
+  "Electromagnetics (EMT)": {
+    "Maxwell's Equations": ["Differential and integral forms", "Wave equation", "Poynting vector"],
+    "Plane Waves": ["Propagation in media", "Reflection and refraction", "Polarization", "Phase and group velocity", "Skin depth"],
+    "Transmission Lines": ["Equations and characteristic impedance", "Impedance matching", "Smith chart", "S-parameters"],
+    "Waveguides": ["Modes", "Boundary conditions", "Cut-off frequencies", "Dispersion relations"],
+    "Antennas": ["Antenna types", "Radiation pattern", "Gain and directivity", "Return loss", "Antenna arrays"],
+    "Basics of Radar and Light Propagation": ["Radar basics", "Optical fibers"],
+  },
+  "Communication Systems": {
+    "Random Processes": ["Autocorrelation and power spectral density", "Properties of white noise", "Filtering of random signals through LTI systems"],
+    "Analog Communication": ["Amplitude modulation", "Angle modulation", "Superheterodyne receivers"],
+    "Information Theory": ["Entropy and mutual information", "Channel capacity theorem"],
+    "Digital Communication": ["PCM and DPCM", "Digital modulation schemes", "Bandwidth", "ISI", "Matched filter and MAP/ML detection", "Signal constellations"],
+    "Error Control and Multiple Access": ["Error correction codes", "TDMA, FDMA and CDMA", "OFDM basics"],
+  },
+  "Signals and Systems": {
+    "Continuous-time Signals": ["Fourier series", "Fourier transform", "Sampling theorem"],
+    "Discrete-time Signals": ["DTFT", "DFT", "Z-transform", "Discrete-time processing of continuous-time signals"],
+    "LTI Systems": ["Causality and stability", "Impulse response", "Convolution", "Poles and zeros", "Frequency response", "Group and phase delay"],
+    "Digital Filter Design": ["FIR and IIR filters", "Filter design techniques"],
+  },
+  "Computer Organization & Architecture": {
+    "Processor Basics": ["Instruction formats and addressing modes", "ALU and data path"],
+    "Pipelining": ["Pipeline hazards"],
+    "Memory Hierarchy": ["Cache memory", "Main memory", "Virtual memory"],
+    "I/O": ["Interrupts", "DMA"],
+  },
+};
@@ -0,0 +1,82 @@
+/*
+Subject -> topic -> subtopic taxonomy.
+
+Entries carry optional `topic` and `subtopic` tags (empty string = untagged);
+response-sheet questions carry their own `subject` and `topic`. Summaries can
+be grouped at any level: an entry tagged less deeply than the requested level
+rolls up to its deepest tag, so "Analog Circuits" (whole-subject tests) sits
+next to "Analog Circuits › Op-amp Circuits" when drilling down.
+*/
+
+import { round2 } from "../utils";
+import { entryScheme, scoreResponse } from "../scoring/markingScheme";
+
+export const TAXONOMY_LEVELS = [
+  { id: "subject", label: "Subject" },
+  { id: "topic", label: "Topic" },
+  { id: "subtopic", label: "Subtopic" },
+];
+
+const SEPARATOR = " › ";
+
+export function topicsFor(syllabus, subject) {
+  return Object.keys(syllabus[subject] || {});
+}
+
+export function subtopicsFor(syllabus, subject, topic) {
+  return syllabus[subject]?.[topic] || [];
+}
+
+// Label for a subject/topic/subtopic triple cut at `level`, e.g. "Network Theory › Two-port Networks".
+export function taxonomyLabel({ subject, topic, subtopic }, level) {
+  const parts = [subject];
+  if (level !== "subject" && topic) {
+    parts.push(topic);
+    if (level === "subtopic" && subtopic) parts.push(subtopic);
+  }
+  return parts.join(SEPARATOR);
+}
+
+/*
+Splits an entry into { label, subject, percentage } parts at `level`.
+Below subject level a response sheet is split per question subject/topic
+(questions have no subtopic, so they stop at topic depth), scored with `scheme`.
+*/
+export function taxonomyContributions(t, level, scheme = entryScheme(t)) {
+  if (level !== "subject" && Array.isArray(t.responses) && t.responses.length) {
+    const parts = {};
+    for (const r of t.responses) {
+      const subject = r.subject || t.subject;
+      const label = taxonomyLabel({ subject, topic: r.topic }, level);
+      parts[label] ||= { label, subject, obtained: 0, max: 0 };
+      parts[label].obtained += scoreResponse(r, scheme);
+      parts[label].max += r.marks;
+    }
+    return Object.values(parts)
+      .filter((p) => p.max > 0)
+      .map(({ obtained, max, ...p }) => ({ ...p, percentage: (obtained / max) * 100 }));
+  }
+  return [{ label: taxonomyLabel(t, level), subject: t.subject, percentage: t.percentage }];
+}
+
+/*
+Average percentage per group at `level`, best first:
+[{ label, subject, avg, count, items }]. Entries whose subject is in
+`excludeSubjects` (e.g. the multi-subject placeholder) are left out.
+`schemeOf(entry)` gives the scheme a sheet is scored with (see entryScheme).
+*/
+export function groupAverages(tests, level, excludeSubjects = [], schemeOf = entryScheme) {
+  const groups = {};
+  for (const t of tests) {
+    for (const part of taxonomyContributions(t, level, schemeOf(t))) {
+      if (excludeSubjects.includes(part.subject)) continue;
+      const g = (groups[part.label] ||= { label: part.label, subject: part.subject, sum: 0, count: 0, items: [] });
+      g.sum += part.percentage;
+      g.count += 1;
+      g.items.push(t);
+    }
+  }
+  return Object.values(groups)
+    .map(({ sum, ...g }) => ({ ...g, avg: round2(sum / g.count) }))
+    .sort((a, b) => b.avg - a.avg);
+}
@@ -0,0 +1,376 @@
+/*
+Optional cloud sync of the test log through Firestore, so the same log can be
+kept on several devices.
+
+Available only when the build provides a Firebase config (see README):
+  VITE_FIREBASE_CONFIG         the Firebase web app config object, as JSON
+  VITE_FIREBASE_APP_ID         namespace under /artifacts (default "prepfusion")
+  VITE_FIREBASE_EMULATOR_HOST  e.g. "127.0.0.1" to use the local Auth (9099)
+                               and Firestore (8080) emulators instead
+
+Every entry is one document of /artifacts/{appId}/users/{uid}/mock_tests,
+keyed by the entry id:
+  { data, version, updatedAt, deleted }
+`data` is the entry as JSON text (Firestore rejects undefined values and
+nested arrays, which entries may hold), `version` the schema version it was
+written with and `updatedAt` the time of the change in ms. A deleted entry is
+kept as a tombstone (deleted: true, data: null) so the deletion reaches
+devices that were offline.
+
+This device's side is the "cloudSync" item:
+  { uid, email, queue: { [id]: updatedAt }, stamps: { [id]: updatedAt }, pinned: { [id]: updatedAt } }
+`queue` holds the changes not yet acknowledged by the server (the entry itself
+is read from the log when it is pushed), `stamps` the update time of the
+version of each entry last exchanged with the cloud. `pinned` lists entries
+the cloud holds in a newer schema than this tracker reads: they are neither
+applied nor ever pushed from here, so an older copy cannot overwrite them. A remote document is only
+applied when it is newer than both, so the latest edit of each entry wins
+whichever device syncs first. On an account's first sync on this device the
+cloud's copy is taken for the entries it has (unless they were edited since
+sync was turned on) and entries only this device has are uploaded.
+
+A device that has synced with one account does not silently start syncing
+the same log with another: signing in as a different account waits (phase
+"account-switch") until the user chooses to merge this log into the new
+account or to replace it with the new account's log.
+*/
+
+import { SCHEMA_VERSION, upgradeDataset } from "../storage/schema";
+
+export const EMPTY_SYNC_STATE = { uid: null, email: null, queue: {}, stamps: {}, pinned: {} };
+
+// Firestore allows 500 writes per batch.
+const BATCH_SIZE = 400;
+
+function readConfig() {
+  const env = import.meta.env;
+  if (!env.VITE_FIREBASE_CONFIG) return null;
+  try {
+    return {
+      firebase: JSON.parse(env.VITE_FIREBASE_CONFIG),
+      appId: env.VITE_FIREBASE_APP_ID || "prepfusion",
+      emulatorHost: env.VITE_FIREBASE_EMULATOR_HOST || null,
+    };
+  } catch (e) {
+    console.error("Ignoring unreadable VITE_FIREBASE_CONFIG", e);
+    return null;
+  }
+}
+
+// null when this build has no cloud sync.
+export const CLOUD_SYNC_CONFIG = readConfig();
+
+export function pendingCount(state) {
+  return Object.keys(state.queue).length;
+}
+
+export function pinnedCount(state) {
+  return Object.keys(state.pinned).length;
+}
+
+/*
+`state` with the entries touched by `changes` ({ put: [entries], remove: [ids] })
+queued at `now`. The time is kept past the entry's stamp so an edit always
+beats the version it was made on, even when this device's clock is behind.
+Pinned entries are not queued.
+*/
+export function queueChanges(state, changes, now = Date.now()) {
+  const queue = { ...state.queue };
+  const ids = [...changes.put.map((t) => t.id), ...changes.remove].filter((id) => !state.pinned[id]);
+  ids.forEach((id) => {
+    queue[id] = Math.max(now, (state.stamps[id] || 0) + 1, (queue[id] || 0) + 1);
+  });
+  return { ...state, queue };
+}
+
+// The entry stored in a remote document, upgraded to the current schema.
+function remoteEntry(id, data) {
+  const entry = { ...JSON.parse(data.data), id };
+  return upgradeDataset({ version: data.version, tests: [entry], meta: {} }).tests[0];
+}
+
+/*
+Merges remote documents ([{ id, data }]) into this device's state. Returns
+{ state, patch } where `patch` ({ put, remove }) is what the log must apply.
+Newer documents written by a newer version of the tracker are pinned instead
+of applied, dropping any queued edit of the same entry.
+*/
+export function mergeRemote(state, docs) {
+  const queue = { ...state.queue };
+  const stamps = { ...state.stamps };
+  const pinned = { ...state.pinned };
+  const patch = { put: [], remove: [] };
+  for (const { id, data } of docs) {
+    const updatedAt = Number(data.updatedAt);
+    if (!Number.isFinite(updatedAt) || updatedAt <= Math.max(queue[id] || 0, stamps[id] || 0)) continue;
+    if (data.version > SCHEMA_VERSION) {
+      pinned[id] = updatedAt;
+      delete queue[id];
+      continue;
+    }
+    if (data.deleted) {
+      patch.remove.push(id);
+    } else {
+      try {
+        patch.put.push(remoteEntry(id, data));
+      } catch (e) {
+        console.error(`Skipping unreadable synced entry ${id}`, e);
+        continue;
+      }
+    }
+    stamps[id] = updatedAt;
+    delete queue[id];
+    delete pinned[id];
+  }
+  return { state: { ...state, queue, stamps, pinned }, patch };
+}
+
+// `state` with every entry of `tests` that the cloud does not have (`remoteIds`) queued for upload.
+export function queueLocalOnly(state, tests, remoteIds, now = Date.now()) {
+  return queueChanges(state, { put: tests.filter((t) => !remoteIds.has(t.id)), remove: [] }, now);
+}
+
+// The documents to write for the queued changes, taking each entry from `tests` (missing means deleted).
+export function pendingDocs(state, tests) {
+  const byId = new Map(tests.map((t) => [t.id, t]));
+  return Object.entries(state.queue).filter(([id]) => !state.pinned[id]).map(([id, updatedAt]) => {
+    const entry = byId.get(id);
+    return {
+      id,
+      data: entry
+        ? { data: JSON.stringify(entry), version: SCHEMA_VERSION, updatedAt, deleted: false }
+        : { data: null, version: SCHEMA_VERSION, updatedAt, deleted: true },
+    };
+  });
+}
+
+// `state` once `docs` are stored in the cloud; entries changed again meanwhile stay queued.
+export function acknowledge(state, docs) {
+  const queue = { ...state.queue };
+  const stamps = { ...state.stamps };
+  docs.forEach(({ id, data }) => {
+    if (queue[id] === data.updatedAt) delete queue[id];
+    stamps[id] = Math.max(stamps[id] || 0, data.updatedAt);
+  });
+  return { ...state, queue, stamps };
+}
+
+let firebasePromise = null;
+
+// Firebase is loaded on first use, so builds and sessions without sync never download it.
+function openFirebase(config) {
+  if (!firebasePromise) {
+    firebasePromise = (async () => {
+      const [app, auth, firestore] = await Promise.all([import("firebase/app"), import("firebase/auth"), import("firebase/firestore")]);
+      const firebaseApp = app.initializeApp(config.firebase);
+      const authInstance = auth.getAuth(firebaseApp);
+      const db = firestore.getFirestore(firebaseApp);
+      if (config.emulatorHost) {
+        auth.connectAuthEmulator(authInstance, `http://${config.emulatorHost}:9099`, { disableWarnings: true });
+        firestore.connectFirestoreEmulator(db, config.emulatorHost, 8080);
+      }
+      return { auth, firestore, authInstance, db };
+    })();
+    firebasePromise.catch(() => {
+      firebasePromise = null;
+    });
+  }
+  return firebasePromise;
+}
+
+/*
+Runs the sync for one tab. `log` connects it to the tracker's tests:
+  current()            -> the saved tests
+  subscribe(listener)  -> listener(changes) for every saved change not made by the sync
+  apply(patch)         -> applies and saves changes pulled from the cloud
+`onStatus` receives { phase, email, previousEmail, pending, lastSyncedAt, pinned, error }
+where phase is "starting", "signed-out", "account-switch", "connecting",
+"offline", "syncing", "synced" or "error". Returns { signIn, signUp, signOut,
+resolveAccountSwitch, close }.
+*/
+export function createFirestoreSync({ config, adapter, log, onStatus }) {
+  let closed = false;
+  let state = EMPTY_SYNC_STATE;
+  let fb = null;
+  let user = null;
+  let merged = false;
+  let switching = false;
+  let unlisten = null;
+  let fromCache = true;
+  let pushing = false;
+  let pushAgain = false;
+  let lastSyncedAt = null;
+  let error = null;
+  const cleanups = [];
+
+  function report(phase) {
+    if (closed) return;
+    const derived = phase
+      || (!user ? "signed-out"
+        : switching ? "account-switch"
+        : error ? "error"
+        : !merged ? "connecting"
+        // A push waiting for the connection is offline, not syncing.
+        : fromCache || !navigator.onLine ? "offline"
+        : pushing ? "syncing"
+        : "synced");
+    onStatus({ phase: derived, email: user?.email || null, previousEmail: switching ? state.email : null, pending: pendingCount(state), lastSyncedAt, pinned: pinnedCount(state), error });
+  }
+
+  function persist() {
+    adapter.setItem("cloudSync", state).catch((e) => console.error("Failed to save the sync queue", e));
+  }
+
+  function collectionRef() {
+    return fb.firestore.collection(fb.db, "artifacts", config.appId, "users", user.uid, "mock_tests");
+  }
+
+  async function push() {
+    if (closed || !user || !merged || switching) return;
+    if (pushing) {
+      pushAgain = true;
+      return;
+    }
+    const docs = pendingDocs(state, log.current());
+    if (!docs.length) return;
+    pushing = true;
+    pushAgain = false;
+    report();
+    const uidAtStart = user.uid;
+    try {
+      for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+        const chunk = docs.slice(i, i + BATCH_SIZE);
+        const batch = fb.firestore.writeBatch(fb.db);
+        chunk.forEach(({ id, data }) => batch.set(fb.firestore.doc(collectionRef(), id), data));
+        // Resolves once the server has the writes; while offline it waits and the queue stays as it is.
+        await batch.commit();
+        if (closed || user?.uid !== uidAtStart) return;
+        state = acknowledge(state, chunk);
+        persist();
+      }
+      lastSyncedAt = new Date().toISOString();
+      error = null;
+    } catch (e) {
+      console.error("Failed to push changes", e);
+      error = e.message || String(e);
+    } finally {
+      pushing = false;
+      report();
+    }
+    if (pushAgain) push();
+  }
+
+  function applyDocs(docs, first) {
+    const remoteIds = new Set(docs.map((d) => d.id));
+    const result = mergeRemote(state, docs);
+    state = first ? queueLocalOnly(result.state, log.current(), remoteIds) : result.state;
+    if (result.patch.put.length || result.patch.remove.length) log.apply(result.patch);
+    persist();
+  }
+
+  function listen() {
+    const firstSync = state.uid !== user.uid;
+    if (firstSync) state = { ...state, uid: user.uid, email: user.email, stamps: {}, pinned: {} };
+    merged = false;
+    fromCache = true;
+    return fb.firestore.onSnapshot(collectionRef(), { includeMetadataChanges: true }, (snapshot) => {
+      fromCache = snapshot.metadata.fromCache;
+      if (!merged) {
+        // Wait for the server's view: an empty answer from the cache would look like an empty cloud.
+        if (fromCache) return report();
+        applyDocs(snapshot.docs.map((d) => ({ id: d.id, data: d.data() })), firstSync);
+        merged = true;
+        lastSyncedAt = new Date().toISOString();
+        error = null;
+        push();
+      } else {
+        const changed = snapshot.docChanges().filter((c) => c.type !== "removed" && !c.doc.metadata.hasPendingWrites);
+        if (changed.length) applyDocs(changed.map((c) => ({ id: c.doc.id, data: c.doc.data() })), false);
+        if (!fromCache) lastSyncedAt = new Date().toISOString();
+      }
+      report();
+    }, (e) => {
+      console.error("Cloud sync listener failed", e);
+      error = e.message || String(e);
+      report();
+    });
+  }
+
+  cleanups.push(log.subscribe((changes) => {
+    state = queueChanges(state, changes);
+    persist();
+    report();
+    push();
+  }));
+
+  (async () => {
+    report("starting");
+    try {
+      const saved = await adapter.getItem("cloudSync");
+      // Changes queued while the item was loading are kept on top of it.
+      if (saved) state = { ...EMPTY_SYNC_STATE, ...saved, queue: { ...saved.queue, ...state.queue } };
+      fb = await openFirebase(config);
+    } catch (e) {
+      console.error("Failed to start cloud sync", e);
+      error = e.message || String(e);
+      return report();
+    }
+    if (closed) return;
+
+    const onConnectivity = () => {
+      report();
+      push();
+    };
+    window.addEventListener("online", onConnectivity);
+    window.addEventListener("offline", onConnectivity);
+    cleanups.push(() => {
+      window.removeEventListener("online", onConnectivity);
+      window.removeEventListener("offline", onConnectivity);
+    });
+
+    cleanups.push(() => unlisten?.());
+    cleanups.push(fb.auth.onAuthStateChanged(fb.authInstance, (next) => {
+      unlisten?.();
+      unlisten = null;
+      user = next;
+      merged = false;
+      error = null;
+      switching = Boolean(user && state.uid && state.uid !== user.uid);
+      if (user && !switching) unlisten = listen();
+      report();
+    }));
+  })();
+
+  async function withAuth(action) {
+    error = null;
+    try {
+      fb = fb || (await openFirebase(config));
+      await action(fb);
+    } catch (e) {
+      error = e.message || String(e);
+      report();
+      throw e;
+    }
+  }
+
+  return {
+    signIn: (email, password) => withAuth(({ auth, authInstance }) => auth.signInWithEmailAndPassword(authInstance, email, password)),
+    signUp: (email, password) => withAuth(({ auth, authInstance }) => auth.createUserWithEmailAndPassword(authInstance, email, password)),
+    signOut: () => withAuth(({ auth, authInstance }) => auth.signOut(authInstance)),
+    // "merge" uploads this log to the new account; "replace" empties it first so only the new account's entries come down.
+    resolveAccountSwitch(choice) {
+      if (!switching || closed) return;
+      if (choice === "replace") log.apply({ put: [], remove: log.current().map((t) => t.id) });
+      // The old account's queue and stamps mean nothing to the new one.
+      state = EMPTY_SYNC_STATE;
+      switching = false;
+      persist();
+      unlisten = listen();
+      report();
+    },
+    close() {
+      closed = true;
+      cleanups.forEach((cleanup) => cleanup());
+    },
+  };
+}
@@ -0,0 +1,120 @@
+import { describe, expect, it } from "vitest";
+import { EMPTY_SYNC_STATE, queueChanges, mergeRemote, queueLocalOnly, pendingDocs, acknowledge } from "./firestoreSync";
+import { SCHEMA_VERSION, withDerivedFields } from "../storage/schema";
+
+const entry = (id, overrides = {}) => withDerivedFields({
+  id, subject: "Networks", category: "Subject-wise", provider: "Ace Academy", maxMarks: 50, obtainedMarks: 30, date: "2026-02-01", ...overrides,
+});
+
+const remote = (id, updatedAt, overrides = {}) => ({
+  id,
+  data: { data: JSON.stringify(entry(id, overrides)), version: SCHEMA_VERSION, updatedAt, deleted: false },
+});
+
+const tombstone = (id, updatedAt) => ({ id, data: { data: null, version: SCHEMA_VERSION, updatedAt, deleted: true } });
+
+const synced = (stamps = {}) => ({ ...EMPTY_SYNC_STATE, uid: "u1", stamps });
+
+describe("queueChanges", () => {
+  it("queues put and removed ids at the given time", () => {
+    const state = queueChanges(synced(), { put: [entry("a")], remove: ["b"] }, 1000);
+    expect(state.queue).toEqual({ a: 1000, b: 1000 });
+  });
+
+  it("keeps an edit later than the version it was made on when the clock is behind", () => {
+    const state = queueChanges(synced({ a: 5000 }), { put: [entry("a")], remove: [] }, 1000);
+    expect(state.queue.a).toBe(5001);
+  });
+
+  it("moves a re-edited entry forward", () => {
+    const once = queueChanges(synced(), { put: [entry("a")], remove: [] }, 1000);
+    expect(queueChanges(once, { put: [entry("a")], remove: [] }, 1000).queue.a).toBe(1001);
+  });
+
+  it("does not queue pinned entries", () => {
+    const state = queueChanges({ ...synced(), pinned: { a: 9000 } }, { put: [entry("a")], remove: [] }, 1000);
+    expect(state.queue).toEqual({});
+  });
+});
+
+describe("mergeRemote", () => {
+  it("applies documents newer than this device's copy", () => {
+    const { state, patch } = mergeRemote(synced({ a: 1000 }), [remote("a", 2000, { obtainedMarks: 40 }), tombstone("b", 1500)]);
+    expect(patch.put.map((t) => [t.id, t.obtainedMarks, t.percentage])).toEqual([["a", 40, 80]]);
+    expect(patch.remove).toEqual(["b"]);
+    expect(state.stamps).toEqual({ a: 2000, b: 1500 });
+  });
+
+  it("skips documents that are not newer than the stamp or a queued edit", () => {
+    const state = { ...synced({ a: 2000 }), queue: { b: 3000 } };
+    const result = mergeRemote(state, [remote("a", 2000), remote("b", 2500)]);
+    expect(result.patch).toEqual({ put: [], remove: [] });
+    expect(result.state.queue).toEqual({ b: 3000 });
+  });
+
+  it("lets a newer remote edit win over a queued local one", () => {
+    const state = { ...synced(), queue: { a: 1000 } };
+    const result = mergeRemote(state, [remote("a", 2000)]);
+    expect(result.patch.put).toHaveLength(1);
+    expect(result.state.queue).toEqual({});
+  });
+
+  it("pins documents written by a newer schema and drops the queued edit", () => {
+    const state = { ...synced({ a: 1000 }), queue: { a: 1500 } };
+    const newer = { id: "a", data: { data: "{}", version: SCHEMA_VERSION + 1, updatedAt: 2000, deleted: false } };
+    const result = mergeRemote(state, [newer]);
+    expect(result.patch).toEqual({ put: [], remove: [] });
+    expect(result.state.pinned).toEqual({ a: 2000 });
+    expect(result.state.queue).toEqual({});
+    expect(pendingDocs(queueChanges(result.state, { put: [entry("a")], remove: [] }, 3000), [entry("a")])).toEqual([]);
+  });
+
+  it("unpins an entry once its document can be read", () => {
+    const state = { ...synced(), pinned: { a: 2000 } };
+    const result = mergeRemote(state, [remote("a", 2000)]);
+    expect(result.patch.put).toHaveLength(1);
+    expect(result.state.pinned).toEqual({});
+  });
+
+  it("skips unreadable documents", () => {
+    const broken = { id: "a", data: { data: "{not json", version: SCHEMA_VERSION, updatedAt: 2000, deleted: false } };
+    const result = mergeRemote(synced(), [broken]);
+    expect(result.patch.put).toEqual([]);
+    expect(result.state.stamps).toEqual({});
+  });
+});
+
+describe("queueLocalOnly", () => {
+  it("queues only the entries the cloud does not have", () => {
+    const state = queueLocalOnly(synced(), [entry("a"), entry("b")], new Set(["a"]), 1000);
+    expect(state.queue).toEqual({ b: 1000 });
+  });
+});
+
+describe("pendingDocs", () => {
+  it("writes queued entries from the log and tombstones for missing ones", () => {
+    const a = entry("a");
+    const docs = pendingDocs({ ...synced(), queue: { a: 1000, gone: 1200 } }, [a]);
+    expect(docs).toEqual([
+      { id: "a", data: { data: JSON.stringify(a), version: SCHEMA_VERSION, updatedAt: 1000, deleted: false } },
+      { id: "gone", data: { data: null, version: SCHEMA_VERSION, updatedAt: 1200, deleted: true } },
+    ]);
+  });
+});
+
+describe("acknowledge", () => {
+  it("removes pushed changes from the queue and stamps them", () => {
+    const state = { ...synced(), queue: { a: 1000 } };
+    const result = acknowledge(state, pendingDocs(state, [entry("a")]));
+    expect(result.queue).toEqual({});
+    expect(result.stamps).toEqual({ a: 1000 });
+  });
+
+  it("keeps entries edited again while the push was in flight", () => {
+    const state = { ...synced(), queue: { a: 1000 } };
+    const docs = pendingDocs(state, [entry("a")]);
+    const result = acknowledge(queueChanges(state, { put: [entry("a")], remove: [] }, 1100), docs);
+    expect(result.queue).toEqual({ a: 1100 });
+    expect(result.stamps).toEqual({ a: 1000 });
+  });
+});
@@ -0,0 +1,88 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useStoredItem } from "../storage/useStoredItem";
+import { CLOUD_SYNC_CONFIG, EMPTY_SYNC_STATE, createFirestoreSync } from "./firestoreSync";
+
+// Labels for the `phase` of the sync status.
+export const SYNC_PHASES = {
+  off: "Off",
+  standby: "Syncing in another tab",
+  starting: "Starting…",
+  "signed-out": "Signed out",
+  "account-switch": "Signed in to a different account",
+  connecting: "Connecting…",
+  offline: "Offline, changes are queued",
+  syncing: "Syncing…",
+  synced: "Up to date",
+  error: "Sync problem",
+};
+
+const OFF = { phase: "off", email: null, previousEmail: null, pending: 0, lastSyncedAt: null, pinned: 0, error: null };
+
+/*
+Cloud sync for the tracker's log (see sync/firestoreSync.js), switched on per
+dataset with the shared "cloudSyncEnabled" item. Only one open tab runs it,
+elected with a Web Lock; the others report phase "standby" and receive its
+pulled changes through tab sync. Returns { available, enabled, status,
+setEnabled, signIn, signUp, signOut, resolveAccountSwitch }.
+
+Turning sync off forgets this device's queue and stamps, so turning it on
+again starts like a first sync.
+*/
+export function useCloudSync(storageKey, storage) {
+  const { adapter, readOnly, log } = storage;
+  const [enabled, setEnabledItem] = useStoredItem(adapter, "cloudSyncEnabled", false);
+  const [status, setStatus] = useState(OFF);
+  const engineRef = useRef(null);
+  const active = Boolean(CLOUD_SYNC_CONFIG && enabled && adapter && !readOnly);
+
+  useEffect(() => {
+    if (!active) return;
+    let released = false;
+    let release = null;
+
+    const run = () => {
+      if (released) return;
+      engineRef.current = createFirestoreSync({ config: CLOUD_SYNC_CONFIG, adapter, log, onStatus: setStatus });
+      return new Promise((resolve) => {
+        release = resolve;
+      });
+    };
+
+    if (navigator.locks) {
+      setStatus({ ...OFF, phase: "standby" });
+      navigator.locks.request(`${storageKey}:cloud-sync`, run);
+    } else {
+      run();
+    }
+
+    return () => {
+      released = true;
+      engineRef.current?.close();
+      engineRef.current = null;
+      release?.();
+      setStatus(OFF);
+    };
+  }, [active, storageKey, adapter, log]);
+
+  const setEnabled = useCallback((next) => {
+    if (!next && adapter) adapter.setItem("cloudSync", EMPTY_SYNC_STATE).catch((e) => console.error("Failed to reset the sync queue", e));
+    setEnabledItem(next);
+  }, [adapter, setEnabledItem]);
+
+  // Auth actions need the tab running the sync; they reject elsewhere.
+  const engineAction = useCallback((name) => (...args) => {
+    if (!engineRef.current) return Promise.reject(new Error("Sync is running in another tab."));
+    return engineRef.current[name](...args);
+  }, []);
+
+  return {
+    available: Boolean(CLOUD_SYNC_CONFIG),
+    enabled: Boolean(enabled),
+    status,
+    setEnabled,
+    signIn: engineAction("signIn"),
+    signUp: engineAction("signUp"),
+    signOut: engineAction("signOut"),
+    resolveAccountSwitch: (choice) => engineRef.current?.resolveAccountSwitch(choice),
+  };
+}
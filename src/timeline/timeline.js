@@ -0,0 +1,121 @@
+/*
+Exam date and preparation phases.
+
+Stored per dataset as
+  { examDate, phases: [{ id, kind, start, end, targetTests }], shadeCharts }
+Dates are YYYY-MM-DD and phase ranges are inclusive. `targetTests` is how
+many tests the phase should see (null = no target); which tests count
+depends on the phase kind: subject tests, full tests, or any test.
+
+A phase with a target is behind while fewer tests have been taken than a
+straight line from 0 (on its first day) to the target (on its last day)
+asks for by today.
+*/
+
+import { uid, formatDateInput } from "../utils";
+
+export const PHASE_KINDS = [
+  { id: "syllabus", label: "Syllabus completion", counts: "all", color: "#C7D2FE" },
+  { id: "subject-tests", label: "Subject tests", counts: "subject", color: "#BBF7D0" },
+  { id: "full-mocks", label: "Full mocks", counts: "full", color: "#FED7AA" },
+  { id: "revision", label: "Final revision", counts: "all", color: "#FBCFE8" },
+];
+
+export const EMPTY_TIMELINE = { examDate: null, phases: [], shadeCharts: true };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatDateInput(d);
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / DAY_MS);
+}
+
+export function phaseKind(phase) {
+  return PHASE_KINDS.find((k) => k.id === phase.kind) || PHASE_KINDS[0];
+}
+
+// Days left until the exam (0 on the day, negative after), or null without an exam date.
+export function daysUntilExam(timeline, today) {
+  return timeline.examDate ? daysBetween(today, timeline.examDate) : null;
+}
+
+export function createPhase({ kind, start, end, targetTests }) {
+  return { id: uid(), kind, start, end, targetTests: targetTests ?? null };
+}
+
+/*
+A starting plan working back from the exam date: subject tests until 60 days
+out, full mocks until the last two weeks, then revision. Phases already over
+are dropped and the first remaining one starts today.
+*/
+export function suggestPhases(examDate, today) {
+  const plan = [
+    { kind: "syllabus", start: today, end: addDays(examDate, -151), targetTests: null },
+    { kind: "subject-tests", start: addDays(examDate, -150), end: addDays(examDate, -61), targetTests: 20 },
+    { kind: "full-mocks", start: addDays(examDate, -60), end: addDays(examDate, -15), targetTests: 15 },
+    { kind: "revision", start: addDays(examDate, -14), end: addDays(examDate, -1), targetTests: null },
+  ];
+  return plan
+    .filter((p) => p.end >= today)
+    .map((p) => createPhase({ ...p, start: p.start < today ? today : p.start }));
+}
+
+// The phase covering `today` (the latest-starting one if they overlap), or null.
+export function currentPhase(phases, today) {
+  return phases
+    .filter((p) => p.start <= today && today <= p.end)
+    .sort((a, b) => b.start.localeCompare(a.start))[0] || null;
+}
+
+function countsToward(phase, t, profile) {
+  const { counts } = phaseKind(phase);
+  if (counts === "subject") return profile.subjectCategories.includes(t.category);
+  if (counts === "full") return profile.fullTestCategories.includes(t.category);
+  return true;
+}
+
+/*
+Where `phase` stands on `today`:
+  { state, taken, target, expected, totalDays, daysLeft, behind }
+`state` is "upcoming", "active" or "done"; `expected` is the number of tests
+the pace line asks for by today (the full target once the phase is over).
+*/
+export function phaseProgress(phase, tests, profile, today) {
+  const taken = tests.filter((t) => t.date >= phase.start && t.date <= phase.end && countsToward(phase, t, profile)).length;
+  const totalDays = daysBetween(phase.start, phase.end) + 1;
+  const elapsed = Math.min(totalDays, Math.max(0, daysBetween(phase.start, today) + 1));
+  const state = today < phase.start ? "upcoming" : today > phase.end ? "done" : "active";
+  const target = phase.targetTests;
+  const expected = target ? Math.floor((target * elapsed) / totalDays) : null;
+  return {
+    state,
+    taken,
+    target,
+    expected,
+    totalDays,
+    daysLeft: Math.max(0, daysBetween(today, phase.end)),
+    behind: Boolean(target) && state !== "upcoming" && taken < expected,
+  };
+}
+
+/*
+Shaded regions for a chart whose `key` field holds dates, as ReferenceArea
+bounds: [{ id, label, color, x1, x2 }]. A category axis can only be bounded
+by values it has, so each phase spans its first to last data point; phases
+without points are left out.
+*/
+export function phaseAreas(phases, data, key = "name") {
+  return phases
+    .map((p) => {
+      const inside = data.map((d) => d[key]).filter((date) => date >= p.start && date <= p.end);
+      if (!inside.length) return null;
+      const kind = phaseKind(p);
+      return { id: p.id, label: kind.label, color: kind.color, x1: inside[0], x2: inside[inside.length - 1] };
+    })
+    .filter(Boolean);
+}
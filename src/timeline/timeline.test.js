@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { suggestPhases, currentPhase, phaseProgress } from "./timeline";
+
+const profile = { subjectCategories: ["Subject Test"], fullTestCategories: ["Full Test"] };
+const taken = (date, category) => ({ id: `${category}-${date}`, date, category });
+const span = (p) => [p.kind, p.start, p.end, p.targetTests];
+
+describe("suggestPhases", () => {
+  it("works back from the exam date", () => {
+    expect(suggestPhases("2024-06-30", "2024-01-01").map(span)).toEqual([
+      ["syllabus", "2024-01-01", "2024-01-31", null],
+      ["subject-tests", "2024-02-01", "2024-04-30", 20],
+      ["full-mocks", "2024-05-01", "2024-06-15", 15],
+      ["revision", "2024-06-16", "2024-06-29", null],
+    ]);
+  });
+
+  it("drops phases already over and starts the first remaining one today", () => {
+    expect(suggestPhases("2024-06-30", "2024-05-31").map(span)).toEqual([
+      ["full-mocks", "2024-05-31", "2024-06-15", 15],
+      ["revision", "2024-06-16", "2024-06-29", null],
+    ]);
+  });
+});
+
+describe("phaseProgress", () => {
+  const phase = { id: "p", kind: "subject-tests", start: "2024-02-01", end: "2024-02-10", targetTests: 10 };
+  const tests = [
+    taken("2024-01-31", "Subject Test"),
+    taken("2024-02-01", "Subject Test"),
+    taken("2024-02-03", "Subject Test"),
+    taken("2024-02-04", "Full Test"),
+    taken("2024-02-05", "Subject Test"),
+  ];
+
+  it("counts the phase's kind of test against a straight pace line", () => {
+    expect(phaseProgress(phase, tests, profile, "2024-02-05")).toEqual({
+      state: "active",
+      taken: 3,
+      target: 10,
+      expected: 5,
+      totalDays: 10,
+      daysLeft: 5,
+      behind: true,
+    });
+  });
+
+  it("is never behind before it starts, and asks for the full target once over", () => {
+    expect(phaseProgress(phase, tests, profile, "2024-01-20")).toMatchObject({ state: "upcoming", expected: 0, behind: false });
+    expect(phaseProgress(phase, tests, profile, "2024-02-20")).toMatchObject({ state: "done", expected: 10, daysLeft: 0, behind: true });
+  });
+
+  it("has no pace without a target", () => {
+    expect(phaseProgress({ ...phase, kind: "revision", targetTests: null }, tests, profile, "2024-02-05")).toMatchObject({ taken: 4, expected: null, behind: false });
+  });
+});
+
+describe("currentPhase", () => {
+  it("picks the latest-starting phase covering today", () => {
+    const phases = [
+      { id: "a", start: "2024-01-01", end: "2024-03-01" },
+      { id: "b", start: "2024-02-01", end: "2024-02-15" },
+    ];
+    expect(currentPhase(phases, "2024-02-10").id).toBe("b");
+    expect(currentPhase(phases, "2024-02-20").id).toBe("a");
+    expect(currentPhase(phases, "2024-04-01")).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+// Small shared helpers used by the tracker and its storage/analytics modules.
+
+export function uid() {
+  return Math.random().toString(36).slice(2, 9);
+}
+
+export function formatDateInput(d) {
+  if (!d) return "";
+  const date = new Date(d);
+  return date.toISOString().slice(0, 10);
+}
+
+export function csvEscape(val) {
+  if (val == null) return "";
+  const s = String(val);
+  if (s.includes(",") || s.includes("\n") || s.includes('"')) {
+    return '"' + s.replace(/"/g, '""') + '"';
+  }
+  return s;
+}
+
+// Rounds to two decimals, the precision used for every percentage we store.
+export function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Offers `text` to the user as a downloaded file.
+export function downloadText(text, filename, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}